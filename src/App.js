@@ -1,15 +1,33 @@
-import React, { useEffect, useRef, useState, useCallback, Suspense, lazy } from "react";
+import React, { useEffect, useRef, Suspense, lazy } from "react";
+import { Link, NavLink, Route, Routes } from "react-router-dom";
 import "./App.css";
 import { ThemeProvider } from "./ThemeContext";
+import { ReadingListProvider } from "./ReadingListContext";
+import { FilterPresetsProvider } from "./FilterPresetsContext";
+import { CompareTrayProvider } from "./CompareTrayContext";
+import { ReaderProvider } from "./ReaderContext";
+import { BiasFeedbackProvider } from "./BiasFeedbackContext";
 import { gsap } from "gsap";
+import { isMockEnabled } from "./api";
+import { SCROLL_CONTAINER_ID } from "./hooks/useScrollRestoration";
+import CompareTray from "./components/CompareTray";
+import ReadingListSaveError from "./components/ReadingListSaveError";
 
 // Lazy load components for better performance
 const NewsFeed = lazy(() => import("./components/NewsFeed"));
 const SportsSchedule = lazy(() => import("./components/SportsSchedule"));
 const MarketUpdates = lazy(() => import("./components/MarketUpdates"));
 const WeatherWidget = lazy(() => import("./components/WeatherWidget"));
-const ThemeToggle = lazy(() => import("./components/ThemeToggle"));
-const CompareCoverage = lazy(() => import("./components/CompareCoverage"));
+const ThemePicker = lazy(() => import("./components/ThemePicker"));
+const StoryPage = lazy(() => import("./pages/StoryPage"));
+const SourcePage = lazy(() => import("./pages/SourcePage"));
+const ReadingListPage = lazy(() => import("./pages/ReadingListPage"));
+const MediaDietPage = lazy(() => import("./pages/MediaDietPage"));
+const TrendsPage = lazy(() => import("./pages/TrendsPage"));
+const ComparePage = lazy(() => import("./pages/ComparePage"));
+const FeedbackPage = lazy(() => import("./pages/FeedbackPage"));
+const ReaderPanel = lazy(() => import("./components/ReaderPanel"));
+const NotFoundPage = lazy(() => import("./pages/NotFoundPage"));
 
 // Loading component for better UX
 const LoadingSpinner = () => (
@@ -19,8 +37,6 @@ const LoadingSpinner = () => (
 );
 
 function App() {
-  const [selectedStory, setSelectedStory] = useState(null);
-  const [showModal, setShowModal] = useState(false);
   const appRef = useRef();
 
   const categories = [
@@ -28,16 +44,6 @@ function App() {
     "Sports", "Weather", "Entertainment", "Current Affairs"
   ];
 
-  const handleStorySelect = useCallback((story) => {
-    setSelectedStory(story);
-    setShowModal(true);
-  }, []);
-
-  const closeModal = useCallback(() => {
-    setShowModal(false);
-    setTimeout(() => setSelectedStory(null), 300); // Delay to allow exit animation
-  }, []);
-
   // Optimized GSAP animations
   useEffect(() => {
     const ctx = gsap.context(() => {
@@ -66,68 +72,76 @@ function App() {
     return () => ctx.revert(); // Clean up GSAP context
   }, []);
 
-  // Handle escape key to close modal
-  useEffect(() => {
-    const handleEscape = (event) => {
-      if (event.key === 'Escape' && showModal) {
-        closeModal();
-      }
-    };
-
-    document.addEventListener('keydown', handleEscape);
-    return () => document.removeEventListener('keydown', handleEscape);
-  }, [showModal, closeModal]);
-
   return (
     <ThemeProvider>
-      <div className="app" ref={appRef}>
-        <header className="app-header">
-          <div className="header-brand">
-            <div className="header-logo">📰</div>
-            <div className="header-content">
-              <h1 className="header-title">The Narrative</h1>
-              <p className="header-tagline">Multiple perspectives, one story</p>
-            </div>
-          </div>
-          <Suspense fallback={<div>🌙</div>}>
-            <ThemeToggle />
-          </Suspense>
-        </header>
-
-        <aside className="app-sidebar">
-          <Suspense fallback={<LoadingSpinner />}>
-            <WeatherWidget />
-            <SportsSchedule />
-            <MarketUpdates />
-          </Suspense>
-        </aside>
-
-        <main className="app-main">
-          <Suspense fallback={<LoadingSpinner />}>
-            <NewsFeed onStorySelect={handleStorySelect} />
-          </Suspense>
-        </main>
-
-        {showModal && selectedStory && (
-          <div className="modal-overlay" onClick={closeModal}>
-            <div className="modal-content" onClick={(e) => e.stopPropagation()}>
-              <div className="modal-header">
-                <h3>Coverage Comparison</h3>
-                <button 
-                  className="modal-close" 
-                  onClick={closeModal}
-                  aria-label="Close modal"
-                >
-                  ×
-                </button>
-              </div>
-              <Suspense fallback={<LoadingSpinner />}>
-                <CompareCoverage story={selectedStory} />
-              </Suspense>
-            </div>
-          </div>
-        )}
-      </div>
+      <ReadingListProvider>
+        <FilterPresetsProvider>
+          <CompareTrayProvider>
+            <ReaderProvider>
+              <BiasFeedbackProvider>
+                <div className="app" ref={appRef}>
+                  <header className="app-header">
+                    <div className="header-brand">
+                      <Link to="/" className="header-home" aria-label="The Narrative home">
+                        <div className="header-logo">📰</div>
+                        <div className="header-content">
+                          <h1 className="header-title">The Narrative</h1>
+                          <p className="header-tagline">Multiple perspectives, one story</p>
+                        </div>
+                      </Link>
+                      {isMockEnabled() && (
+                        <span className="mock-badge" title="Serving fixture data – add ?mock=0 to the URL to switch back">
+                          Mock data
+                        </span>
+                      )}
+                    </div>
+                    <nav className="app-nav" aria-label="Main">
+                      <NavLink to="/" end className="app-nav-link">Feed</NavLink>
+                      <NavLink to="/reading-list" className="app-nav-link">Reading List</NavLink>
+                      <NavLink to="/my-diet" className="app-nav-link">My Media Diet</NavLink>
+                      <NavLink to="/my-feedback" className="app-nav-link">My Feedback</NavLink>
+                      <NavLink to="/trends" className="app-nav-link">Trends</NavLink>
+                    </nav>
+                    <Suspense fallback={<div>🌙</div>}>
+                      <ThemePicker />
+                    </Suspense>
+                  </header>
+
+                  <aside className="app-sidebar">
+                    <Suspense fallback={<LoadingSpinner />}>
+                      <WeatherWidget />
+                      <SportsSchedule />
+                      <MarketUpdates />
+                    </Suspense>
+                  </aside>
+
+                  <main className="app-main" id={SCROLL_CONTAINER_ID}>
+                    <Suspense fallback={<LoadingSpinner />}>
+                      <Routes>
+                        <Route path="/" element={<NewsFeed />} />
+                        <Route path="/story/:storyId" element={<StoryPage />} />
+                        <Route path="/source/:sourceName" element={<SourcePage />} />
+                        <Route path="/reading-list" element={<ReadingListPage />} />
+                        <Route path="/my-diet" element={<MediaDietPage />} />
+                        <Route path="/trends" element={<TrendsPage />} />
+                        <Route path="/compare" element={<ComparePage />} />
+                        <Route path="/my-feedback" element={<FeedbackPage />} />
+                        <Route path="*" element={<NotFoundPage />} />
+                      </Routes>
+                    </Suspense>
+                    <CompareTray />
+                    <ReadingListSaveError />
+                  </main>
+
+                  <Suspense fallback={null}>
+                    <ReaderPanel />
+                  </Suspense>
+                </div>
+              </BiasFeedbackProvider>
+            </ReaderProvider>
+          </CompareTrayProvider>
+        </FilterPresetsProvider>
+      </ReadingListProvider>
     </ThemeProvider>
   );
 }
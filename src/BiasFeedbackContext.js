@@ -0,0 +1,159 @@
+import { createContext, useState, useEffect, useCallback, useMemo, useContext, useRef } from "react";
+import { HttpError, submitFeedback as postFeedback } from "./api";
+import {
+  FEEDBACK_STATUS,
+  createFeedback,
+  loadFeedback,
+  saveFeedback,
+  toFeedbackPayload
+} from "./storage/biasFeedback";
+
+export const BiasFeedbackContext = createContext();
+
+// Queued feedback is retried when the browser comes back online, when the tab
+// becomes visible again, and otherwise this often
+const RETRY_INTERVAL = 60 * 1000;
+
+const isOnline = () => typeof navigator === "undefined" || navigator.onLine !== false;
+
+export function BiasFeedbackProvider({ children }) {
+  const [entries, setEntries] = useState(loadFeedback);
+  const [online, setOnline] = useState(isOnline);
+  const entriesRef = useRef(entries);
+  entriesRef.current = entries;
+  // Ids being sent right now, so the retry loop and a fresh submission never
+  // post the same entry twice at once
+  const inFlightRef = useRef(new Set());
+
+  // Saved outside the state updater, which React may call twice; the ref
+  // keeps updates from overlapping sends building on each other
+  const updateEntries = useCallback((updater) => {
+    const next = updater(entriesRef.current);
+    entriesRef.current = next;
+    setEntries(next);
+    saveFeedback(next);
+  }, []);
+
+  const patchEntry = useCallback((id, changes) => {
+    updateEntries(prev => prev.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+  }, [updateEntries]);
+
+  // Resolves to false when the failure means the backend can't be reached,
+  // so there's no point trying the rest of the queue now
+  const sendEntry = useCallback(async (entry) => {
+    if (inFlightRef.current.has(entry.id)) return true;
+    inFlightRef.current.add(entry.id);
+    const attempt = { attempts: entry.attempts + 1, lastAttemptAt: new Date().toISOString() };
+
+    try {
+      const { feedback } = await postFeedback(toFeedbackPayload(entry));
+      patchEntry(entry.id, {
+        ...attempt,
+        status: FEEDBACK_STATUS.sent,
+        sentAt: (feedback && feedback.receivedAt) || attempt.lastAttemptAt,
+        error: null
+      });
+      return true;
+    } catch (error) {
+      // Client errors won't go away on retry; anything else stays queued
+      const rejected = error instanceof HttpError && !error.retryable;
+      patchEntry(entry.id, {
+        ...attempt,
+        status: rejected ? FEEDBACK_STATUS.rejected : FEEDBACK_STATUS.pending,
+        error: error.message
+      });
+      return rejected;
+    } finally {
+      inFlightRef.current.delete(entry.id);
+    }
+  }, [patchEntry]);
+
+  // Sends queued entries oldest first, stopping at the first connection failure
+  const retryPending = useCallback(async () => {
+    if (!isOnline()) return;
+    const queue = entriesRef.current.filter(entry => entry.status === FEEDBACK_STATUS.pending).reverse();
+    for (const entry of queue) {
+      if (!(await sendEntry(entry))) return;
+    }
+  }, [sendEntry]);
+
+  const hasPending = entries.some(entry => entry.status === FEEDBACK_STATUS.pending);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setOnline(true);
+      retryPending();
+    };
+    const handleOffline = () => setOnline(false);
+    // Another tab may have queued, sent or removed feedback
+    const handleStorage = () => setEntries(loadFeedback());
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    window.addEventListener("storage", handleStorage);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+      window.removeEventListener("storage", handleStorage);
+    };
+  }, [retryPending]);
+
+  useEffect(() => {
+    if (!hasPending) return undefined;
+
+    const retryWhenVisible = () => {
+      if (document.visibilityState !== "hidden") retryPending();
+    };
+
+    retryWhenVisible();
+    const timer = setInterval(retryWhenVisible, RETRY_INTERVAL);
+    document.addEventListener("visibilitychange", retryWhenVisible);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener("visibilitychange", retryWhenVisible);
+    };
+  }, [hasPending, retryPending]);
+
+  // Queues the feedback and sends it straight away when online
+  const submitFeedback = useCallback((article, details) => {
+    const entry = createFeedback(article, details);
+    updateEntries(prev => [entry, ...prev]);
+    if (isOnline()) sendEntry(entry);
+    return entry;
+  }, [updateEntries, sendEntry]);
+
+  const removeFeedback = useCallback((id) => {
+    updateEntries(prev => prev.filter(entry => entry.id !== id));
+  }, [updateEntries]);
+
+  // Newest first, like `entries`
+  const getArticleFeedback = useCallback(
+    (articleId) => entries.filter(entry => entry.articleId === articleId),
+    [entries]
+  );
+
+  const pendingCount = useMemo(
+    () => entries.filter(entry => entry.status === FEEDBACK_STATUS.pending).length,
+    [entries]
+  );
+
+  const value = {
+    entries,
+    online,
+    pendingCount,
+    getArticleFeedback,
+    submitFeedback,
+    retryPending,
+    removeFeedback
+  };
+
+  return (
+    <BiasFeedbackContext.Provider value={value}>
+      {children}
+    </BiasFeedbackContext.Provider>
+  );
+}
+
+export function useBiasFeedback() {
+  return useContext(BiasFeedbackContext);
+}
@@ -0,0 +1,62 @@
+import { createContext, useState, useCallback, useMemo, useContext, useRef } from "react";
+import { loadCompareTray, saveCompareTray } from "./storage/compareTray";
+
+export const CompareTrayContext = createContext();
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 4;
+
+// Articles the reader has picked to compare. Whole articles are kept, not
+// ids, so a pick survives the feed paging or filtering it out of view.
+export function CompareTrayProvider({ children }) {
+  const [articles, setArticles] = useState(loadCompareTray);
+  const articlesRef = useRef(articles);
+  articlesRef.current = articles;
+
+  // Saved outside the state updater, which React may call twice
+  const updateArticles = useCallback((updater) => {
+    const next = updater(articlesRef.current);
+    articlesRef.current = next;
+    setArticles(next);
+    saveCompareTray(next);
+  }, []);
+
+  const selectedIds = useMemo(() => new Set(articles.map(article => article._id)), [articles]);
+
+  const isSelected = useCallback((articleId) => selectedIds.has(articleId), [selectedIds]);
+
+  const toggleArticle = useCallback((article) => {
+    updateArticles(prev => {
+      if (prev.some(item => item._id === article._id)) {
+        return prev.filter(item => item._id !== article._id);
+      }
+      return prev.length < MAX_COMPARE ? [...prev, article] : prev;
+    });
+  }, [updateArticles]);
+
+  const removeArticle = useCallback((articleId) => {
+    updateArticles(prev => prev.filter(item => item._id !== articleId));
+  }, [updateArticles]);
+
+  const clearTray = useCallback(() => updateArticles(() => []), [updateArticles]);
+
+  const value = {
+    articles,
+    isSelected,
+    isFull: articles.length >= MAX_COMPARE,
+    canCompare: articles.length >= MIN_COMPARE,
+    toggleArticle,
+    removeArticle,
+    clearTray
+  };
+
+  return (
+    <CompareTrayContext.Provider value={value}>
+      {children}
+    </CompareTrayContext.Provider>
+  );
+}
+
+export function useCompareTray() {
+  return useContext(CompareTrayContext);
+}
@@ -0,0 +1,190 @@
+import { createContext, useState, useEffect, useCallback, useContext, useRef } from "react";
+import { fetchArticles, fetchStoryGroups, isCancelled } from "./api";
+import {
+  DEFAULT_FILTERS,
+  buildArticleParams,
+  buildStoryParams,
+  createFeedFilter,
+  getNewerItems
+} from "./utils/feedQuery";
+import { rankBlindspots } from "./utils/blindspot";
+import { createPreset, loadPresets, savePresets } from "./storage/filterPresets";
+
+export const FilterPresetsContext = createContext();
+
+// How often each preset is checked for new matching articles
+const POLL_INTERVAL = 2 * 60 * 1000;
+// How many of the newest items each check looks through
+const CHECK_LIMIT = 100;
+
+export const getPresetState = (preset) => ({
+  view: preset.view,
+  filters: { ...DEFAULT_FILTERS, ...preset.filters }
+});
+
+const canNotify = () => typeof window !== "undefined" && "Notification" in window;
+
+const notifyNewMatches = (preset, count) => {
+  if (!canNotify() || Notification.permission !== "granted") return;
+  const notification = new Notification(`${count} new in "${preset.name}"`, {
+    body: `New ${preset.view === "stories" ? "stories" : "articles"} match your saved filters on The Narrative.`,
+    tag: preset.id
+  });
+  notification.onclick = () => window.focus();
+};
+
+// Items the preset's feed has gained since `since`, worked out from its
+// newest page: `{ count, more }`, with `more` set when there may be others
+// beyond that page. `since` is passed along for backends that can use it.
+const checkPreset = async ({ view, filters }, since, signal) => {
+  const options = { signal, retries: 0, fresh: true };
+  let page;
+  if (view === "stories") {
+    const { storyGroups, pagination } = await fetchStoryGroups(
+      { ...buildStoryParams(filters), since, limit: CHECK_LIMIT, page: 1 },
+      options
+    );
+    page = { items: storyGroups, hasMore: pagination.hasMore };
+  } else {
+    // Newest first whatever the preset sorts by, so new ones come at the top
+    const { articles, pagination } = await fetchArticles(
+      {
+        ...buildArticleParams(filters),
+        sortBy: "publishedAt",
+        sortOrder: "desc",
+        since,
+        limit: CHECK_LIMIT,
+        page: 1
+      },
+      options
+    );
+    page = { items: articles, hasMore: pagination.hasMore };
+  }
+
+  const { items, complete } = getNewerItems(view, page, since, createFeedFilter(view, filters));
+  const matching = view === "stories" && filters.blindspot ? rankBlindspots(items, filters.blindspot) : items;
+  return { count: matching.length, more: !complete };
+};
+
+export function FilterPresetsProvider({ children }) {
+  const [presets, setPresets] = useState(loadPresets);
+  // presetId -> { count, more } of items new since the preset was last opened
+  const [unreadCounts, setUnreadCounts] = useState({});
+  const presetsRef = useRef(presets);
+  presetsRef.current = presets;
+  const countsRef = useRef(unreadCounts);
+  countsRef.current = unreadCounts;
+
+  // Saved here rather than inside a state updater, which React may call twice;
+  // the ref keeps back-to-back updates building on each other
+  const updatePresets = useCallback((updater) => {
+    const next = updater(presetsRef.current);
+    presetsRef.current = next;
+    setPresets(next);
+    savePresets(next);
+  }, []);
+
+  // Polls one preset at a time; skipped while the tab is hidden and caught up
+  // as soon as it becomes visible again
+  useEffect(() => {
+    let controller = null;
+
+    const poll = async () => {
+      if (document.visibilityState === "hidden") return;
+      controller?.abort();
+      controller = new AbortController();
+      const { signal } = controller;
+
+      for (const preset of presetsRef.current) {
+        try {
+          const unread = await checkPreset(getPresetState(preset), preset.lastSeenAt, signal);
+          // Opened (or deleted) while the request was in flight
+          const latest = presetsRef.current.find(item => item.id === preset.id);
+          if (!latest || latest.lastSeenAt !== preset.lastSeenAt) continue;
+          const previous = countsRef.current[preset.id] || { count: 0 };
+          if (unread.count > previous.count && preset.notify) notifyNewMatches(preset, unread.count - previous.count);
+          setUnreadCounts(prev => ({ ...prev, [preset.id]: unread }));
+        } catch (error) {
+          if (isCancelled(error)) return;
+          console.warn(`Could not check preset "${preset.name}":`, error);
+        }
+      }
+    };
+
+    poll();
+    const timer = setInterval(poll, POLL_INTERVAL);
+    document.addEventListener("visibilitychange", poll);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener("visibilitychange", poll);
+      controller?.abort();
+    };
+  }, [presets.length]);
+
+  const addPreset = useCallback((name, state) => {
+    const preset = createPreset(name, state);
+    updatePresets(prev => [...prev, preset]);
+    return preset;
+  }, [updatePresets]);
+
+  const updatePreset = useCallback((id, changes) => {
+    updatePresets(prev => prev.map(preset => (preset.id === id ? { ...preset, ...changes } : preset)));
+  }, [updatePresets]);
+
+  const removePreset = useCallback((id) => {
+    updatePresets(prev => prev.filter(preset => preset.id !== id));
+  }, [updatePresets]);
+
+  // Only one preset can be the default; setting the current default again unpins it
+  const setDefaultPreset = useCallback((id) => {
+    updatePresets(prev => prev.map(preset => ({
+      ...preset,
+      isDefault: preset.id === id ? !preset.isDefault : false
+    })));
+  }, [updatePresets]);
+
+  const markPresetSeen = useCallback((id) => {
+    updatePreset(id, { lastSeenAt: new Date().toISOString() });
+    setUnreadCounts(prev => ({ ...prev, [id]: { count: 0, more: false } }));
+  }, [updatePreset]);
+
+  // Resolves to whether notifications are (now) allowed
+  const toggleNotify = useCallback(async (id) => {
+    const preset = presetsRef.current.find(item => item.id === id);
+    if (!preset) return false;
+    if (preset.notify) {
+      updatePreset(id, { notify: false });
+      return false;
+    }
+    if (!canNotify()) return false;
+    const permission = Notification.permission === "default"
+      ? await Notification.requestPermission()
+      : Notification.permission;
+    if (permission !== "granted") return false;
+    updatePreset(id, { notify: true });
+    return true;
+  }, [updatePreset]);
+
+  const value = {
+    presets,
+    unreadCounts,
+    defaultPreset: presets.find(preset => preset.isDefault) || null,
+    notificationsSupported: canNotify(),
+    addPreset,
+    updatePreset,
+    removePreset,
+    setDefaultPreset,
+    markPresetSeen,
+    toggleNotify
+  };
+
+  return (
+    <FilterPresetsContext.Provider value={value}>
+      {children}
+    </FilterPresetsContext.Provider>
+  );
+}
+
+export function useFilterPresets() {
+  return useContext(FilterPresetsContext);
+}
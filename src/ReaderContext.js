@@ -0,0 +1,77 @@
+import { createContext, useState, useEffect, useCallback, useMemo, useContext } from "react";
+import useReadingHistory from "./hooks/useReadingHistory";
+import { recordRead } from "./storage/readingHistory";
+
+export const ReaderContext = createContext();
+
+// Modified and middle clicks on a "Read" link keep their usual meaning
+// (open the publisher in a new tab); plain clicks open the reader
+export const isPlainClick = (e) => e.button === 0 && !e.metaKey && !e.ctrlKey && !e.shiftKey && !e.altKey;
+
+// The in-app reader: one article at a time out of a `queue` (the feed or
+// story it was opened from) that the reader can step through
+export function ReaderProvider({ children }) {
+  const [reader, setReader] = useState(null);
+  const history = useReadingHistory();
+
+  const readIds = useMemo(() => new Set(history.map(entry => entry.articleId)), [history]);
+
+  const isRead = useCallback((articleId) => readIds.has(articleId), [readIds]);
+
+  const openReader = useCallback((article, queue = [article]) => {
+    const list = queue.some(item => item._id === article._id) ? queue : [article, ...queue];
+    setReader({ queue: list, index: list.findIndex(item => item._id === article._id) });
+  }, []);
+
+  // Shows `article` next, straight after the current one, so "previous" leads back
+  const openNext = useCallback((article) => {
+    setReader((prev) => {
+      if (!prev) return { queue: [article], index: 0 };
+      const rest = prev.queue.filter(item => item._id !== article._id);
+      const position = rest.findIndex(item => item._id === prev.queue[prev.index]._id) + 1;
+      return { queue: [...rest.slice(0, position), article, ...rest.slice(position)], index: position };
+    });
+  }, []);
+
+  const step = useCallback((offset) => {
+    setReader((prev) => {
+      if (!prev) return prev;
+      const index = Math.min(prev.queue.length - 1, Math.max(0, prev.index + offset));
+      return index === prev.index ? prev : { ...prev, index };
+    });
+  }, []);
+
+  const showPrevious = useCallback(() => step(-1), [step]);
+  const showNext = useCallback(() => step(1), [step]);
+
+  const closeReader = useCallback(() => setReader(null), []);
+
+  const article = reader ? reader.queue[reader.index] : null;
+
+  // Opening an article in the reader counts as reading it
+  useEffect(() => {
+    if (article && !readIds.has(article._id)) recordRead(article);
+  }, [article, readIds]);
+
+  const value = {
+    article,
+    position: reader ? reader.index + 1 : 0,
+    total: reader ? reader.queue.length : 0,
+    isRead,
+    openReader,
+    openNext,
+    showPrevious,
+    showNext,
+    closeReader
+  };
+
+  return (
+    <ReaderContext.Provider value={value}>
+      {children}
+    </ReaderContext.Provider>
+  );
+}
+
+export function useReader() {
+  return useContext(ReaderContext);
+}
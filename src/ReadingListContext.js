@@ -0,0 +1,130 @@
+import { createContext, useState, useEffect, useCallback, useMemo, useContext, useRef } from "react";
+import {
+  createEntry,
+  deleteEntry,
+  getEntryId,
+  loadEntries,
+  mergeImport,
+  saveEntries,
+  saveEntry,
+  serializeEntries
+} from "./storage/readingList";
+
+export const ReadingListContext = createContext();
+
+const bySavedAt = (a, b) => (a.savedAt < b.savedAt ? 1 : -1);
+
+export function ReadingListProvider({ children }) {
+  const [entries, setEntries] = useState([]);
+  const [ready, setReady] = useState(false);
+  // The last change that couldn't be written, already rolled back on screen
+  const [saveError, setSaveError] = useState(null);
+  const entriesRef = useRef(entries);
+  entriesRef.current = entries;
+
+  useEffect(() => {
+    let cancelled = false;
+    loadEntries()
+      .then((loaded) => {
+        if (!cancelled) setEntries(loaded);
+      })
+      .catch((error) => console.error('Error loading reading list:', error))
+      .finally(() => {
+        if (!cancelled) setReady(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const savedIds = useMemo(() => new Set(entries.map(entry => entry.id)), [entries]);
+
+  const isSaved = useCallback((type, itemId) => savedIds.has(getEntryId(type, itemId)), [savedIds]);
+
+  // Changes show straight away; when the write fails they're undone and the
+  // failure is reported. Resolves to whether the change was kept.
+  const persist = useCallback(async (write, rollback, action) => {
+    try {
+      await write();
+      return true;
+    } catch (error) {
+      console.error(`Error trying to ${action}:`, error);
+      setEntries(rollback);
+      setSaveError({ action, message: error.message, at: Date.now() });
+      return false;
+    }
+  }, []);
+
+  const addEntry = useCallback((entry) => {
+    setEntries(prev => [entry, ...prev]);
+    return persist(
+      () => saveEntry(entry),
+      prev => prev.filter(other => other !== entry),
+      'save to your reading list'
+    );
+  }, [persist]);
+
+  const removeEntry = useCallback((id) => {
+    const removed = entriesRef.current.find(entry => entry.id === id);
+    if (!removed) return Promise.resolve(true);
+
+    setEntries(prev => prev.filter(entry => entry.id !== id));
+    return persist(
+      () => deleteEntry(id),
+      prev => (prev.some(entry => entry.id === id) ? prev : [...prev, removed].sort(bySavedAt)),
+      'remove from your reading list'
+    );
+  }, [persist]);
+
+  const toggleSaved = useCallback((type, item) => {
+    const id = getEntryId(type, item._id);
+    return savedIds.has(id) ? removeEntry(id) : addEntry(createEntry(type, item));
+  }, [savedIds, addEntry, removeEntry]);
+
+  const updateEntry = useCallback((id, changes) => {
+    const current = entriesRef.current.find(entry => entry.id === id);
+    if (!current) return Promise.resolve(false);
+
+    const updated = { ...current, ...changes, updatedAt: new Date().toISOString() };
+    setEntries(prev => prev.map(entry => (entry.id === id ? updated : entry)));
+    // Only undo this change, not a later one made while it was being written
+    return persist(
+      () => saveEntry(updated),
+      prev => prev.map(entry => (entry === updated ? current : entry)),
+      'update your reading list'
+    );
+  }, [persist]);
+
+  const dismissSaveError = useCallback(() => setSaveError(null), []);
+
+  const exportList = useCallback(() => serializeEntries(entries), [entries]);
+
+  // Returns the number of entries added or updated
+  const importList = useCallback(async (json) => {
+    const merged = mergeImport(json, entries);
+    await saveEntries(merged);
+    setEntries(await loadEntries());
+    return merged.length;
+  }, [entries]);
+
+  const value = {
+    entries,
+    ready,
+    isSaved,
+    toggleSaved,
+    updateEntry,
+    removeEntry,
+    saveError,
+    dismissSaveError,
+    exportList,
+    importList
+  };
+
+  return (
+    <ReadingListContext.Provider value={value}>
+      {children}
+    </ReadingListContext.Provider>
+  );
+}
+
+export const useReadingList = () => useContext(ReadingListContext);
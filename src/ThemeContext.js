@@ -1,55 +1,90 @@
-import { createContext, useState, useEffect, useCallback } from "react";
+import { createContext, useState, useEffect, useCallback, useContext } from "react";
+import { loadThemePreferences, saveThemeMode, saveBiasPalette } from "./storage/themePreferences";
 
 export const ThemeContext = createContext();
 
+export const THEME_MODES = [
+  { value: "system", label: "System", icon: "💻" },
+  { value: "light", label: "Light", icon: "☀️" },
+  { value: "dark", label: "Dark", icon: "🌙" },
+  { value: "high-contrast", label: "High contrast", icon: "◐" }
+];
+
+// Bias colors, chosen independently of the theme (see BIAS PALETTES in App.css)
+export const BIAS_PALETTES = [
+  { value: "standard", label: "Standard", description: "The theme's own colors" },
+  { value: "red-green", label: "Red–green safe", description: "Blue and orange, for protanopia and deuteranopia" },
+  { value: "blue-yellow", label: "Blue–yellow safe", description: "Teal and magenta, for tritanopia" }
+];
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+const CONTRAST_QUERY = "(prefers-contrast: more)";
+
+const isOption = (options, value) => options.some(option => option.value === value);
+
+// What "system" currently means on this device
+const getSystemTheme = () => {
+  if (window.matchMedia(CONTRAST_QUERY).matches) return "high-contrast";
+  return window.matchMedia(DARK_QUERY).matches ? "dark" : "light";
+};
+
 export function ThemeProvider({ children }) {
-  const [theme, setTheme] = useState(() => {
-    // Check localStorage first, then system preference
-    const saved = localStorage.getItem('the-narrative-theme');
-    if (saved) return saved;
-    return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  const [mode, setModeState] = useState(() => {
+    const { mode: saved } = loadThemePreferences();
+    return isOption(THEME_MODES, saved) ? saved : "system";
+  });
+  const [palette, setPaletteState] = useState(() => {
+    const { palette: saved } = loadThemePreferences();
+    return isOption(BIAS_PALETTES, saved) ? saved : "standard";
   });
+  const [systemTheme, setSystemTheme] = useState(getSystemTheme);
 
-  const toggleTheme = useCallback(() => {
-    const newTheme = theme === "light" ? "dark" : "light";
-    setTheme(newTheme);
-    localStorage.setItem('the-narrative-theme', newTheme);
-  }, [theme]);
+  const theme = mode === "system" ? systemTheme : mode;
+
+  // Only explicit choices are saved; the effect below never writes
+  const setMode = useCallback((nextMode) => {
+    setModeState(nextMode);
+    saveThemeMode(nextMode);
+  }, []);
 
-  // Apply theme to document and save to localStorage
+  const setPalette = useCallback((nextPalette) => {
+    setPaletteState(nextPalette);
+    saveBiasPalette(nextPalette);
+  }, []);
+
+  // Apply theme and bias palette to the document
   useEffect(() => {
-    // FIXED: Set both data-theme AND data-color-scheme for compatibility
-    document.documentElement.setAttribute('data-theme', theme);
-    document.documentElement.setAttribute('data-color-scheme', theme);
-    localStorage.setItem('the-narrative-theme', theme);
-    
+    const root = document.documentElement;
+    root.setAttribute("data-theme", theme);
+    // High contrast is built on the dark scheme (form controls, select carets)
+    root.setAttribute("data-color-scheme", theme === "light" ? "light" : "dark");
+    root.setAttribute("data-palette", palette);
+
     // Add smooth transition for theme changes
-    document.documentElement.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+    root.style.transition = "background-color 0.3s ease, color 0.3s ease";
     return () => {
-      document.documentElement.style.transition = '';
+      root.style.transition = "";
     };
-  }, [theme]);
+  }, [theme, palette]);
 
-  // Listen for system theme changes
+  // Track the OS setting; it's used whenever the mode is "system"
   useEffect(() => {
-    const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-    const handleChange = (e) => {
-      // Only update if user hasn't manually set a preference
-      if (!localStorage.getItem('the-narrative-theme')) {
-        setTheme(e.matches ? 'dark' : 'light');
-      }
-    };
-    
-    mediaQuery.addEventListener('change', handleChange);
+    const queries = [DARK_QUERY, CONTRAST_QUERY].map(query => window.matchMedia(query));
+    const handleChange = () => setSystemTheme(getSystemTheme());
+
+    queries.forEach(query => query.addEventListener("change", handleChange));
     return () => {
-      mediaQuery.removeEventListener('change', handleChange);
+      queries.forEach(query => query.removeEventListener("change", handleChange));
     };
   }, []);
 
   const value = {
+    mode,
     theme,
-    toggleTheme,
-    isDark: theme === 'dark'
+    palette,
+    setMode,
+    setPalette,
+    isDark: theme !== "light"
   };
 
   return (
@@ -58,3 +93,7 @@ export function ThemeProvider({ children }) {
     </ThemeContext.Provider>
   );
 }
+
+export function useTheme() {
+  return useContext(ThemeContext);
+}
@@ -0,0 +1,94 @@
+import { API_CONFIG } from './config';
+import { request, cleanParams } from './client';
+import { CancelledError } from './errors';
+
+// GET responses keyed by path + params. An entry younger than its TTL is
+// served without a request; older ones are still handed out by peekCache()
+// for instant rendering (up to API_CONFIG.cacheMaxAge) while callers revalidate.
+const entries = new Map();
+// Requests in flight, shared by everyone asking for the same key
+const inflight = new Map();
+
+const MAX_ENTRIES = 200;
+
+export const getCacheKey = (path, params) => {
+  const cleaned = cleanParams(params);
+  const query = Object.keys(cleaned).sort().map(key => `${key}=${cleaned[key]}`).join('&');
+  return query ? `${path}?${query}` : path;
+};
+
+const store = (key, data) => {
+  entries.delete(key);
+  entries.set(key, { data, fetchedAt: Date.now() });
+  if (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+// Lets one caller give up without cancelling the request for the others;
+// the request itself is only aborted once every caller has
+const follow = (key, shared, signal, url) => {
+  shared.waiters += 1;
+  if (!signal) return shared.promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      shared.waiters -= 1;
+      if (shared.waiters === 0) {
+        // Later callers start over rather than join a cancelled request
+        if (inflight.get(key) === shared) inflight.delete(key);
+        shared.controller.abort();
+      }
+      reject(new CancelledError({ url }));
+    };
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    shared.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+// `ttl` is how long a cached response counts as fresh; `fresh: true` skips
+// the cache read (e.g. pull-to-refresh) but still stores the result
+export const cachedRequest = (path, { params, signal, ttl = API_CONFIG.cacheTtl.feed, fresh = false, ...options } = {}) => {
+  const key = getCacheKey(path, params);
+  const entry = entries.get(key);
+  if (!fresh && entry && Date.now() - entry.fetchedAt < ttl) {
+    return Promise.resolve(entry.data);
+  }
+
+  let shared = inflight.get(key);
+  if (!shared) {
+    const controller = new AbortController();
+    shared = { controller, waiters: 0 };
+    shared.promise = request(path, { ...options, params, signal: controller.signal })
+      .then((data) => {
+        store(key, data);
+        return data;
+      })
+      .finally(() => {
+        if (inflight.get(key) === shared) inflight.delete(key);
+      });
+    // Nobody may be listening when every caller has aborted
+    shared.promise.catch(() => {});
+    inflight.set(key, shared);
+  }
+
+  return follow(key, shared, signal, `${API_CONFIG.baseUrl}${key}`);
+};
+
+// Synchronous look-up for rendering straight away; `stale` says whether a
+// revalidation is due
+export const peekCache = (path, params, ttl = API_CONFIG.cacheTtl.feed) => {
+  const entry = entries.get(getCacheKey(path, params));
+  if (!entry) return null;
+  const age = Date.now() - entry.fetchedAt;
+  if (age > API_CONFIG.cacheMaxAge) return null;
+  return { data: entry.data, stale: age >= ttl };
+};
+
+export const clearCache = () => {
+  entries.clear();
+};
@@ -0,0 +1,72 @@
+import axios from 'axios';
+import { API_CONFIG } from './config';
+import { CancelledError, toApiError } from './errors';
+import { isMockEnabled, mockAdapter } from './mock';
+
+const http = axios.create({
+  baseURL: API_CONFIG.baseUrl,
+  timeout: API_CONFIG.timeout,
+  headers: { Accept: 'application/json' }
+});
+
+// Exponential backoff with a little jitter so retries from many tabs don't line up
+const backoffDelay = (attempt) => {
+  const delay = API_CONFIG.retryDelay * 2 ** attempt;
+  return Math.min(delay + Math.random() * API_CONFIG.retryDelay, API_CONFIG.maxRetryDelay);
+};
+
+const wait = (ms, signal, url) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(new CancelledError({ url }));
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new CancelledError({ url }));
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// Drop "no filter" values so the backend only ever sees meaningful params
+export const cleanParams = (params = {}) => Object.entries(params).reduce((acc, [key, value]) => {
+  if (value === undefined || value === null || value === '' || value === 'all') return acc;
+  acc[key] = value;
+  return acc;
+}, {});
+
+export async function request(path, {
+  method = 'GET',
+  params,
+  data,
+  signal,
+  timeout = API_CONFIG.timeout,
+  retries = method === 'GET' ? API_CONFIG.retries : 0
+} = {}) {
+  const url = `${API_CONFIG.baseUrl}${path}`;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await http.request({
+        url: path,
+        method,
+        params: cleanParams(params),
+        data,
+        signal,
+        timeout,
+        // Checked per request so mock mode can be flipped without a rebuild
+        ...(isMockEnabled() && { adapter: mockAdapter })
+      });
+      return response.data;
+    } catch (err) {
+      const error = toApiError(err, { url, timeout });
+      if (!error.retryable || attempt >= retries) throw error;
+      await wait(backoffDelay(attempt), signal, url);
+    }
+  }
+}
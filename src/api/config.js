@@ -0,0 +1,62 @@
+// Backend base URLs per deployment target. REACT_APP_API_ENV picks the row,
+// REACT_APP_API_URL overrides it outright (handy for one-off backends).
+const BASE_URLS = {
+  local: 'http://localhost:5000',
+  staging: process.env.REACT_APP_STAGING_API_URL,
+  production: 'https://twosides-backend.onrender.com'
+};
+
+const toNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// A mistyped environment, or staging without its URL, is a configuration
+// error: the app shows it at startup instead of quietly sending that build's
+// traffic to production
+const resolveEnv = (env = process.env.REACT_APP_API_ENV) => {
+  if (!env) return { env: 'production', error: null };
+  if (!Object.prototype.hasOwnProperty.call(BASE_URLS, env)) {
+    return {
+      env,
+      error: `Unknown REACT_APP_API_ENV "${env}"; use one of ${Object.keys(BASE_URLS).join(', ')}`
+    };
+  }
+  if (!BASE_URLS[env] && !process.env.REACT_APP_API_URL) {
+    return {
+      env,
+      error: `REACT_APP_API_ENV is "${env}" but no backend URL is set; define REACT_APP_STAGING_API_URL or REACT_APP_API_URL`
+    };
+  }
+  return { env, error: null };
+};
+
+const resolved = resolveEnv();
+
+export const API_ENV = resolved.env;
+
+// null when the build is usable; otherwise what to fix, for the startup screen
+export const CONFIG_ERROR = resolved.error;
+
+export const API_CONFIG = {
+  env: API_ENV,
+  baseUrl: (process.env.REACT_APP_API_URL || BASE_URLS[API_ENV] || '').replace(/\/+$/, ''),
+  // Render free instances take a while to wake up, so be generous by default
+  timeout: toNumber(process.env.REACT_APP_API_TIMEOUT, 15000),
+  retries: toNumber(process.env.REACT_APP_API_RETRIES, 2),
+  retryDelay: toNumber(process.env.REACT_APP_API_RETRY_DELAY, 500),
+  maxRetryDelay: 8000,
+  // How the feed hears about new articles: 'poll', or 'sse' for backends
+  // that serve /api/news/stream (polling takes over if the stream drops)
+  liveUpdates: process.env.REACT_APP_LIVE_UPDATES === 'sse' ? 'sse' : 'poll',
+  pollInterval: toNumber(process.env.REACT_APP_POLL_INTERVAL, 60000),
+  // How long cached responses are served without asking the backend again
+  cacheTtl: {
+    feed: toNumber(process.env.REACT_APP_CACHE_TTL_FEED, 30 * 1000),
+    story: toNumber(process.env.REACT_APP_CACHE_TTL_STORY, 5 * 60 * 1000),
+    filters: toNumber(process.env.REACT_APP_CACHE_TTL_FILTERS, 30 * 60 * 1000)
+  },
+  // Past their TTL, cached responses are still shown while being refetched,
+  // up to this age
+  cacheMaxAge: 60 * 60 * 1000
+};
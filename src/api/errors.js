@@ -0,0 +1,72 @@
+// Every failure coming out of the API client is one of these, so callers can
+// branch on `instanceof` (or `error.code`) instead of poking at axios internals.
+export class ApiError extends Error {
+  constructor(message, { code = 'API_ERROR', status = null, url = '', retryable = false, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.url = url;
+    this.retryable = retryable;
+    this.cause = cause;
+  }
+}
+
+export class HttpError extends ApiError {
+  constructor(status, { url, data, cause } = {}) {
+    const message = (data && (data.message || data.error)) || `Request failed with status ${status}`;
+    super(message, {
+      code: 'HTTP_ERROR',
+      status,
+      url,
+      cause,
+      // Server hiccups and rate limits are worth another go, client errors are not
+      retryable: status >= 500 || status === 408 || status === 429
+    });
+    this.data = data;
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor({ url, cause } = {}) {
+    super('Unable to reach the news service', { code: 'NETWORK_ERROR', url, cause, retryable: true });
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(timeout, { url, cause } = {}) {
+    super(`Request timed out after ${timeout}ms`, { code: 'TIMEOUT', url, cause, retryable: true });
+    this.timeout = timeout;
+  }
+}
+
+export class CancelledError extends ApiError {
+  constructor({ url, cause } = {}) {
+    super('Request was cancelled', { code: 'CANCELLED', url, cause });
+  }
+}
+
+export const isCancelled = (error) => error instanceof CancelledError;
+
+// Normalise whatever axios (or anything else) threw into an ApiError
+export const toApiError = (error, { url, timeout } = {}) => {
+  if (error instanceof ApiError) return error;
+
+  if (error && (error.code === 'ERR_CANCELED' || error.name === 'CanceledError' || error.name === 'AbortError')) {
+    return new CancelledError({ url, cause: error });
+  }
+
+  if (error && (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT')) {
+    return new TimeoutError(timeout, { url, cause: error });
+  }
+
+  if (error && error.response) {
+    return new HttpError(error.response.status, { url, data: error.response.data, cause: error });
+  }
+
+  if (error && error.request) {
+    return new NetworkError({ url, cause: error });
+  }
+
+  return new ApiError((error && error.message) || 'Unexpected API error', { url, cause: error });
+};
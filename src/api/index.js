@@ -0,0 +1,25 @@
+export { API_CONFIG, CONFIG_ERROR } from './config';
+export { request, cleanParams } from './client';
+export { isMockEnabled, getMockOptions, setMockOptions, resetMockOptions } from './mock';
+export {
+  ApiError,
+  HttpError,
+  NetworkError,
+  TimeoutError,
+  CancelledError,
+  isCancelled
+} from './errors';
+export {
+  fetchArticles,
+  fetchStoryGroups,
+  fetchStory,
+  fetchStats,
+  fetchFilters,
+  submitFeedback,
+  peekStory,
+  peekStats,
+  peekFilters,
+  prefetchStory
+} from './news';
+export { clearCache } from './cache';
+export { openUpdateStream } from './live';
@@ -0,0 +1,22 @@
+import { API_CONFIG } from './config';
+import { isMockEnabled } from './mock';
+
+// Server-sent "something changed" pings. The events carry no articles: the
+// feed re-queries with its own filters, so the stream doesn't need to know
+// about them. Returns a close function, or null when streaming isn't in use
+// (polling mode, mock mode, or no EventSource in this browser).
+export const openUpdateStream = ({ onUpdate, onError }) => {
+  if (API_CONFIG.liveUpdates !== 'sse' || isMockEnabled() || typeof EventSource === 'undefined') {
+    return null;
+  }
+
+  const source = new EventSource(`${API_CONFIG.baseUrl}/api/news/stream`);
+  source.onmessage = onUpdate;
+  source.addEventListener('articles', onUpdate);
+  source.onerror = () => {
+    // EventSource reconnects by itself unless the server refused outright
+    if (source.readyState === EventSource.CLOSED) onError();
+  };
+
+  return () => source.close();
+};
@@ -0,0 +1,75 @@
+import { AxiosError, CanceledError } from 'axios';
+import { getMockOptions } from './config';
+
+const randomBetween = ([min, max]) => min + Math.random() * Math.max(max - min, 0);
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new CanceledError());
+    }, { once: true });
+  }
+});
+
+const buildResponse = (config, status, data) => ({
+  data,
+  status,
+  statusText: status < 400 ? 'OK' : 'Mock Error',
+  headers: { 'x-mock': 'true' },
+  config,
+  request: { mock: true }
+});
+
+const fail = (config, status, data) => {
+  const response = buildResponse(config, status, data);
+  throw new AxiosError(
+    `Request failed with status code ${status}`,
+    status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    response.request,
+    response
+  );
+};
+
+// Axios adapter that answers every request from the in-memory fixtures. It
+// sits below the client, so timeouts, retries and cancellation behave exactly
+// as they do against the real backend.
+export default async function mockAdapter(config) {
+  const options = getMockOptions();
+  const method = (config.method || 'get').toLowerCase();
+  const path = config.url.replace(/^https?:\/\/[^/]+/, '').split('?')[0];
+  const latency = randomBetween(options.latency);
+
+  if (config.signal && config.signal.aborted) throw new CanceledError();
+
+  if (config.timeout && latency > config.timeout) {
+    await delay(config.timeout, config.signal);
+    throw new AxiosError(`timeout of ${config.timeout}ms exceeded`, AxiosError.ECONNABORTED, config, { mock: true });
+  }
+
+  await delay(latency, config.signal);
+
+  if (Math.random() < options.networkErrorRate) {
+    throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, config, { mock: true });
+  }
+
+  if (options.failPaths.some(prefix => path.startsWith(prefix)) || Math.random() < options.errorRate) {
+    fail(config, options.errorStatus, { message: 'Injected mock failure' });
+  }
+
+  // Fixtures are only pulled into the bundle once mock mode is actually used
+  const { resolveRoute } = await import('./handlers');
+  const route = resolveRoute(method, path);
+  if (!route) {
+    fail(config, 404, { message: `No mock handler for ${method.toUpperCase()} ${path}` });
+  }
+
+  const body = typeof config.data === 'string' ? JSON.parse(config.data || 'null') : config.data;
+  const result = route.handler({ params: config.params || {}, match: route.match, body });
+  const { status = 200, data = result } = result && result.status ? result : {};
+
+  if (status >= 400) fail(config, status, data);
+  return buildResponse(config, status, data);
+}
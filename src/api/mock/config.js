@@ -0,0 +1,79 @@
+// Mock mode is switched on with REACT_APP_API_MOCK=true at build time, or at
+// runtime by visiting any page with ?mock=1 (?mock=0 turns it off again).
+// Runtime tweaks live in localStorage so they survive reloads during a demo.
+const STORAGE_KEY = 'the-narrative-mock';
+
+const readStored = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const writeStored = (options) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+  } catch (error) {
+    // Private mode or quota exceeded: fall back to env defaults
+  }
+};
+
+const syncFromUrl = () => {
+  if (typeof window === 'undefined') return;
+  const flag = new URLSearchParams(window.location.search).get('mock');
+  if (flag === null) return;
+  writeStored({ ...readStored(), enabled: flag !== '0' && flag !== 'false' });
+};
+
+syncFromUrl();
+
+const envNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return value !== undefined && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+export const DEFAULT_MOCK_OPTIONS = {
+  enabled: process.env.REACT_APP_API_MOCK === 'true',
+  // Simulated round trip, randomised between min and max
+  latency: [envNumber(process.env.REACT_APP_MOCK_LATENCY_MIN, 150), envNumber(process.env.REACT_APP_MOCK_LATENCY_MAX, 600)],
+  // Share of requests (0-1) that fail with `errorStatus`
+  errorRate: envNumber(process.env.REACT_APP_MOCK_ERROR_RATE, 0),
+  errorStatus: envNumber(process.env.REACT_APP_MOCK_ERROR_STATUS, 503),
+  // Share of requests (0-1) that fail as if the network dropped
+  networkErrorRate: 0,
+  // Endpoint paths (prefix match) that always fail, e.g. ['/api/news/stats']
+  failPaths: [],
+  // Seconds between simulated new articles; 0 turns arrivals off
+  arrivalInterval: envNumber(process.env.REACT_APP_MOCK_ARRIVAL_INTERVAL, 60)
+};
+
+export const getMockOptions = () => ({ ...DEFAULT_MOCK_OPTIONS, ...readStored() });
+
+export const isMockEnabled = () => Boolean(getMockOptions().enabled);
+
+export const setMockOptions = (options) => {
+  writeStored({ ...readStored(), ...options });
+  return getMockOptions();
+};
+
+export const resetMockOptions = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    // Nothing stored, nothing to reset
+  }
+  return getMockOptions();
+};
+
+// Console handle for tweaking latency/errors mid-demo, e.g.
+// narrativeMock.set({ errorRate: 0.3 }) or narrativeMock.set({ failPaths: ['/api/news/stats'] })
+if (typeof window !== 'undefined') {
+  window.narrativeMock = {
+    get: getMockOptions,
+    set: setMockOptions,
+    reset: resetMockOptions,
+    enable: () => setMockOptions({ enabled: true }),
+    disable: () => setMockOptions({ enabled: false })
+  };
+}
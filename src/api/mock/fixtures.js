@@ -0,0 +1,374 @@
+// Hand-written seed data for mock mode. Everything is generated relative to
+// "now" so relative dates ("3 hours ago") look the way they do in production.
+
+export const SOURCES = [
+  { name: 'The Guardian', bias: 'left', url: 'https://www.theguardian.com' },
+  { name: 'MSNBC', bias: 'left', url: 'https://www.msnbc.com' },
+  { name: 'HuffPost', bias: 'left', url: 'https://www.huffpost.com' },
+  { name: 'Reuters', bias: 'center', url: 'https://www.reuters.com' },
+  { name: 'Associated Press', bias: 'center', url: 'https://apnews.com' },
+  { name: 'BBC News', bias: 'center', url: 'https://www.bbc.com/news' },
+  { name: 'Fox News', bias: 'right', url: 'https://www.foxnews.com' },
+  { name: 'New York Post', bias: 'right', url: 'https://nypost.com' },
+  { name: 'Washington Examiner', bias: 'right', url: 'https://www.washingtonexaminer.com' }
+];
+
+export const CATEGORIES = [
+  'politics', 'business', 'technology', 'sports', 'entertainment', 'health', 'science', 'world'
+];
+
+export const BIASES = ['left', 'center', 'right'];
+
+const STORY_SEEDS = [
+  {
+    category: 'politics',
+    hoursAgo: 2,
+    coverage: { left: 2, center: 2, right: 2 },
+    keywords: ['budget', 'congress', 'shutdown', 'spending'],
+    headline: 'Congress reaches last-minute deal to avert government shutdown',
+    summary: 'Lawmakers agreed on a stopgap spending bill hours before the deadline, funding the government through early next year.',
+    angles: {
+      left: ['Shutdown averted, but deal leaves social programs underfunded', 'Progressives warn stopgap bill shortchanges working families on childcare and housing.'],
+      center: ['Congress passes stopgap bill, averting shutdown', 'The measure keeps agencies funded at current levels while negotiators work on a full-year budget.'],
+      right: ['GOP holds the line on spending as shutdown deal clears Congress', 'Conservatives secured a freeze on new spending, calling it a win for taxpayers.']
+    }
+  },
+  {
+    category: 'politics',
+    hoursAgo: 9,
+    coverage: { left: 3, center: 1, right: 0 },
+    keywords: ['voting', 'election', 'redistricting', 'court'],
+    headline: 'Court strikes down state redistricting map',
+    summary: 'A federal panel ruled the newly drawn congressional map diluted minority voting power and ordered it redrawn.',
+    angles: {
+      left: ['Court rebukes gerrymandered map in victory for voting rights', 'Civil rights groups celebrated the ruling as a landmark protection against voter suppression.'],
+      center: ['Federal panel orders state to redraw congressional map', 'Judges found the map violated the Voting Rights Act and set a deadline for a new plan.'],
+      right: ['Judges override legislature on congressional map', 'State officials said they would appeal what they described as judicial overreach.']
+    }
+  },
+  {
+    category: 'business',
+    hoursAgo: 5,
+    coverage: { left: 1, center: 3, right: 2 },
+    keywords: ['interest rates', 'federal reserve', 'inflation', 'economy'],
+    headline: 'Central bank holds interest rates steady',
+    summary: 'Policymakers kept rates unchanged for a third straight meeting, citing cooling but persistent inflation.',
+    angles: {
+      left: ['Fed holds rates as families struggle with borrowing costs', 'Economists say prolonged high rates are squeezing renters and first-time buyers hardest.'],
+      center: ['Fed leaves rates unchanged, signals patience on cuts', 'The decision was widely expected; markets now price in a cut by mid-year.'],
+      right: ['Fed stands pat as inflation keeps biting', 'Critics blamed runaway federal spending for keeping inflation above target.']
+    }
+  },
+  {
+    category: 'technology',
+    hoursAgo: 14,
+    coverage: { left: 2, center: 2, right: 1 },
+    keywords: ['artificial intelligence', 'regulation', 'privacy', 'big tech'],
+    headline: 'Lawmakers unveil sweeping AI oversight bill',
+    summary: 'A bipartisan group introduced legislation requiring safety testing and disclosure for advanced AI systems.',
+    angles: {
+      left: ['New AI bill aims to rein in unchecked big tech power', 'Advocates say the bill finally holds tech giants accountable for harms to workers and consumers.'],
+      center: ['Bipartisan AI bill would require safety testing for advanced models', 'The proposal sets disclosure rules and creates a new office to audit high-risk systems.'],
+      right: ['AI bill threatens innovation with heavy-handed regulation', 'Industry groups warned the mandates could hand China an edge in the AI race.']
+    }
+  },
+  {
+    category: 'world',
+    hoursAgo: 20,
+    coverage: { left: 1, center: 3, right: 1 },
+    keywords: ['climate', 'summit', 'emissions', 'diplomacy'],
+    headline: 'Climate summit ends with pledge to triple renewable capacity',
+    summary: 'Nearly 120 countries signed on to a goal of tripling renewable energy capacity by 2030.',
+    angles: {
+      left: ['Climate summit pledge falls short of what science demands', 'Activists called the renewable target welcome but said fossil fuel phase-out language was gutted.'],
+      center: ['Nations pledge to triple renewable energy by 2030 at climate summit', 'The agreement is non-binding; major emitters differed on timelines for coal.'],
+      right: ['Climate summit commitments raise questions about energy costs', 'Critics said the pledges ignore reliability concerns and the price burden on consumers.']
+    }
+  },
+  {
+    category: 'health',
+    hoursAgo: 30,
+    coverage: { left: 2, center: 1, right: 0 },
+    keywords: ['healthcare', 'drug prices', 'medicare', 'insulin'],
+    headline: 'Medicare announces first negotiated drug prices',
+    summary: 'The program published lower prices for ten widely used medications following its first round of negotiations.',
+    angles: {
+      left: ['Medicare drug price cuts deliver relief to millions of seniors', 'The long-fought negotiation power is already saving patients hundreds of dollars a year.'],
+      center: ['Medicare releases negotiated prices for ten drugs', 'The new prices take effect in two years; drugmakers are challenging the program in court.'],
+      right: ['Drug price controls could chill research, industry warns', 'Pharmaceutical companies said government price-setting will mean fewer new cures.']
+    }
+  },
+  {
+    category: 'politics',
+    hoursAgo: 26,
+    coverage: { left: 0, center: 1, right: 3 },
+    keywords: ['border', 'immigration', 'asylum', 'security'],
+    headline: 'Record border crossings reported last month',
+    summary: 'Customs data showed the highest monthly number of encounters at the southern border this year.',
+    angles: {
+      left: ['Border numbers rise as asylum system remains overwhelmed', 'Advocates urged more processing capacity and humane treatment for families.'],
+      center: ['Border encounters hit yearly high, new data shows', 'Officials attributed the increase to seasonal patterns and instability in the region.'],
+      right: ['Border crisis deepens as crossings hit new record', 'Republicans blamed lax enforcement and called for the immediate return of stricter policies.']
+    }
+  },
+  {
+    category: 'science',
+    hoursAgo: 40,
+    coverage: { left: 1, center: 2, right: 1 },
+    keywords: ['space', 'nasa', 'moon', 'exploration'],
+    headline: 'Lunar lander touches down near the moon\'s south pole',
+    summary: 'The uncrewed mission became the first private spacecraft to land successfully near the lunar south pole.',
+    angles: {
+      left: ['Historic moon landing shows the promise of public science funding', 'Scientists credited decades of publicly funded research for the milestone.'],
+      center: ['Private lander makes first touchdown near lunar south pole', 'The craft will study water ice deposits that could support future crewed missions.'],
+      right: ['Private enterprise lands on the moon', 'Commentators hailed the landing as proof that commercial competition drives results.']
+    }
+  },
+  {
+    category: 'sports',
+    hoursAgo: 12,
+    coverage: { left: 1, center: 2, right: 1 },
+    keywords: ['football', 'championship', 'final', 'stadium'],
+    headline: 'Underdogs win championship in extra time',
+    summary: 'A late equaliser and an extra-time winner completed one of the biggest upsets in the tournament\'s history.',
+    angles: {
+      left: ['Underdog title win celebrated as victory for community-owned clubs', 'Supporters said the win proves fan ownership can compete with billionaire-backed teams.'],
+      center: ['Underdogs claim championship with extra-time winner', 'The victory ends a 40-year wait for a major trophy.'],
+      right: ['Grit and discipline carry underdogs to title', 'The coach credited hard work and old-fashioned team spirit for the upset.']
+    }
+  },
+  {
+    category: 'entertainment',
+    hoursAgo: 50,
+    coverage: { left: 2, center: 1, right: 1 },
+    keywords: ['streaming', 'strike', 'hollywood', 'writers'],
+    headline: 'Studios and writers reach tentative agreement',
+    summary: 'The deal includes higher residuals from streaming and limits on the use of AI in scriptwriting.',
+    angles: {
+      left: ['Writers win historic protections against AI and streaming exploitation', 'Union members called the deal a turning point for creative workers.'],
+      center: ['Tentative deal reached between studios and writers guild', 'Members will vote on the agreement over the coming weeks.'],
+      right: ['Costly strike ends with deal that studios say hurts bottom line', 'Analysts estimated the stoppage cost the regional economy billions.']
+    }
+  },
+  {
+    category: 'business',
+    hoursAgo: 60,
+    coverage: { left: 0, center: 2, right: 2 },
+    keywords: ['taxes', 'small business', 'regulation', 'economy'],
+    headline: 'New tax credit for small businesses takes effect',
+    summary: 'Businesses with fewer than 50 employees can now claim a credit for hiring and equipment investment.',
+    angles: {
+      left: ['Small business credit criticised as windfall for wealthy owners', 'Tax experts said most benefits will flow to already profitable firms.'],
+      center: ['Small business tax credit now available', 'Eligible firms can claim up to 20 percent of qualifying investments.'],
+      right: ['Tax relief finally arrives for Main Street businesses', 'Owners said the credit will help them hire despite rising costs.']
+    }
+  },
+  {
+    category: 'technology',
+    hoursAgo: 70,
+    coverage: { left: 3, center: 0, right: 0 },
+    keywords: ['social media', 'misinformation', 'platforms', 'moderation'],
+    headline: 'Platform rolls back election misinformation policies',
+    summary: 'A major social network said it would stop labelling disputed election claims ahead of next year\'s vote.',
+    angles: {
+      left: ['Platform abandons fight against election lies', 'Researchers warned the rollback could fuel a new wave of disinformation.'],
+      center: ['Social network ends labels on disputed election claims', 'The company said the labels had limited effect and drew complaints from users.'],
+      right: ['Platform ends censorship of election speech', 'Free speech advocates welcomed the change as overdue.']
+    }
+  }
+];
+
+const REASONING = {
+  left: 'Framing emphasises social impact and affected communities; language such as "working families" and quotes from advocacy groups indicate a left-leaning perspective.',
+  center: 'Largely factual reporting with balanced sourcing from officials on both sides and limited use of evaluative language.',
+  right: 'Framing emphasises fiscal cost, security and individual liberty; word choice and sourcing favour conservative voices.'
+};
+
+// Neighbouring entries on the same event from different sides are left
+// ungrouped on purpose, like coverage the clustering missed
+const STANDALONE_SEEDS = [
+  ['health', 'center', 'Study links daily walking to lower heart disease risk', ['fitness', 'heart', 'study']],
+  ['health', 'right', 'Walking study bolsters case for personal responsibility in health', ['fitness', 'heart', 'health costs']],
+  ['science', 'center', 'Researchers map deepest coral reef yet discovered', ['ocean', 'coral', 'research']],
+  ['technology', 'left', 'Gig workers push for app-based labour protections', ['gig economy', 'labour', 'apps']],
+  ['technology', 'center', 'Regulators weigh new rules for app-based gig work', ['gig economy', 'apps', 'regulation']],
+  ['technology', 'right', 'Startups flee high-tax cities for friendlier states', ['startups', 'taxes', 'relocation']],
+  ['business', 'center', 'Retail sales edge up ahead of holiday season', ['retail', 'consumers', 'economy']],
+  ['business', 'left', 'Holiday hiring lags even as retail sales rise', ['retail', 'consumers', 'wages']],
+  ['business', 'right', 'Energy producers report surge in domestic output', ['oil', 'energy', 'production']],
+  ['world', 'left', 'Aid groups warn of worsening humanitarian crisis', ['aid', 'refugees', 'crisis']],
+  ['world', 'center', 'Trade ministers meet to ease shipping bottlenecks', ['trade', 'shipping', 'diplomacy']],
+  ['politics', 'right', 'Governors call for tougher sentencing on repeat offenders', ['crime', 'sentencing', 'states']],
+  ['politics', 'center', 'States split on sentencing changes as crime data shifts', ['crime', 'sentencing', 'data']],
+  ['politics', 'left', 'City expands affordable housing voucher programme', ['housing', 'affordability', 'cities']],
+  ['sports', 'center', 'Veteran striker announces retirement after 18 seasons', ['football', 'retirement', 'career']],
+  ['entertainment', 'center', 'Indie film sweeps festival awards', ['film', 'festival', 'awards']]
+];
+
+// Small deterministic PRNG so the fixtures are identical on every reload
+const createRandom = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+// Archived coverage runs from this many days ago back to ARCHIVE_DAYS
+const ARCHIVE_START_DAY = 4;
+const ARCHIVE_DAYS = 90;
+
+// Continuous -1 (left) to 1 (right) position, scattered around the article's side
+const biasScoreFor = (bias, random) => {
+  const base = { left: -0.7, center: 0, right: 0.7 }[bias];
+  return Math.round((base + (random() - 0.5) * 0.5) * 100) / 100;
+};
+
+const slug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+export const buildFixtures = (now = Date.now()) => {
+  const random = createRandom(42);
+  const articles = [];
+  const storyGroups = [];
+  let articleCounter = 0;
+
+  const makeArticle = ({ source, category, articleBias, title, aiHeading, summary, keywords, publishedAt, storyGroupId }) => {
+    articleCounter += 1;
+    const id = `mock-article-${String(articleCounter).padStart(3, '0')}`;
+    return {
+      _id: id,
+      title,
+      aiHeading,
+      description: summary,
+      summary,
+      // Dated paths, like most news sites, keep re-run headlines distinct
+      url: `${source.url}/${new Date(publishedAt).toISOString().slice(0, 10).replace(/-/g, '/')}/${slug(title)}`,
+      imageUrl: null,
+      source: { name: source.name, bias: source.bias, url: source.url },
+      category,
+      articleBias,
+      biasConfidence: Math.round((0.55 + random() * 0.43) * 100) / 100,
+      biasScore: biasScoreFor(articleBias, random),
+      biasReasoning: REASONING[articleBias],
+      keywords,
+      publishedAt: new Date(publishedAt).toISOString(),
+      fetchedAt: new Date(publishedAt + 20 * 60 * 1000).toISOString(),
+      storyGroupId: storyGroupId || null
+    };
+  };
+
+  const addStory = (seed, storyGroupId, storyStart, coverage) => {
+    const storyArticles = [];
+
+    BIASES.forEach((bias) => {
+      const outlets = SOURCES.filter(source => source.bias === bias);
+      for (let i = 0; i < coverage[bias]; i++) {
+        const source = outlets[i % outlets.length];
+        const [heading, angleSummary] = seed.angles[bias];
+        // Keyword extraction differs a little per article, and picks up the
+        // angle's own focus (its longest headline word)
+        const angleKeyword = heading.toLowerCase().match(/[a-z]+/g).sort((a, b) => b.length - a.length)[0];
+        storyArticles.push(makeArticle({
+          source,
+          category: seed.category,
+          articleBias: bias,
+          title: i === 0 ? heading : `${heading} (${source.name})`,
+          aiHeading: i === 0 ? seed.headline : heading,
+          summary: angleSummary,
+          keywords: [...seed.keywords.filter(() => random() > 0.25), angleKeyword],
+          // Spread coverage over the following hours so timelines have shape
+          publishedAt: storyStart - Math.round(random() * 6 * HOUR),
+          storyGroupId
+        }));
+      }
+    });
+
+    articles.push(...storyArticles);
+
+    const publishedTimes = storyArticles.map(article => Date.parse(article.publishedAt));
+    storyGroups.push({
+      _id: storyGroupId,
+      mainHeadline: seed.headline,
+      summary: seed.summary,
+      category: seed.category,
+      keywords: seed.keywords,
+      articles: storyArticles.map(article => article._id),
+      biasDistribution: { ...coverage },
+      createdAt: new Date(Math.min(...publishedTimes)).toISOString(),
+      lastUpdated: new Date(Math.max(...publishedTimes)).toISOString()
+    });
+  };
+
+  const addStandalone = ([category, bias, title, keywords], index, publishedAt) => {
+    const outlets = SOURCES.filter(source => source.bias === bias);
+    articles.push(makeArticle({
+      source: outlets[index % outlets.length],
+      category,
+      articleBias: bias,
+      title,
+      aiHeading: title,
+      summary: `${title}. Full details are available from the original publisher.`,
+      keywords,
+      publishedAt
+    }));
+  };
+
+  STORY_SEEDS.forEach((seed, storyIndex) => {
+    const storyGroupId = `mock-story-${String(storyIndex + 1).padStart(2, '0')}`;
+    addStory(seed, storyGroupId, now - seed.hoursAgo * HOUR, seed.coverage);
+  });
+
+  STANDALONE_SEEDS.forEach((seed, index) => {
+    addStandalone(seed, index, now - (3 + index * 7) * HOUR);
+  });
+
+  // Older coverage so date-windowed views (Trends) have weeks of history:
+  // a re-run story every other day with its own mix of outlets, plus a few
+  // standalone articles a day
+  for (let day = ARCHIVE_START_DAY; day <= ARCHIVE_DAYS; day++) {
+    const dayStart = now - day * DAY;
+    if (day % 2 === 0) {
+      const coverage = BIASES.reduce((acc, bias) => {
+        acc[bias] = Math.floor(random() * 4);
+        return acc;
+      }, {});
+      if (!coverage.left && !coverage.center && !coverage.right) coverage.center = 1;
+      const seed = STORY_SEEDS[day % STORY_SEEDS.length];
+      addStory(seed, `mock-archive-${String(day).padStart(2, '0')}`, dayStart, coverage);
+    }
+    const count = 1 + Math.floor(random() * 3);
+    for (let i = 0; i < count; i++) {
+      const index = Math.floor(random() * STANDALONE_SEEDS.length);
+      addStandalone(STANDALONE_SEEDS[index], day + i, dayStart - Math.round(random() * 20 * HOUR));
+    }
+  }
+
+  return { articles, storyGroups, sources: SOURCES, categories: CATEGORIES, biases: BIASES };
+};
+
+// A freshly published standalone article, for simulating new arrivals
+export const buildArrival = (index, publishedAt) => {
+  const random = createRandom(1000 + index);
+  const [category, bias, title, keywords] = STANDALONE_SEEDS[index % STANDALONE_SEEDS.length];
+  const outlets = SOURCES.filter(source => source.bias === bias);
+  const source = outlets[index % outlets.length];
+  const heading = `Developing: ${title}`;
+  return {
+    _id: `mock-live-${String(index).padStart(3, '0')}`,
+    title: heading,
+    aiHeading: heading,
+    description: `${title}. This story is developing.`,
+    summary: `${title}. This story is developing.`,
+    url: `${source.url}/${slug(title)}-${index}`,
+    imageUrl: null,
+    source: { name: source.name, bias: source.bias, url: source.url },
+    category,
+    articleBias: bias,
+    biasConfidence: Math.round((0.55 + random() * 0.43) * 100) / 100,
+    biasScore: biasScoreFor(bias, random),
+    biasReasoning: REASONING[bias],
+    keywords,
+    publishedAt: new Date(publishedAt).toISOString(),
+    fetchedAt: new Date(publishedAt).toISOString(),
+    storyGroupId: null
+  };
+};
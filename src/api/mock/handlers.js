@@ -0,0 +1,256 @@
+import { buildFixtures, buildArrival, BIASES } from './fixtures';
+import { getMockOptions } from './config';
+
+let db = null;
+let lastArrival = Date.now();
+let arrivalCount = 0;
+
+// New articles trickle in every `arrivalInterval` seconds so polling and
+// "new articles" prompts have something to find
+const addArrivals = () => {
+  const interval = getMockOptions().arrivalInterval * 1000;
+  if (!interval) return;
+  const due = Math.min(Math.floor((Date.now() - lastArrival) / interval), 5);
+  for (let i = 1; i <= due; i++) {
+    arrivalCount += 1;
+    db.articles.push(buildArrival(arrivalCount, Date.now() - (due - i) * 1000));
+  }
+  if (due > 0) lastArrival = Date.now();
+};
+
+const getDb = () => {
+  if (!db) db = { ...buildFixtures(), feedback: [] };
+  addArrivals();
+  return db;
+};
+
+const paginate = (items, params, defaultLimit) => {
+  const page = Math.max(parseInt(params.page, 10) || 1, 1);
+  const limit = Math.max(parseInt(params.limit, 10) || defaultLimit, 1);
+  const start = (page - 1) * limit;
+  const total = items.length;
+  return {
+    items: items.slice(start, start + limit),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasMore: start + limit < total
+    }
+  };
+};
+
+const getField = (item, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), item);
+
+const sortItems = (items, sortBy, sortOrder) => {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  return [...items].sort((a, b) => {
+    const left = getField(a, sortBy);
+    const right = getField(b, sortBy);
+    if (left === right) return 0;
+    if (left == null) return 1;
+    if (right == null) return -1;
+    return (left > right ? 1 : -1) * direction;
+  });
+};
+
+const toList = (value) => (value ? String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean) : []);
+
+// `search` may contain "quoted phrases"; `exclude` is a comma-separated list
+const matchesText = (haystack, params) => {
+  const text = haystack.join(' ').toLowerCase();
+  const search = (params.search || '').toLowerCase();
+  const phrases = [];
+  const rest = search.replace(/"([^"]*)"/g, (_, phrase) => {
+    phrases.push(phrase.trim());
+    return ' ';
+  });
+  const terms = [...phrases, ...rest.split(/\s+/)].filter(Boolean);
+  return terms.every(term => text.includes(term)) &&
+    !toList(params.exclude).some(term => text.includes(term));
+};
+
+const matchesKeywords = (keywords = [], wanted) => {
+  const lower = keywords.map(keyword => keyword.toLowerCase());
+  return toList(wanted).every(keyword => lower.includes(keyword));
+};
+
+const matchesSearch = (article, params) => matchesText([
+  article.title,
+  article.aiHeading,
+  article.summary,
+  article.source.name,
+  ...(article.keywords || [])
+], params);
+
+const inDateRange = (value, dateFrom, dateTo) => {
+  const time = Date.parse(value);
+  if (dateFrom && time < Date.parse(dateFrom)) return false;
+  // dateTo is a calendar day, so include the whole of it
+  if (dateTo && time >= Date.parse(dateTo) + 24 * 60 * 60 * 1000) return false;
+  return true;
+};
+
+const inList = (value, list) => !list || toList(list).includes(String(value).toLowerCase());
+
+const inConfidenceRange = (confidence, min, max) =>
+  (min === undefined || confidence >= Number(min)) && (max === undefined || confidence <= Number(max));
+
+// `within` is a rolling window like '48h' or '7d'
+const WINDOW_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const inWindow = (value, within) => {
+  const match = within && String(within).match(/^(\d+)([hd])$/);
+  return !match || Date.parse(value) >= Date.now() - Number(match[1]) * WINDOW_UNITS[match[2]];
+};
+
+const filterArticles = (articles, params) => articles.filter(article =>
+  inList(article.category, params.category) &&
+  inList(article.articleBias, params.bias) &&
+  inConfidenceRange(article.biasConfidence, params.minConfidence, params.maxConfidence) &&
+  (!params.source || toList(params.source).includes(article.source.name.toLowerCase())) &&
+  matchesKeywords(article.keywords, params.keywords) &&
+  matchesSearch(article, params) &&
+  inDateRange(article.publishedAt, params.dateFrom, params.dateTo) &&
+  inWindow(article.publishedAt, params.within) &&
+  (!params.since || Date.parse(article.publishedAt) > Date.parse(params.since))
+);
+
+const countBy = (items, key) => items.reduce((acc, item) => {
+  acc[item[key]] = (acc[item[key]] || 0) + 1;
+  return acc;
+}, {});
+
+const listArticles = ({ params }) => {
+  const filtered = filterArticles(getDb().articles, params);
+  const sorted = sortItems(filtered, params.sortBy || 'publishedAt', params.sortOrder || 'desc');
+  const { items, pagination } = paginate(sorted, params, 20);
+  return { articles: items, pagination };
+};
+
+const matchesStorySearch = (group, params) =>
+  matchesText([group.mainHeadline, group.summary, ...(group.keywords || [])], params);
+
+// A story matches `source` when any of its articles comes from one of them
+const hasSource = (group, source, articlesById) => {
+  const wanted = toList(source);
+  return !wanted.length || group.articles.some(id =>
+    articlesById[id] && wanted.includes(articlesById[id].source.name.toLowerCase())
+  );
+};
+
+const filterStoryGroups = (storyGroups, params, articlesById = {}) => storyGroups.filter(group =>
+  inList(group.category, params.category) &&
+  (!params.bias || toList(params.bias).some(bias => group.biasDistribution[bias] > 0)) &&
+  hasSource(group, params.source, articlesById) &&
+  matchesKeywords(group.keywords, params.keywords) &&
+  matchesStorySearch(group, params) &&
+  inDateRange(group.lastUpdated, params.dateFrom, params.dateTo) &&
+  inWindow(group.lastUpdated, params.within) &&
+  (!params.since || Date.parse(group.lastUpdated) > Date.parse(params.since)) &&
+  (!params.minSources || group.articles.length >= Number(params.minSources)) &&
+  (!params.allPerspectives || BIASES.every(bias => group.biasDistribution[bias] > 0))
+);
+
+const listStoryGroups = ({ params }) => {
+  const { storyGroups, articles } = getDb();
+  const articlesById = Object.fromEntries(articles.map(article => [article._id, article]));
+  const filtered = filterStoryGroups(storyGroups, params, articlesById)
+    .map(group => ({ ...group, sourceCount: group.articles.length }));
+  const sorted = sortItems(filtered, params.sortBy || 'lastUpdated', params.sortOrder || 'desc');
+  const { items, pagination } = paginate(sorted, params, 10);
+  return { storyGroups: items, pagination };
+};
+
+const getStory = ({ match }) => {
+  const { storyGroups, articles } = getDb();
+  const storyGroup = storyGroups.find(group => group._id === match[1]);
+  if (!storyGroup) {
+    return { status: 404, data: { message: 'Story group not found' } };
+  }
+
+  const storyArticles = articles.filter(article => article.storyGroupId === storyGroup._id);
+  const articlesByBias = BIASES.reduce((acc, bias) => {
+    acc[bias] = storyArticles.filter(article => article.articleBias === bias);
+    return acc;
+  }, {});
+  const missingBiases = BIASES.reduce((acc, bias) => {
+    acc[bias] = articlesByBias[bias].length === 0;
+    return acc;
+  }, {});
+
+  return { storyGroup, articlesByBias, missingBiases };
+};
+
+const getStats = () => {
+  const { articles } = getDb();
+  return {
+    totalArticles: articles.length,
+    lastUpdate: articles.reduce((latest, article) => (article.fetchedAt > latest ? article.fetchedAt : latest), ''),
+    biasStats: countBy(articles, 'articleBias'),
+    categoryStats: countBy(articles, 'category')
+  };
+};
+
+const getFilters = () => {
+  const { articles, categories, biases } = getDb();
+  const dates = articles.map(article => article.publishedAt).sort();
+  const keywordCounts = countBy(articles.flatMap(article => (article.keywords || []).map(keyword => ({ keyword }))), 'keyword');
+  return {
+    categories,
+    biases,
+    sources: [...new Set(articles.map(article => article.source.name))].sort(),
+    keywords: Object.keys(keywordCounts).sort((a, b) => keywordCounts[b] - keywordCounts[a]),
+    dateRange: { earliest: dates[0], latest: dates[dates.length - 1] }
+  };
+};
+
+const FEEDBACK_TYPES = ['dispute', 'rating'];
+// Disputes may propose any point on the five-point scale
+const LEANINGS = ['left', 'lean-left', 'center', 'lean-right', 'right'];
+
+// Feedback is checked and acknowledged; nothing reads it back yet
+const createFeedback = ({ body }) => {
+  const { articles, feedback } = getDb();
+  const { clientId, articleId, type, proposedBias, reason, helpful } = body || {};
+
+  if (!clientId || !articleId || !FEEDBACK_TYPES.includes(type)) {
+    return { status: 400, data: { message: 'clientId, articleId and a valid type are required' } };
+  }
+  if (!articles.some(article => article._id === articleId)) {
+    return { status: 404, data: { message: 'Article not found' } };
+  }
+  if (type === 'dispute' && (!LEANINGS.includes(proposedBias) || !String(reason || '').trim())) {
+    return { status: 400, data: { message: 'A dispute needs a proposed leaning and a reason' } };
+  }
+  if (type === 'rating' && typeof helpful !== 'boolean') {
+    return { status: 400, data: { message: 'A rating needs helpful: true or false' } };
+  }
+
+  // A retry of something already received (its response was lost) gets the original back
+  const existing = feedback.find(item => item.clientId === clientId);
+  if (existing) return { feedback: existing };
+
+  const created = { ...body, _id: `mock-feedback-${feedback.length + 1}`, receivedAt: new Date().toISOString() };
+  feedback.push(created);
+  return { status: 201, data: { feedback: created } };
+};
+
+// Order matters: the first matching route wins
+export const routes = [
+  { method: 'get', pattern: /^\/api\/news\/?$/, handler: listArticles },
+  { method: 'get', pattern: /^\/api\/news\/stories\/?$/, handler: listStoryGroups },
+  { method: 'get', pattern: /^\/api\/news\/stats\/?$/, handler: getStats },
+  { method: 'get', pattern: /^\/api\/news\/filters\/?$/, handler: getFilters },
+  { method: 'get', pattern: /^\/api\/news\/stories\/([^/]+)\/?$/, handler: getStory },
+  { method: 'post', pattern: /^\/api\/feedback\/?$/, handler: createFeedback }
+];
+
+export const resolveRoute = (method, path) => {
+  for (const route of routes) {
+    const match = route.method === method && path.match(route.pattern);
+    if (match) return { handler: route.handler, match };
+  }
+  return null;
+};
@@ -0,0 +1,8 @@
+export { default as mockAdapter } from './adapter';
+export {
+  isMockEnabled,
+  getMockOptions,
+  setMockOptions,
+  resetMockOptions,
+  DEFAULT_MOCK_OPTIONS
+} from './config';
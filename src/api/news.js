@@ -0,0 +1,43 @@
+import { API_CONFIG } from './config';
+import { cachedRequest, peekCache } from './cache';
+import { request } from './client';
+
+// One function per backend endpoint. All of them accept `{ signal }` so
+// callers can cancel with an AbortController, plus the cache options
+// `{ fresh, ttl }` (see ./cache).
+
+const storyPath = (storyId) => `/api/news/stories/${encodeURIComponent(storyId)}`;
+
+export const fetchArticles = (params, options) =>
+  cachedRequest('/api/news', { ...options, params });
+
+export const fetchStoryGroups = (params, options) =>
+  cachedRequest('/api/news/stories', { ...options, params });
+
+export const fetchStory = (storyId, options) =>
+  cachedRequest(storyPath(storyId), { ttl: API_CONFIG.cacheTtl.story, ...options });
+
+export const fetchStats = (options) =>
+  cachedRequest('/api/news/stats', options);
+
+export const fetchFilters = (options) =>
+  cachedRequest('/api/news/filters', { ttl: API_CONFIG.cacheTtl.filters, ...options });
+
+// Reader feedback on a bias classification (see storage/biasFeedback). Never
+// cached; the backend treats a repeated `clientId` as the same submission.
+export const submitFeedback = (feedback, options) =>
+  request('/api/feedback', { ...options, method: 'POST', data: feedback });
+
+// Cached responses for rendering before the request above settles:
+// `{ data, stale }` or null
+
+export const peekStory = (storyId) => peekCache(storyPath(storyId), undefined, API_CONFIG.cacheTtl.story);
+
+export const peekStats = () => peekCache('/api/news/stats');
+
+export const peekFilters = () => peekCache('/api/news/filters', undefined, API_CONFIG.cacheTtl.filters);
+
+// Warms the cache, e.g. while the pointer is on a link to the story
+export const prefetchStory = (storyId) => {
+  fetchStory(storyId).catch(() => {});
+};
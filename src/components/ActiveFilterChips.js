@@ -0,0 +1,102 @@
+import React from 'react';
+import { DEFAULT_FILTERS, WITHIN_OPTIONS, filterAppliesTo } from '../utils/feedQuery';
+import { getBiasLabel } from '../utils/bias';
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const without = (list, value) => list.filter(item => item !== value);
+
+// One chip per active constraint; `remove` returns the filters without it
+const getChips = (filters, view) => {
+  const chips = [];
+  const applies = (field) => filterAppliesTo(field, view);
+
+  filters.category.forEach(category => chips.push({
+    key: `category-${category}`,
+    label: capitalize(category),
+    remove: { category: without(filters.category, category) }
+  }));
+  filters.bias.forEach(bias => chips.push({
+    key: `bias-${bias}`,
+    label: getBiasLabel(bias),
+    className: `bias-${bias}`,
+    remove: { bias: without(filters.bias, bias) }
+  }));
+  if (applies('sources')) {
+    filters.sources.forEach(source => chips.push({
+      key: `source-${source}`,
+      label: source,
+      remove: { sources: without(filters.sources, source) }
+    }));
+  }
+  if (applies('minConfidence') && (filters.minConfidence || filters.maxConfidence)) {
+    chips.push({
+      key: 'confidence',
+      label: `Confidence ${filters.minConfidence || 0}–${filters.maxConfidence || 100}%`,
+      remove: { minConfidence: '', maxConfidence: '' }
+    });
+  }
+  if (filters.dateFrom) {
+    chips.push({ key: 'dateFrom', label: `From ${filters.dateFrom}`, remove: { dateFrom: '' } });
+  }
+  if (filters.dateTo) {
+    chips.push({ key: 'dateTo', label: `Until ${filters.dateTo}`, remove: { dateTo: '' } });
+  }
+  if (filters.within) {
+    const option = WITHIN_OPTIONS.find(item => item.value === filters.within);
+    chips.push({ key: 'within', label: option ? option.label : filters.within, remove: { within: '' } });
+  }
+  if (filters.search) {
+    chips.push({ key: 'search', label: `Search: ${filters.search}`, remove: { search: '' } });
+  }
+  if (applies('minSources') && filters.minSources) {
+    chips.push({ key: 'minSources', label: `${filters.minSources}+ sources`, remove: { minSources: '' } });
+  }
+  if (applies('allPerspectives') && filters.allPerspectives) {
+    chips.push({ key: 'allPerspectives', label: 'All perspectives', remove: { allPerspectives: false } });
+  }
+
+  return chips;
+};
+
+// Sorting and the Blindspot toggle aren't "filters" here and survive Clear all
+const CLEARABLE_FIELDS = [
+  'category', 'bias', 'sources', 'minConfidence', 'maxConfidence',
+  'dateFrom', 'dateTo', 'within', 'search', 'minSources', 'allPerspectives'
+];
+
+const ActiveFilterChips = ({ filters, view, onFiltersChange }) => {
+  const chips = getChips(filters, view);
+  if (chips.length === 0) return null;
+
+  const clearAll = () => {
+    const cleared = { ...filters };
+    CLEARABLE_FIELDS.forEach(field => { cleared[field] = DEFAULT_FILTERS[field]; });
+    onFiltersChange(cleared);
+  };
+
+  return (
+    <div className="active-filters" aria-label="Active filters">
+      {chips.map(chip => (
+        <span key={chip.key} className={`active-filter-chip ${chip.className || ''}`}>
+          {chip.label}
+          <button
+            type="button"
+            className="chip-remove"
+            onClick={() => onFiltersChange({ ...filters, ...chip.remove })}
+            aria-label={`Remove filter: ${chip.label}`}
+          >
+            ✕
+          </button>
+        </span>
+      ))}
+      {chips.length > 1 && (
+        <button type="button" className="clear-filters-btn" onClick={clearAll}>
+          Clear all
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ActiveFilterChips;
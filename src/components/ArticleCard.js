@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import SaveButton from './SaveButton';
+import CompareToggle from './CompareToggle';
+import OtherPerspectives from './OtherPerspectives';
+import { recordRead } from '../storage/readingHistory';
+import { isPlainClick, useReader } from '../ReaderContext';
+import BiasBadge from './BiasBadge';
+import BiasFeedback from './BiasFeedback';
+import { formatTimeAgo } from '../utils/format';
+
+// `queue` is the list the reader steps through from this card
+const ArticleCard = ({ article, queue }) => {
+  const { isRead, openReader } = useReader();
+  const read = isRead(article._id);
+  const [showBiasInfo, setShowBiasInfo] = useState(false);
+
+  return (
+    <div className={`news-card ${read ? 'is-read' : ''}`} data-bias={article.articleBias}>
+      <div className="news-card-content">
+        {article.imageUrl && (
+          <div className="news-image">
+            <img 
+              src={article.imageUrl} 
+              alt={article.title} 
+              loading="lazy"
+              onError={(e) => {
+                e.target.style.display = 'none'; // Hide broken images
+              }}
+            />
+          </div>
+        )}
+        
+        <div className="news-text">
+          <div className="news-meta">
+            <Link
+              to={`/source/${encodeURIComponent(article.source.name)}`}
+              className="news-source"
+            >
+              {article.source.name}
+            </Link>
+            <span className="news-date">{formatTimeAgo(article.publishedAt)}</span>
+            {read && <span className="read-marker">✓ Read</span>}
+            <div className="news-badges">
+              <span className="category-badge">{article.category}</span>
+              <BiasBadge bias={article.articleBias} confidence={article.biasConfidence} />
+            </div>
+          </div>
+          
+          <h3 className="news-title">
+            {article.aiHeading || article.title}
+          </h3>
+          
+          <p className="news-summary">
+            {article.summary || article.description}
+          </p>
+          
+          {article.keywords && article.keywords.length > 0 && (
+            <div className="news-keywords">
+              {article.keywords.slice(0, 3).map((keyword, index) => (
+                <span key={index} className="keyword-tag">
+                  {keyword}
+                </span>
+              ))}
+            </div>
+          )}
+          
+          <OtherPerspectives article={article} />
+
+          <div className="news-actions">
+            <a 
+              href={article.url} 
+              target="_blank" 
+              rel="noopener noreferrer" 
+              className="read-more-btn"
+              onClick={(e) => {
+                if (isPlainClick(e)) {
+                  e.preventDefault();
+                  openReader(article, queue);
+                } else {
+                  recordRead(article);
+                }
+              }}
+            >
+              Read Article
+            </a>
+            {article.biasReasoning && (
+              <button 
+                type="button"
+                className="bias-info-btn"
+                title={article.biasReasoning}
+                aria-expanded={showBiasInfo}
+                onClick={() => setShowBiasInfo(value => !value)}
+              >
+                ℹ️ Bias Info
+              </button>
+            )}
+            <CompareToggle article={article} />
+            <SaveButton type="article" item={article} compact />
+          </div>
+
+          {showBiasInfo && (
+            <div className="bias-reasoning">
+              <p>{article.biasReasoning}</p>
+              <BiasFeedback article={article} />
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ArticleCard;
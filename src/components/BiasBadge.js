@@ -0,0 +1,29 @@
+import React from 'react';
+import ConfidenceBadge from './ConfidenceBadge';
+import { BIAS_KINDS, getBiasPoint } from '../utils/bias';
+
+// Pill for a leaning. `kind` ('source' | 'article') says whose leaning it is,
+// since an outlet's usual slant and one article's framing can differ.
+// `confidence` adds the classifier's confidence next to it; `children` are
+// appended to the label (e.g. a count).
+const BiasBadge = ({ bias, kind, confidence, short = false, children }) => {
+  const point = getBiasPoint(bias);
+  const kindInfo = kind ? BIAS_KINDS[kind] : null;
+
+  return (
+    <>
+      <span
+        className={`bias-badge bias-${point.key} ${kind ? `${kind}-bias-badge` : ''}`}
+        style={{ backgroundColor: point.color }}
+        title={kindInfo ? `${kindInfo.label} bias: ${kindInfo.description}` : undefined}
+      >
+        {kindInfo && `${kindInfo.label}: `}
+        {short ? point.shortLabel : point.label}
+        {children}
+      </span>
+      <ConfidenceBadge confidence={confidence} />
+    </>
+  );
+};
+
+export default BiasBadge;
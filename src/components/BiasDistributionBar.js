@@ -0,0 +1,42 @@
+import React from 'react';
+import ChartTooltip from './ChartTooltip';
+import useChartTooltip from '../hooks/useChartTooltip';
+import { BIAS_SIDES, getBiasColor, getBiasLabel } from '../utils/bias';
+import { describeSegment, toSegments } from '../utils/charts';
+
+// Stacked left/center/right bar for a distribution such as a story group's
+// `biasDistribution` ({ left: 3, center: 1, right: 0 })
+const BiasDistributionBar = ({ counts = {}, label = 'Coverage by political leaning', unit = 'article' }) => {
+  const { containerRef, tooltip, bind } = useChartTooltip();
+  const segments = toSegments(BIAS_SIDES.map(bias => ({
+    key: bias,
+    label: getBiasLabel(bias),
+    value: counts[bias] || 0,
+    color: getBiasColor(bias)
+  })));
+  const summary = segments.length > 0
+    ? segments.map(segment => describeSegment(segment, unit)).join(', ')
+    : 'no coverage yet';
+
+  return (
+    <div className="chart bias-distribution-bar" ref={containerRef}>
+      <svg viewBox="0 0 100 10" preserveAspectRatio="none" aria-hidden="true" focusable="false">
+        {segments.map(segment => (
+          <rect
+            key={segment.key}
+            x={segment.offset * 100}
+            y={0}
+            width={segment.share * 100}
+            height={10}
+            style={{ fill: segment.color }}
+            {...bind(describeSegment(segment, unit))}
+          />
+        ))}
+      </svg>
+      <p className="sr-only">{label}: {summary}.</p>
+      <ChartTooltip tooltip={tooltip} />
+    </div>
+  );
+};
+
+export default BiasDistributionBar;
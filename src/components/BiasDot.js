@@ -0,0 +1,21 @@
+import React from 'react';
+import { getBiasPoint } from '../utils/bias';
+
+// Colored dot for a leaning. Decorative next to a text label; pass
+// `labelled` when the dot stands on its own.
+const BiasDot = ({ bias, labelled = false }) => {
+  const point = getBiasPoint(bias);
+
+  return (
+    <span
+      className={`bias-dot bias-${point.key}`}
+      style={{ backgroundColor: point.color }}
+      title={labelled ? point.label : undefined}
+      role={labelled ? 'img' : undefined}
+      aria-label={labelled ? point.label : undefined}
+      aria-hidden={labelled ? undefined : 'true'}
+    />
+  );
+};
+
+export default BiasDot;
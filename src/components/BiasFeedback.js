@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import FeedbackStatus from './FeedbackStatus';
+import { useBiasFeedback } from '../BiasFeedbackContext';
+import { BIAS_SCALE, getBiasLabel, normalizeBias } from '../utils/bias';
+
+const REASON_MIN_LENGTH = 10;
+const REASON_MAX_LENGTH = 500;
+
+// Rate the classifier's reasoning, or propose a different leaning for the
+// article. Goes under the reasoning wherever it's shown.
+const BiasFeedback = ({ article }) => {
+  const { getArticleFeedback, submitFeedback } = useBiasFeedback();
+  const [open, setOpen] = useState(false);
+  const [proposedBias, setProposedBias] = useState('');
+  const [reason, setReason] = useState('');
+
+  const feedback = getArticleFeedback(article._id);
+  const rating = feedback.find(entry => entry.type === 'rating');
+  const dispute = feedback.find(entry => entry.type === 'dispute');
+  const current = normalizeBias(article.articleBias);
+  const trimmed = reason.trim();
+  const canSubmit = Boolean(proposedBias) && trimmed.length >= REASON_MIN_LENGTH;
+
+  const rate = (helpful) => {
+    if (rating && rating.helpful === helpful) return;
+    submitFeedback(article, { type: 'rating', helpful });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+    submitFeedback(article, { type: 'dispute', proposedBias, reason: trimmed });
+    setOpen(false);
+    setProposedBias('');
+    setReason('');
+  };
+
+  return (
+    <div className="bias-feedback">
+      <div className="bias-feedback-rating" role="group" aria-label="Rate this reasoning">
+        <span>Was this reasoning helpful?</span>
+        <button
+          type="button"
+          className={`view-btn ${rating && rating.helpful ? 'active' : ''}`}
+          aria-pressed={Boolean(rating && rating.helpful)}
+          onClick={() => rate(true)}
+        >
+          👍 Yes
+        </button>
+        <button
+          type="button"
+          className={`view-btn ${rating && !rating.helpful ? 'active' : ''}`}
+          aria-pressed={Boolean(rating && !rating.helpful)}
+          onClick={() => rate(false)}
+        >
+          👎 No
+        </button>
+        {rating && <FeedbackStatus entry={rating} />}
+      </div>
+
+      {dispute && !open && (
+        <p className="bias-feedback-summary">
+          You suggested <strong>{getBiasLabel(dispute.proposedBias)}</strong> <FeedbackStatus entry={dispute} />
+        </p>
+      )}
+
+      {open ? (
+        <form className="bias-feedback-form" onSubmit={handleSubmit}>
+          <label>
+            <span>Which leaning fits better?</span>
+            <select
+              className="form-control"
+              value={proposedBias}
+              onChange={(e) => setProposedBias(e.target.value)}
+              required
+            >
+              <option value="">Choose a leaning…</option>
+              {BIAS_SCALE.filter(point => point.key !== current).map(point => (
+                <option key={point.key} value={point.key}>{point.label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span>Why?</span>
+            <textarea
+              className="form-control"
+              rows={3}
+              value={reason}
+              maxLength={REASON_MAX_LENGTH}
+              placeholder="What in the article points to a different leaning?"
+              onChange={(e) => setReason(e.target.value)}
+              required
+            />
+            <span className="bias-feedback-hint">
+              {trimmed.length < REASON_MIN_LENGTH
+                ? `At least ${REASON_MIN_LENGTH} characters`
+                : `${REASON_MAX_LENGTH - reason.length} characters left`}
+            </span>
+          </label>
+          <div className="bias-feedback-actions">
+            <button type="submit" className="btn btn--primary btn--sm" disabled={!canSubmit}>
+              Send suggestion
+            </button>
+            <button type="button" className="view-btn" onClick={() => setOpen(false)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="bias-feedback-actions">
+          <button type="button" className="bias-feedback-toggle" onClick={() => setOpen(true)}>
+            {dispute ? 'Suggest again' : 'Disagree with this rating?'}
+          </button>
+          {feedback.length > 0 && <Link to="/my-feedback" className="bias-feedback-toggle">Your feedback →</Link>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BiasFeedback;
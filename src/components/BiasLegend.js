@@ -0,0 +1,29 @@
+import React from 'react';
+import BiasDot from './BiasDot';
+import { BIAS_SIDES, getBiasLabel } from '../utils/bias';
+
+const formatShare = (share) => `${Math.round(share * 100)}%`;
+
+// Dot + label per leaning, optionally with counts (`{ left: 3, ... }`) and
+// each count's share of the total
+const BiasLegend = ({ biases = BIAS_SIDES, counts, showShares = false, short = false, className = '' }) => {
+  const total = counts ? biases.reduce((sum, bias) => sum + (Number(counts[bias]) || 0), 0) : 0;
+
+  return (
+    <ul className={`bias-legend ${className}`}>
+      {biases.map((bias) => {
+        const count = counts ? Number(counts[bias]) || 0 : null;
+        return (
+          <li key={bias} className={`bias-legend-item bias-${bias}`}>
+            <BiasDot bias={bias} />
+            {getBiasLabel(bias, { short })}
+            {count !== null && `: ${count}`}
+            {count !== null && showShares && ` (${formatShare(total ? count / total : 0)})`}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default BiasLegend;
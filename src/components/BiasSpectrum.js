@@ -0,0 +1,56 @@
+import React from 'react';
+import { BIAS_KINDS, BIAS_SCALE, describeBias, getBiasScore } from '../utils/bias';
+
+const toPercent = (score) => `${((score + 1) / 2) * 100}%`;
+
+// Left-to-right scale with a marker per leaning. Takes five-point values or
+// continuous scores; pass `source` and `article` to show both an outlet's
+// usual leaning and this article's, or `bias` for a single marker.
+const BiasSpectrum = ({ bias, source, article, confidence, showLabels = false }) => {
+  const markers = [
+    { kind: 'source', value: source },
+    { kind: 'article', value: article },
+    { kind: null, value: bias }
+  ].filter(marker => marker.value !== undefined && marker.value !== null && getBiasScore(marker.value) !== null);
+
+  if (markers.length === 0) return null;
+  // Markers need telling apart once there's more than one
+  const kinds = markers.map(marker => marker.kind).filter(Boolean);
+
+  const summary = markers
+    .map(({ kind, value }) => describeBias(value, { kind: kind || undefined, confidence: kind === 'source' ? undefined : confidence }))
+    .join('; ');
+
+  return (
+    <div className="bias-spectrum" role="img" aria-label={`Political leaning — ${summary}`} title={summary}>
+      <div className="bias-spectrum-track">
+        {BIAS_SCALE.map(point => (
+          <span key={point.key} className="bias-spectrum-segment" style={{ backgroundColor: point.color }} />
+        ))}
+        {markers.map(({ kind, value }) => (
+          <span
+            key={kind || 'bias'}
+            className={`bias-spectrum-marker ${kind ? `marker-${kind}` : ''}`}
+            style={{ left: toPercent(getBiasScore(value)) }}
+          />
+        ))}
+      </div>
+      {showLabels && (
+        <div className="bias-spectrum-labels" aria-hidden="true">
+          <span>Left</span>
+          <span>Center</span>
+          <span>Right</span>
+        </div>
+      )}
+      {kinds.length > 1 && (
+        <div className="bias-spectrum-key" aria-hidden="true">
+          {kinds.map(kind => (
+            <span key={kind} className={`bias-spectrum-key-item marker-${kind}`}>{BIAS_KINDS[kind].label}</span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BiasSpectrum;
@@ -0,0 +1,40 @@
+import React from 'react';
+import ChartTooltip from './ChartTooltip';
+import useChartTooltip from '../hooks/useChartTooltip';
+import { describeSegment, formatPercent, pluralize, toSegments } from '../utils/charts';
+
+// One bar per category (`{ politics: 12, ... }`), largest first, scaled to the largest
+const CategoryBreakdown = ({ counts = {}, label = 'Articles by category', unit = 'article' }) => {
+  const { containerRef, tooltip, bind } = useChartTooltip();
+  const rows = toSegments(Object.entries(counts).map(([key, value]) => ({
+    key,
+    label: key.charAt(0).toUpperCase() + key.slice(1),
+    value
+  })))
+    .sort((a, b) => b.value - a.value);
+  if (rows.length === 0) return null;
+  const largest = rows[0].value;
+
+  return (
+    <figure className="chart category-breakdown" ref={containerRef}>
+      <figcaption>{label}</figcaption>
+      <ul>
+        {rows.map(row => (
+          <li key={row.key} className="category-breakdown-row">
+            <span className="category-breakdown-label">{row.label}</span>
+            <svg viewBox="0 0 100 6" preserveAspectRatio="none" aria-hidden="true" focusable="false">
+              <rect width={(row.value / largest) * 100} height={6} {...bind(describeSegment(row, unit))} />
+            </svg>
+            <span className="category-breakdown-count">
+              <span aria-hidden="true">{row.value}</span>
+              <span className="sr-only">{pluralize(row.value, unit)} ({formatPercent(row.share)})</span>
+            </span>
+          </li>
+        ))}
+      </ul>
+      <ChartTooltip tooltip={tooltip} />
+    </figure>
+  );
+};
+
+export default CategoryBreakdown;
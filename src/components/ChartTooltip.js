@@ -0,0 +1,15 @@
+import React from 'react';
+
+// Floating label from useChartTooltip; hidden from screen readers, which get
+// each chart's text fallback instead
+const ChartTooltip = ({ tooltip }) => {
+  if (!tooltip) return null;
+
+  return (
+    <div className="chart-tooltip" style={{ left: tooltip.x, top: tooltip.y }} aria-hidden="true">
+      {tooltip.text}
+    </div>
+  );
+};
+
+export default ChartTooltip;
@@ -1,19 +1,30 @@
 import React, { useEffect, useRef } from 'react';
 import { gsap } from 'gsap';
 import moment from 'moment';
+import BiasDot from './BiasDot';
+import BiasLegend from './BiasLegend';
+import BiasDistributionBar from './BiasDistributionBar';
+import CoverageArticle from './CoverageArticle';
+import CoverageTimeline from './CoverageTimeline';
+import FramingPanel from './FramingPanel';
+import { BIAS_SCALE, BIAS_SIDES, getBiasLabel } from '../utils/bias';
 
 export default function CompareCoverage({ story, onClose }) {
   const containerRef = useRef();
   
+  const hasDetails = Boolean(story && story.articlesByBias);
+
   useEffect(() => {
+    // Story pages render before the details arrive, so wait for the columns
+    if (!hasDetails) return;
     // Animate coverage cards in
     gsap.fromTo(".coverage-column", 
       { opacity: 0, y: 30, scale: 0.95 }, 
       { opacity: 1, y: 0, scale: 1, duration: 0.5, stagger: 0.15, ease: "power2.out" }
     );
-  }, []);
+  }, [hasDetails]);
 
-  if (!story || !story.articlesByBias) {
+  if (!hasDetails) {
     return (
       <div className="compare-coverage-container">
         <div className="loading-state">
@@ -23,125 +34,27 @@ export default function CompareCoverage({ story, onClose }) {
     );
   }
 
-  const getBiasColor = (bias) => {
-    switch(bias) {
-      case 'left': return '#4285f4';
-      case 'center': return '#9c27b0';  
-      case 'right': return '#f44336';
-      default: return '#9e9e9e';
-    }
-  };
-
-  const getBiasLabel = (bias) => {
-    switch(bias) {
-      case 'left': return 'Left Leaning';
-      case 'center': return 'Center';
-      case 'right': return 'Right Leaning';
-      default: return 'Unknown';
-    }
-  };
-
   const formatTimeAgo = (date) => {
     return moment(date).fromNow();
   };
 
-  const renderArticleCard = (article, bias) => (
-    <div key={article._id} className={`coverage-article bias-${bias}`}>
-      <div className="article-header">
-        <div className="source-info">
-          <span className="source-name">{article.source.name}</span>
-          <div className="bias-indicators">
-            <span 
-              className="source-bias-badge"
-              style={{ backgroundColor: getBiasColor(article.source.bias) }}
-            >
-              Source: {getBiasLabel(article.source.bias)}
-            </span>
-            <span 
-              className="article-bias-badge"
-              style={{ backgroundColor: getBiasColor(article.articleBias) }}
-            >
-              Article: {getBiasLabel(article.articleBias)}
-            </span>
-            {article.biasConfidence > 0.7 && (
-              <span className="confidence-badge high-confidence">
-                {Math.round(article.biasConfidence * 100)}% confidence
-              </span>
-            )}
-          </div>
-        </div>
-        <span className="publish-time">{formatTimeAgo(article.publishedAt)}</span>
-      </div>
-
-      <h4 className="article-title">
-        {article.aiHeading || article.title}
-      </h4>
-      
-      {article.summary && (
-        <p className="article-summary">
-          {article.summary}
-        </p>
-      )}
-
-      {article.biasReasoning && (
-        <div className="bias-reasoning">
-          <details>
-            <summary>🔍 Why this bias classification?</summary>
-            <p>{article.biasReasoning}</p>
-          </details>
-        </div>
-      )}
-
-      {article.keywords && article.keywords.length > 0 && (
-        <div className="article-keywords">
-          {article.keywords.slice(0, 4).map((keyword, index) => (
-            <span key={index} className="keyword-tag">
-              {keyword}
-            </span>
-          ))}
-        </div>
-      )}
-
-      <button 
-        className="read-article-btn"
-        onClick={(e) => {
-          // Add click animation
-          gsap.to(e.target, { 
-            scale: 0.95, 
-            duration: 0.1, 
-            yoyo: true, 
-            repeat: 1, 
-            ease: "power2.inOut" 
-          });
-          // Open article
-          window.open(article.url, '_blank');
-        }}
-      >
-        Read Full Article
-      </button>
-    </div>
-  );
-
-  const renderBiasColumn = (biasType, biasLabel, articles, missingMessage) => (
+  const renderBiasColumn = (biasType, articles, missingMessage) => (
     <div className={`coverage-column bias-${biasType}`} key={biasType}>
       <div className="column-header">
         <div className="bias-indicator">
-          <span 
-            className="bias-dot"
-            style={{ backgroundColor: getBiasColor(biasType) }}
-          ></span>
-          <h3>{biasLabel}</h3>
+          <BiasDot bias={biasType} />
+          <h3>{getBiasLabel(biasType)}</h3>
           <span className="article-count">({articles.length} articles)</span>
         </div>
       </div>
       
       <div className="column-content">
         {articles.length > 0 ? (
-          articles.map(article => renderArticleCard(article, biasType))
+          articles.map(article => <CoverageArticle key={article._id} article={article} queue={storyArticles} />)
         ) : (
           <div className="no-coverage">
             <div className="no-coverage-icon">📰</div>
-            <h4>No {biasLabel} Coverage Found</h4>
+            <h4>No {getBiasLabel(biasType)} Coverage Found</h4>
             <p>{missingMessage}</p>
           </div>
         )}
@@ -150,6 +63,8 @@ export default function CompareCoverage({ story, onClose }) {
   );
 
   const { storyGroup, articlesByBias, missingBiases } = story;
+  // The reader steps through the columns left to right
+  const storyArticles = BIAS_SIDES.flatMap(side => articlesByBias[side] || []);
 
   return (
     <div className="compare-coverage-container" ref={containerRef}>
@@ -178,22 +93,12 @@ export default function CompareCoverage({ story, onClose }) {
       {/* Bias Distribution Overview */}
       <div className="bias-overview">
         <h3>Coverage Distribution</h3>
-        <div className="bias-summary">
-          <div className="bias-summary-item">
-            <span className="bias-dot" style={{ backgroundColor: getBiasColor('left') }}></span>
-            <span>Left: {storyGroup.biasDistribution.left}</span>
-          </div>
-          <div className="bias-summary-item">
-            <span className="bias-dot" style={{ backgroundColor: getBiasColor('center') }}></span>
-            <span>Center: {storyGroup.biasDistribution.center}</span>
-          </div>
-          <div className="bias-summary-item">
-            <span className="bias-dot" style={{ backgroundColor: getBiasColor('right') }}></span>
-            <span>Right: {storyGroup.biasDistribution.right}</span>
-          </div>
-        </div>
+        <BiasDistributionBar counts={storyGroup.biasDistribution} label="Coverage distribution" />
+        <BiasLegend counts={storyGroup.biasDistribution} short className="bias-summary" />
       </div>
 
+      <CoverageTimeline articlesByBias={articlesByBias} />
+
       {/* Missing Bias Alerts */}
       {(missingBiases.left || missingBiases.center || missingBiases.right) && (
         <div className="missing-biases-alert">
@@ -214,26 +119,25 @@ export default function CompareCoverage({ story, onClose }) {
       <div className="coverage-grid">
         {renderBiasColumn(
           'left',
-          'Left Leaning',
           articlesByBias.left,
           'No left-leaning publications have covered this story yet, or their coverage was not detected in our analysis.'
         )}
         
         {renderBiasColumn(
           'center',
-          'Center',
           articlesByBias.center,
           'No centrist publications have covered this story yet, or their coverage was not detected in our analysis.'
         )}
         
         {renderBiasColumn(
           'right',
-          'Right Leaning', 
           articlesByBias.right,
           'No right-leaning publications have covered this story yet, or their coverage was not detected in our analysis.'
         )}
       </div>
 
+      <FramingPanel articlesByBias={articlesByBias} />
+
       {/* Analysis Notes */}
       <div className="analysis-notes">
         <h4>📊 How We Determine Bias</h4>
@@ -247,6 +151,12 @@ export default function CompareCoverage({ story, onClose }) {
             <li><strong>Source Reputation:</strong> Secondary factor (30% weight) - Based on publication's known bias</li>
             <li><strong>Confidence Score:</strong> How certain our AI is about the classification</li>
           </ul>
+          <p>
+            Leanings are placed on a five-point scale. The bar under each article marks the source's usual
+            leaning (hollow marker) and the article's own (filled marker), so you can see when a piece departs
+            from its outlet.
+          </p>
+          <BiasLegend biases={BIAS_SCALE.map(point => point.key)} />
         </div>
       </div>
     </div>
@@ -0,0 +1,29 @@
+import React from 'react';
+import { MAX_COMPARE, useCompareTray } from '../CompareTrayContext';
+
+// Adds an article to (or takes it out of) the compare tray
+const CompareToggle = ({ article }) => {
+  const { isSelected, isFull, toggleArticle } = useCompareTray();
+  const selected = isSelected(article._id);
+  const label = selected
+    ? 'Remove from comparison'
+    : isFull ? `Compare up to ${MAX_COMPARE} articles at a time` : 'Add to comparison';
+
+  return (
+    <button
+      type="button"
+      className={`compare-toggle ${selected ? 'selected' : ''}`}
+      onClick={(e) => {
+        e.stopPropagation();
+        toggleArticle(article);
+      }}
+      aria-pressed={selected}
+      disabled={!selected && isFull}
+      title={label}
+    >
+      {selected ? '✓ Comparing' : '⚖️ Compare'}
+    </button>
+  );
+};
+
+export default CompareToggle;
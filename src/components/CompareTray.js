@@ -0,0 +1,48 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import BiasDot from './BiasDot';
+import { MAX_COMPARE, MIN_COMPARE, useCompareTray } from '../CompareTrayContext';
+
+// Bar along the bottom of the window listing the articles picked for
+// comparison, with the way into the comparison view
+const CompareTray = () => {
+  const { articles, canCompare, removeArticle, clearTray } = useCompareTray();
+  const { pathname } = useLocation();
+
+  if (articles.length === 0 || pathname === '/compare') return null;
+
+  return (
+    <section className="compare-tray" aria-label="Articles to compare">
+      <span className="compare-tray-count">
+        {articles.length} of {MAX_COMPARE} selected
+      </span>
+      <ul className="compare-tray-items">
+        {articles.map(article => (
+          <li key={article._id} className="compare-tray-item">
+            <BiasDot bias={article.articleBias} />
+            <span className="compare-tray-title" title={article.aiHeading || article.title}>
+              <strong>{article.source.name}</strong> {article.aiHeading || article.title}
+            </span>
+            <button
+              type="button"
+              onClick={() => removeArticle(article._id)}
+              aria-label={`Remove ${article.source.name} article from comparison`}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+      <div className="compare-tray-actions">
+        <button type="button" className="view-btn" onClick={clearTray}>Clear</button>
+        {canCompare ? (
+          <Link to="/compare" className="btn btn--primary btn--sm">Compare {articles.length}</Link>
+        ) : (
+          <span className="compare-tray-hint">Pick at least {MIN_COMPARE}</span>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default CompareTray;
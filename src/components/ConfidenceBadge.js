@@ -0,0 +1,19 @@
+import React from 'react';
+import { getConfidence } from '../utils/bias';
+
+// How sure the classifier is about a leaning (`biasConfidence`, 0-1)
+const ConfidenceBadge = ({ confidence }) => {
+  const details = getConfidence(confidence);
+  if (!details) return null;
+
+  return (
+    <span
+      className={`confidence-badge confidence-${details.level}`}
+      title={`Bias classification confidence: ${details.level}`}
+    >
+      {details.label}
+    </span>
+  );
+};
+
+export default ConfidenceBadge;
@@ -0,0 +1,54 @@
+import React, { useState, useEffect } from 'react';
+
+const toPercent = (value, fallback) => (value === '' ? fallback : Number(value));
+
+// Two-thumb bias confidence filter. Dragging only updates the label; the
+// filter is applied when the thumb is released so the feed isn't refetched
+// (and history isn't pushed) on every step.
+const ConfidenceRange = ({ min, max, onChange }) => {
+  const [range, setRange] = useState([toPercent(min, 0), toPercent(max, 100)]);
+
+  useEffect(() => {
+    setRange([toPercent(min, 0), toPercent(max, 100)]);
+  }, [min, max]);
+
+  const [low, high] = range;
+
+  const commit = () => {
+    const nextMin = low === 0 ? '' : String(low);
+    const nextMax = high === 100 ? '' : String(high);
+    if (nextMin !== min || nextMax !== max) onChange(nextMin, nextMax);
+  };
+
+  const commitProps = { onMouseUp: commit, onTouchEnd: commit, onKeyUp: commit, onBlur: commit };
+
+  return (
+    <div className="confidence-range">
+      <div className="confidence-range-label">
+        {low === 0 && high === 100 ? 'Any confidence' : `${low}% – ${high}%`}
+      </div>
+      <input
+        type="range"
+        min="0"
+        max="100"
+        step="5"
+        value={low}
+        onChange={(e) => setRange([Math.min(Number(e.target.value), high), high])}
+        aria-label="Minimum bias confidence"
+        {...commitProps}
+      />
+      <input
+        type="range"
+        min="0"
+        max="100"
+        step="5"
+        value={high}
+        onChange={(e) => setRange([low, Math.max(Number(e.target.value), low)])}
+        aria-label="Maximum bias confidence"
+        {...commitProps}
+      />
+    </div>
+  );
+};
+
+export default ConfidenceRange;
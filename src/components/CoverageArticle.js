@@ -0,0 +1,95 @@
+import React from 'react';
+import { gsap } from 'gsap';
+import { useReader } from '../ReaderContext';
+import BiasBadge from './BiasBadge';
+import BiasFeedback from './BiasFeedback';
+import BiasSpectrum from './BiasSpectrum';
+import { formatTimeAgo } from '../utils/format';
+
+// One article as laid out in the coverage comparison: source and article
+// leanings, headline, summary, the classifier's reasoning and keywords.
+// Keywords in `sharedKeywords` are marked as also used by the other articles
+// on screen. `queue` is the list the reader steps through from here.
+const CoverageArticle = ({ article, queue, sharedKeywords, keywordLimit = 4, children }) => {
+  const { openReader } = useReader();
+  const keywords = (article.keywords || []).slice(0, keywordLimit);
+
+  return (
+    <div className={`coverage-article bias-${article.articleBias}`}>
+      <div className="article-header">
+        <div className="source-info">
+          <span className="source-name">{article.source.name}</span>
+          <div className="bias-indicators">
+            <BiasBadge bias={article.source.bias} kind="source" />
+            <BiasBadge bias={article.articleBias} kind="article" confidence={article.biasConfidence} />
+          </div>
+          <BiasSpectrum
+            source={article.source.bias}
+            article={article.biasScore ?? article.articleBias}
+            confidence={article.biasConfidence}
+          />
+        </div>
+        <span className="publish-time">{formatTimeAgo(article.publishedAt)}</span>
+      </div>
+
+      <h4 className="article-title">
+        {article.aiHeading || article.title}
+      </h4>
+
+      {article.summary && (
+        <p className="article-summary">
+          {article.summary}
+        </p>
+      )}
+
+      {article.biasReasoning && (
+        <div className="bias-reasoning">
+          <details>
+            <summary>🔍 Why this bias classification?</summary>
+            <p>{article.biasReasoning}</p>
+            <BiasFeedback article={article} />
+          </details>
+        </div>
+      )}
+
+      {keywords.length > 0 && (
+        <div className="article-keywords">
+          {keywords.map((keyword, index) => {
+            const shared = sharedKeywords && sharedKeywords.has(keyword.trim().toLowerCase());
+            return (
+              <span
+                key={index}
+                className={`keyword-tag ${shared ? 'shared' : ''}`}
+                title={shared ? 'Also in other articles here' : undefined}
+              >
+                {keyword}
+              </span>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="coverage-article-actions">
+        <button
+          className="read-article-btn"
+          onClick={(e) => {
+            // Add click animation
+            gsap.to(e.target, {
+              scale: 0.95,
+              duration: 0.1,
+              yoyo: true,
+              repeat: 1,
+              ease: "power2.inOut"
+            });
+            openReader(article, queue);
+          }}
+        >
+          Read Article
+        </button>
+        {children}
+      </div>
+    </div>
+  );
+};
+
+export default CoverageArticle;
@@ -0,0 +1,152 @@
+import React, { useMemo, useState } from 'react';
+import moment from 'moment';
+import ChartTooltip from './ChartTooltip';
+import BiasDistributionBar from './BiasDistributionBar';
+import BiasLegend from './BiasLegend';
+import useChartTooltip from '../hooks/useChartTooltip';
+import { BIAS_SIDES, getBiasColor, getBiasLabel } from '../utils/bias';
+import { getDistributionAt, getRampUp, getTimeline } from '../utils/timeline';
+
+const WIDTH = 640;
+const PLOT = { left: 76, right: 16 };
+// Cumulative coverage lines on top, one lane of dots per side beneath
+const RAMP = { top: 8, height: 72 };
+const LANE_TOP = 104;
+const LANE_HEIGHT = 24;
+const HEIGHT = LANE_TOP + BIAS_SIDES.length * LANE_HEIGHT + 20;
+// The scrubber moves in whole minutes
+const SCRUB_STEP = 60 * 1000;
+
+const formatTime = (time) => moment(time).format('MMM D, h:mm A');
+const formatDelay = (ms) => moment.duration(ms).humanize();
+
+const describeDistribution = (counts) => BIAS_SIDES
+  .map(side => `${getBiasLabel(side, { short: true })} ${counts[side]}`)
+  .join(', ');
+
+// Every article in a story plotted by `publishedAt`, one lane per leaning,
+// with each side's running total above. Dragging the scrubber replays
+// `biasDistribution` as it stood at that moment.
+export default function CoverageTimeline({ articlesByBias }) {
+  const { containerRef, tooltip, bind } = useChartTooltip();
+  const timeline = useMemo(() => getTimeline(articlesByBias), [articlesByBias]);
+  const [scrubTime, setScrubTime] = useState(null);
+
+  if (!timeline) return null;
+
+  const { events, start, end, firstBySide } = timeline;
+  const span = Math.max(end - start, 1);
+  const plotWidth = WIDTH - PLOT.left - PLOT.right;
+  const x = (time) => PLOT.left + ((time - start) / span) * plotWidth;
+  const laneY = (side) => LANE_TOP + BIAS_SIDES.indexOf(side) * LANE_HEIGHT + LANE_HEIGHT / 2;
+
+  const ramp = getRampUp(timeline);
+  const maxCount = Math.max(1, ...BIAS_SIDES.map(side => ramp[side][ramp[side].length - 1][1]));
+  const rampY = (count) => RAMP.top + RAMP.height - (count / maxCount) * RAMP.height;
+  const rampPath = (steps) => `${steps
+    .map(([time, count], index) => (index === 0 ? `M ${x(time)} ${rampY(count)}` : `H ${x(time)} V ${rampY(count)}`))
+    .join(' ')} H ${WIDTH - PLOT.right}`;
+
+  // Clamped in case the story changed (or gained articles) under the scrubber
+  const current = scrubTime === null ? end : Math.min(Math.max(scrubTime, start), end);
+  const distribution = getDistributionAt(events, current);
+  const first = events[0];
+  const followers = BIAS_SIDES
+    .filter(side => side !== first.side && firstBySide[side])
+    .sort((a, b) => firstBySide[a].time - firstBySide[b].time);
+  const silent = BIAS_SIDES.filter(side => !firstBySide[side]);
+
+  return (
+    <section className="coverage-timeline">
+      <h3>Coverage Timeline</h3>
+      <p className="timeline-first-mover">
+        <span className="timeline-flag" aria-hidden="true">🚩</span>{' '}
+        <strong>{getBiasLabel(first.side)}</strong> broke the story: {first.article.source.name}, {formatTime(first.time)}.
+        {followers.map(side => (
+          <span key={side}>
+            {' '}{getBiasLabel(side, { short: true })} followed {formatDelay(firstBySide[side].time - start)} later.
+          </span>
+        ))}
+        {silent.length > 0 && (
+          <> No {silent.map(side => getBiasLabel(side, { short: true }).toLowerCase()).join(' or ')} coverage yet.</>
+        )}
+      </p>
+
+      <div className="chart timeline-chart" ref={containerRef}>
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} aria-hidden="true" focusable="false">
+          <text className="timeline-axis" x={PLOT.left - 8} y={RAMP.top + 8} textAnchor="end">{maxCount}</text>
+          <text className="timeline-axis" x={PLOT.left - 8} y={RAMP.top + RAMP.height} textAnchor="end">0</text>
+          <line className="chart-gridline" x1={PLOT.left} x2={WIDTH - PLOT.right} y1={rampY(0)} y2={rampY(0)} />
+          {BIAS_SIDES.filter(side => firstBySide[side]).map(side => (
+            <path key={side} className="timeline-ramp" d={rampPath(ramp[side])} style={{ stroke: getBiasColor(side) }} />
+          ))}
+
+          {BIAS_SIDES.map(side => (
+            <g key={side}>
+              <line className="timeline-lane" x1={PLOT.left} x2={WIDTH - PLOT.right} y1={laneY(side)} y2={laneY(side)} />
+              <text className="timeline-axis" x={PLOT.left - 8} y={laneY(side)} textAnchor="end" dominantBaseline="middle">
+                {getBiasLabel(side, { short: true })}
+              </text>
+            </g>
+          ))}
+
+          {events.map(event => (
+            <circle
+              key={event.article._id}
+              className={`timeline-dot ${event.time > current ? 'is-future' : ''} ${event === first ? 'timeline-first' : ''}`}
+              cx={x(event.time)}
+              cy={laneY(event.side)}
+              r={event === first ? 8 : 6}
+              style={{ fill: getBiasColor(event.side) }}
+              {...bind(`${event.article.source.name} (${getBiasLabel(event.side, { short: true })}), ${formatTime(event.time)}`)}
+            />
+          ))}
+
+          <line className="timeline-cursor" x1={x(current)} x2={x(current)} y1={RAMP.top} y2={HEIGHT - 20} />
+          <text className="timeline-axis" x={PLOT.left} y={HEIGHT - 4}>{formatTime(start)}</text>
+          {end > start && (
+            <text className="timeline-axis" x={WIDTH - PLOT.right} y={HEIGHT - 4} textAnchor="end">{formatTime(end)}</text>
+          )}
+        </svg>
+        <ChartTooltip tooltip={tooltip} />
+      </div>
+
+      <ol className="sr-only">
+        {events.map(event => (
+          <li key={event.article._id}>
+            {formatTime(event.time)}: {event.article.source.name}, {getBiasLabel(event.side)}
+          </li>
+        ))}
+      </ol>
+
+      {end > start && (
+        <div className="timeline-scrubber">
+          <label htmlFor="timeline-scrub" className="timeline-scrub-label">
+            Coverage as of <strong>{formatTime(current)}</strong>
+            {current > start && <> ({formatDelay(current - start)} after the first report)</>}
+          </label>
+          <input
+            id="timeline-scrub"
+            type="range"
+            min={start}
+            max={end}
+            step={SCRUB_STEP}
+            value={current}
+            aria-valuetext={`${formatTime(current)}: ${describeDistribution(distribution)}`}
+            onChange={(e) => {
+              // The last step may fall short of `end` when the range isn't a whole number of steps
+              const value = Number(e.target.value);
+              setScrubTime(end - value < SCRUB_STEP ? end : value);
+            }}
+          />
+          {scrubTime !== null && scrubTime < end && (
+            <button type="button" className="view-btn" onClick={() => setScrubTime(null)}>Latest</button>
+          )}
+        </div>
+      )}
+
+      <BiasDistributionBar counts={distribution} label={`Coverage as of ${formatTime(current)}`} />
+      <BiasLegend counts={distribution} short />
+    </section>
+  );
+}
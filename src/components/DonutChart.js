@@ -0,0 +1,49 @@
+import React from 'react';
+import ChartTooltip from './ChartTooltip';
+import useChartTooltip from '../hooks/useChartTooltip';
+import { arcPath, describeSegment, toSegments } from '../utils/charts';
+
+// Donut of `segments` ([{ key, label, value, color }]) with an optional
+// figure in the middle
+const DonutChart = ({ segments: items, label, unit = 'article', size = 88, thickness = 14, centerValue, centerLabel }) => {
+  const { containerRef, tooltip, bind } = useChartTooltip();
+  const segments = toSegments(items);
+  const radius = size / 2;
+  const summary = segments.length > 0
+    ? segments.map(segment => describeSegment(segment, unit)).join(', ')
+    : 'no data yet';
+
+  return (
+    <figure className="chart donut-chart" ref={containerRef}>
+      <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} aria-hidden="true" focusable="false">
+        <circle
+          className="chart-track"
+          cx={radius}
+          cy={radius}
+          r={radius - thickness / 2}
+          strokeWidth={thickness}
+          fill="none"
+        />
+        {segments.map(segment => (
+          <path
+            key={segment.key}
+            d={arcPath(segment.offset, segment.offset + segment.share, radius, radius - thickness, radius)}
+            style={{ fill: segment.color }}
+            {...bind(describeSegment(segment, unit))}
+          />
+        ))}
+        {centerValue !== undefined && (
+          <text x={radius} y={radius} className="donut-value" textAnchor="middle" dominantBaseline="central">
+            {centerValue}
+          </text>
+        )}
+      </svg>
+      <figcaption className="sr-only">
+        {label}{centerLabel ? ` (${centerValue} ${centerLabel})` : ''}: {summary}.
+      </figcaption>
+      <ChartTooltip tooltip={tooltip} />
+    </figure>
+  );
+};
+
+export default DonutChart;
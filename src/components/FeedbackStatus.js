@@ -0,0 +1,36 @@
+import React from 'react';
+import { useBiasFeedback } from '../BiasFeedbackContext';
+import { FEEDBACK_STATUS } from '../storage/biasFeedback';
+import { formatTimeAgo } from '../utils/format';
+
+// Delivery state of one piece of bias feedback
+const FeedbackStatus = ({ entry }) => {
+  const { online } = useBiasFeedback();
+
+  if (entry.status === FEEDBACK_STATUS.sent) {
+    return <span className="status status--success feedback-status">Sent {formatTimeAgo(entry.sentAt)}</span>;
+  }
+
+  if (entry.status === FEEDBACK_STATUS.rejected) {
+    return (
+      <span className="status status--error feedback-status">
+        Not accepted{entry.error ? `: ${entry.error}` : ''}
+      </span>
+    );
+  }
+
+  const label = !online
+    ? 'Queued until you\'re back online'
+    : entry.attempts > 0 ? 'Queued, will retry shortly' : 'Sending…';
+
+  return (
+    <span
+      className="status status--warning feedback-status"
+      title={entry.error ? `Last attempt failed: ${entry.error}` : undefined}
+    >
+      {label}
+    </span>
+  );
+};
+
+export default FeedbackStatus;
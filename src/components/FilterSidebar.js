@@ -1,67 +1,77 @@
 import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import { fetchFilters, peekFilters, isCancelled } from '../api';
+import {
+  DEFAULT_FILTERS,
+  ARTICLE_SORT_OPTIONS,
+  STORY_SORT_OPTIONS,
+  MIN_SOURCES_OPTIONS,
+  WITHIN_OPTIONS,
+  filterAppliesTo,
+  getSearchFields
+} from '../utils/feedQuery';
+import SearchBox from './SearchBox';
+import SourcePicker from './SourcePicker';
+import ConfidenceRange from './ConfidenceRange';
+import BiasDot from './BiasDot';
+import { getBiasLabel } from '../utils/bias';
 
-const FilterSidebar = ({ filters, onFiltersChange, isOpen, onToggle }) => {
-  const [availableFilters, setAvailableFilters] = useState({
+const FilterSidebar = ({ filters, onFiltersChange, isOpen, onToggle, view = 'articles' }) => {
+  const [availableFilters, setAvailableFilters] = useState(() => ({
     categories: [],
     biases: [],
-    dateRange: {}
-  });
+    sources: [],
+    dateRange: {},
+    ...peekFilters()?.data
+  }));
   
-  const [loading, setLoading] = useState(true);
+  const [loading, setLoading] = useState(() => !peekFilters());
 
   useEffect(() => {
-    fetchAvailableFilters();
+    const controller = new AbortController();
+    fetchAvailableFilters(controller.signal);
+    return () => controller.abort();
   }, []);
 
-  const fetchAvailableFilters = async () => {
+  const fetchAvailableFilters = async (signal) => {
     try {
-      const response = await axios.get(`${process.env.REACT_APP_API_URL || 'https://twosides-backend.onrender.com'}/api/news/filters`);
-      setAvailableFilters(response.data);
+      const data = await fetchFilters({ signal });
+      setAvailableFilters({ sources: [], ...data });
     } catch (error) {
+      if (isCancelled(error)) return;
       console.error('Error fetching filter options:', error);
-    } finally {
-      setLoading(false);
     }
+    setLoading(false);
   };
 
   const handleFilterChange = (filterType, value) => {
     onFiltersChange({
       ...filters,
-      [filterType]: value,
-      page: 1 // Reset to first page when filters change
+      [filterType]: value
     });
   };
 
+  // Category and leaning are multi-select; an empty list means "all"
+  const toggleListValue = (filterType, value) => {
+    const selected = filters[filterType];
+    handleFilterChange(filterType, selected.includes(value)
+      ? selected.filter(item => item !== value)
+      : [...selected, value]);
+  };
+
   const handleDateChange = (dateType, value) => {
     onFiltersChange({
       ...filters,
-      [dateType]: value,
-      page: 1
+      [dateType]: value
     });
   };
 
   const resetFilters = () => {
-    onFiltersChange({
-      category: 'all',
-      bias: 'all',
-      sortBy: 'publishedAt',
-      sortOrder: 'desc',
-      dateFrom: '',
-      dateTo: '',
-      search: '',
-      page: 1
-    });
+    onFiltersChange(DEFAULT_FILTERS);
   };
 
-  const getBiasIcon = (bias) => {
-    switch(bias) {
-      case 'left': return '🟦';
-      case 'center': return '🟪';
-      case 'right': return '🟥';
-      default: return '⚪';
-    }
-  };
+  const applies = (field) => filterAppliesTo(field, view);
+  const sortField = applies('storySortBy') ? 'storySortBy' : 'sortBy';
+  const sortOptions = sortField === 'storySortBy' ? STORY_SORT_OPTIONS : ARTICLE_SORT_OPTIONS;
 
   const getCategoryIcon = (category) => {
     const icons = {
@@ -105,13 +115,14 @@ const FilterSidebar = ({ filters, onFiltersChange, isOpen, onToggle }) => {
         <div className="filter-content">
           {/* Search */}
           <div className="filter-section">
-            <label>Search Articles</label>
-            <input
-              type="text"
-              placeholder="Search by title, summary, keywords..."
+            <SearchBox
+              id="feed-search"
+              label={view === 'stories' ? 'Search Stories' : 'Search Articles'}
+              placeholder={view === 'stories' ? 'Search headlines, summaries, keywords...' : 'Search by title, summary, keywords...'}
               value={filters.search || ''}
-              onChange={(e) => handleFilterChange('search', e.target.value)}
-              className="search-input"
+              onChange={(search) => handleFilterChange('search', search)}
+              options={availableFilters}
+              fields={getSearchFields(view)}
             />
           </div>
 
@@ -120,8 +131,9 @@ const FilterSidebar = ({ filters, onFiltersChange, isOpen, onToggle }) => {
             <label>Category</label>
             <div className="filter-options">
               <button
-                className={`filter-option ${filters.category === 'all' ? 'active' : ''}`}
-                onClick={() => handleFilterChange('category', 'all')}
+                className={`filter-option ${filters.category.length === 0 ? 'active' : ''}`}
+                onClick={() => handleFilterChange('category', [])}
+                aria-pressed={filters.category.length === 0}
               >
                 <span className="option-icon">📂</span>
                 All Categories
@@ -129,8 +141,9 @@ const FilterSidebar = ({ filters, onFiltersChange, isOpen, onToggle }) => {
               {availableFilters.categories.map((category) => (
                 <button
                   key={category}
-                  className={`filter-option ${filters.category === category ? 'active' : ''}`}
-                  onClick={() => handleFilterChange('category', category)}
+                  className={`filter-option ${filters.category.includes(category) ? 'active' : ''}`}
+                  onClick={() => toggleListValue('category', category)}
+                  aria-pressed={filters.category.includes(category)}
                 >
                   <span className="option-icon">{getCategoryIcon(category)}</span>
                   {category.charAt(0).toUpperCase() + category.slice(1)}
@@ -142,10 +155,14 @@ const FilterSidebar = ({ filters, onFiltersChange, isOpen, onToggle }) => {
           {/* Bias Filter */}
           <div className="filter-section">
             <label>Political Leaning</label>
+            {view === 'stories' && (
+              <p className="filter-hint">Stories with at least one article from these leanings</p>
+            )}
             <div className="filter-options">
               <button
-                className={`filter-option ${filters.bias === 'all' ? 'active' : ''}`}
-                onClick={() => handleFilterChange('bias', 'all')}
+                className={`filter-option ${filters.bias.length === 0 ? 'active' : ''}`}
+                onClick={() => handleFilterChange('bias', [])}
+                aria-pressed={filters.bias.length === 0}
               >
                 <span className="option-icon">⚪</span>
                 All Leanings
@@ -153,29 +170,57 @@ const FilterSidebar = ({ filters, onFiltersChange, isOpen, onToggle }) => {
               {availableFilters.biases.map((bias) => (
                 <button
                   key={bias}
-                  className={`filter-option bias-${bias} ${filters.bias === bias ? 'active' : ''}`}
-                  onClick={() => handleFilterChange('bias', bias)}
+                  className={`filter-option bias-${bias} ${filters.bias.includes(bias) ? 'active' : ''}`}
+                  onClick={() => toggleListValue('bias', bias)}
+                  aria-pressed={filters.bias.includes(bias)}
                 >
-                  <span className="option-icon">{getBiasIcon(bias)}</span>
-                  {bias.charAt(0).toUpperCase() + bias.slice(1)} Leaning
+                  <span className="option-icon"><BiasDot bias={bias} /></span>
+                  {getBiasLabel(bias)}
                 </button>
               ))}
             </div>
           </div>
 
+          {/* Bias Confidence */}
+          {applies('minConfidence') && (
+            <div className="filter-section">
+              <label>Bias Confidence</label>
+              <ConfidenceRange
+                min={filters.minConfidence}
+                max={filters.maxConfidence}
+                onChange={(minConfidence, maxConfidence) => onFiltersChange({
+                  ...filters,
+                  minConfidence,
+                  maxConfidence
+                })}
+              />
+            </div>
+          )}
+
+          {/* Source Filter */}
+          {applies('sources') && (
+            <div className="filter-section">
+              <label>Sources</label>
+              <SourcePicker
+                sources={availableFilters.sources}
+                selected={filters.sources}
+                onChange={(sources) => handleFilterChange('sources', sources)}
+              />
+            </div>
+          )}
+
           {/* Sort Options */}
           <div className="filter-section">
             <label>Sort By</label>
             <div className="sort-options">
               <select
-                value={filters.sortBy || 'publishedAt'}
-                onChange={(e) => handleFilterChange('sortBy', e.target.value)}
+                value={filters[sortField] || DEFAULT_FILTERS[sortField]}
+                onChange={(e) => handleFilterChange(sortField, e.target.value)}
                 className="sort-select"
               >
-                <option value="publishedAt">Published Date</option>
-                <option value="fetchedAt">Added to Site</option>
-                <option value="title">Title</option>
-                <option value="source.name">Source</option>
+                {sortOptions.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
               </select>
               
               <div className="sort-order">
@@ -198,6 +243,17 @@ const FilterSidebar = ({ filters, onFiltersChange, isOpen, onToggle }) => {
           {/* Date Range Filter */}
           <div className="filter-section">
             <label>Date Range</label>
+            <select
+              value={filters.within}
+              onChange={(e) => handleFilterChange('within', e.target.value)}
+              className="sort-select"
+              aria-label="Published within"
+            >
+              <option value="">Any time</option>
+              {WITHIN_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
             <div className="date-inputs">
               <input
                 type="date"
@@ -216,6 +272,32 @@ const FilterSidebar = ({ filters, onFiltersChange, isOpen, onToggle }) => {
             </div>
           </div>
 
+          {/* Story-only options */}
+          {applies('minSources') && (
+            <div className="filter-section">
+              <label htmlFor="min-sources">Story Coverage</label>
+              <select
+                id="min-sources"
+                value={filters.minSources}
+                onChange={(e) => handleFilterChange('minSources', e.target.value)}
+                className="sort-select"
+              >
+                <option value="">Any number of sources</option>
+                {MIN_SOURCES_OPTIONS.map(count => (
+                  <option key={count} value={count}>At least {count} sources</option>
+                ))}
+              </select>
+              <label className="filter-checkbox">
+                <input
+                  type="checkbox"
+                  checked={filters.allPerspectives}
+                  onChange={(e) => handleFilterChange('allPerspectives', e.target.checked)}
+                />
+                Covered by all three perspectives
+              </label>
+            </div>
+          )}
+
           {/* Reset Filters */}
           <div className="filter-actions">
             <button className="reset-filters-btn" onClick={resetFilters}>
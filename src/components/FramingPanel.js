@@ -0,0 +1,181 @@
+import React, { useMemo, useState } from 'react';
+import BiasDot from './BiasDot';
+import TagEditor from './TagEditor';
+import { BIAS_SIDES, getBiasColor, getBiasLabel } from '../utils/bias';
+import {
+  DEFAULT_LOADED_TERMS,
+  buildLexiconPattern,
+  getHeadline,
+  getKeywordOverlap,
+  getLoadedTerms,
+  getUniqueWords,
+  segmentText
+} from '../utils/framing';
+import { loadLoadedTerms, resetLoadedTerms, saveLoadedTerms } from '../storage/loadedTerms';
+
+// Most distinctive words listed per side
+const UNIQUE_WORDS_SHOWN = 8;
+
+// Circle centres and label positions for the keyword Venn (viewBox 220 x 200)
+const VENN_RADIUS = 58;
+const VENN_CIRCLES = {
+  left: { cx: 80, cy: 75 },
+  right: { cx: 140, cy: 75 },
+  center: { cx: 110, cy: 125 }
+};
+const VENN_LABELS = {
+  left: [52, 58],
+  right: [168, 58],
+  center: [110, 165],
+  'left+right': [110, 48],
+  'left+center': [76, 118],
+  'center+right': [144, 118],
+  'left+center+right': [110, 95]
+};
+
+const describeRegion = (region) => {
+  const sides = region.split('+');
+  if (sides.length === BIAS_SIDES.length) return 'All three';
+  const label = sides.map(side => getBiasLabel(side, { short: true })).join(' & ');
+  return sides.length === 1 ? `Only ${label}` : label;
+};
+
+const HighlightedText = ({ text, uniqueWords, pattern }) => segmentText(text, uniqueWords, pattern).map((segment, index) => {
+  if (!segment.unique && !segment.loaded) return segment.text;
+  const className = [segment.unique && 'framing-unique', segment.loaded && 'framing-loaded'].filter(Boolean).join(' ');
+  return <mark key={index} className={className}>{segment.text}</mark>;
+});
+
+const KeywordVenn = ({ regions }) => (
+  <div className="framing-venn">
+    <svg viewBox="0 0 220 200" aria-hidden="true" focusable="false">
+      {BIAS_SIDES.map(side => (
+        <circle key={side} {...VENN_CIRCLES[side]} r={VENN_RADIUS} style={{ fill: getBiasColor(side), stroke: getBiasColor(side) }} />
+      ))}
+      {Object.entries(VENN_LABELS).map(([region, [x, y]]) => (
+        <text key={region} x={x} y={y} textAnchor="middle" dominantBaseline="middle">
+          {(regions[region] || []).length}
+        </text>
+      ))}
+    </svg>
+    <dl className="framing-regions">
+      {Object.keys(VENN_LABELS)
+        .filter(region => regions[region])
+        .sort((a, b) => b.split('+').length - a.split('+').length)
+        .map(region => (
+          <div key={region}>
+            <dt>{describeRegion(region)}</dt>
+            <dd>
+              {regions[region].map(keyword => <span key={keyword} className="keyword-tag">{keyword}</span>)}
+            </dd>
+          </div>
+        ))}
+    </dl>
+  </div>
+);
+
+// How each side framed the same event: headlines and summaries aligned by
+// leaning with words only that side used and loaded terms highlighted, the
+// overlap of their keywords, and the reader's editable list of loaded terms
+export default function FramingPanel({ articlesByBias }) {
+  const [terms, setTerms] = useState(loadLoadedTerms);
+
+  const covered = BIAS_SIDES.filter(side => (articlesByBias[side] || []).length > 0);
+  const pattern = useMemo(() => buildLexiconPattern(terms), [terms]);
+  const uniqueWords = useMemo(() => getUniqueWords(articlesByBias), [articlesByBias]);
+  const uniqueSets = useMemo(() => BIAS_SIDES.reduce((acc, side) => {
+    acc[side] = new Set(uniqueWords[side].map(({ word }) => word));
+    return acc;
+  }, {}), [uniqueWords]);
+  const regions = useMemo(() => getKeywordOverlap(articlesByBias), [articlesByBias]);
+  const loadedTerms = useMemo(() => getLoadedTerms(articlesByBias, pattern), [articlesByBias, pattern]);
+
+  const updateTerms = (next) => {
+    setTerms(next);
+    saveLoadedTerms(next);
+  };
+
+  if (covered.length < 2) {
+    return (
+      <section className="framing-panel">
+        <h3>Framing Comparison</h3>
+        <p className="framing-note">Framing can be compared once at least two perspectives have covered this story.</p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="framing-panel">
+      <h3>Framing Comparison</h3>
+      <p className="framing-note">
+        Publisher headlines and summaries side by side.{' '}
+        <mark className="framing-unique">Underlined</mark> words appear in only one perspective's coverage;{' '}
+        <mark className="framing-loaded">highlighted</mark> words are on the loaded-language list below.
+      </p>
+
+      <div className="framing-columns">
+        {covered.map(side => (
+          <div key={side} className={`framing-column bias-${side}`}>
+            <h4><BiasDot bias={side} /> {getBiasLabel(side)}</h4>
+            <ul className="framing-headlines">
+              {articlesByBias[side].map(article => (
+                <li key={article._id}>
+                  <span className="framing-source">{article.source.name}</span>
+                  <strong className="framing-headline">
+                    <HighlightedText text={getHeadline(article)} uniqueWords={uniqueSets[side]} pattern={pattern} />
+                  </strong>
+                  {article.summary && (
+                    <p><HighlightedText text={article.summary} uniqueWords={uniqueSets[side]} pattern={pattern} /></p>
+                  )}
+                </li>
+              ))}
+            </ul>
+            <div className="framing-words">
+              <span className="framing-label">Only here</span>
+              {uniqueWords[side].length > 0 ? (
+                uniqueWords[side].slice(0, UNIQUE_WORDS_SHOWN).map(({ word, count }) => (
+                  <span key={word} className="keyword-tag" title={`Used ${count}×`}>{word}</span>
+                ))
+              ) : (
+                <span className="framing-empty">No distinctive words</span>
+              )}
+            </div>
+            <div className="framing-words">
+              <span className="framing-label">Loaded terms</span>
+              {loadedTerms[side].length > 0 ? (
+                loadedTerms[side].map(({ term, count }) => (
+                  <span key={term} className="keyword-tag framing-loaded-tag">
+                    {term}{count > 1 && ` ×${count}`}
+                  </span>
+                ))
+              ) : (
+                <span className="framing-empty">None found</span>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="framing-overlap">
+        <h4>Keyword Overlap</h4>
+        <KeywordVenn regions={regions} />
+      </div>
+
+      <details className="framing-lexicon">
+        <summary>Edit loaded-language list ({terms.length} terms)</summary>
+        <p className="framing-note">
+          Words and phrases to flag as emotionally loaded. Plurals and past or -ing forms match too.
+        </p>
+        <TagEditor tags={terms} onChange={updateTerms} itemLabel="term" placeholder="Add term" />
+        <button
+          type="button"
+          className="view-btn"
+          onClick={() => setTerms(resetLoadedTerms())}
+          disabled={terms === DEFAULT_LOADED_TERMS}
+        >
+          Restore defaults
+        </button>
+      </details>
+    </section>
+  );
+}
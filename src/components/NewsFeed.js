@@ -1,36 +1,72 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import InfiniteScroll from 'react-infinite-scroll-component';
+import { useLocation } from 'react-router-dom';
 import Skeleton from 'react-loading-skeleton';
 import 'react-loading-skeleton/dist/skeleton.css';
-import axios from 'axios';
-import moment from 'moment';
 import { gsap } from 'gsap';
 
 import NewsSummaryCard from './NewsSummaryCard';
-import CompareCoverage from './CompareCoverage';
+import ArticleCard from './ArticleCard';
+import StoryGroupCard from './StoryGroupCard';
 import FilterSidebar from './FilterSidebar';
+import VirtualGrid from './VirtualGrid';
+import ActiveFilterChips from './ActiveFilterChips';
+import PresetBar from './PresetBar';
+import StatsBar from './StatsBar';
+import { fetchArticles, fetchStoryGroups, fetchStats, peekStats, isCancelled } from '../api';
+import useInfiniteFeed from '../hooks/useInfiniteFeed';
+import useLiveUpdates from '../hooks/useLiveUpdates';
+import useFillPages from '../hooks/useFillPages';
+import useFeedUrlState from '../hooks/useFeedUrlState';
+import useScrollRestoration, { SCROLL_CONTAINER_ID } from '../hooks/useScrollRestoration';
+import { useFilterPresets, getPresetState } from '../FilterPresetsContext';
+import {
+  BLINDSPOT_OPTIONS,
+  buildArticleParams,
+  buildStoryParams,
+  createFeedFilter,
+  getNewerItems,
+  getQueryKey,
+  getRecency,
+  hasFeedState,
+  sortStories
+} from '../utils/feedQuery';
+import { rankBlindspots } from '../utils/blindspot';
+import { getBiasLabel } from '../utils/bias';
+
+// How many of the newest items are checked for arrivals; when all of them
+// are new, "show" reloads the feed instead of prepending
+const NEW_ITEMS_LIMIT = 50;
+
+// When filters applied client-side (or blindspot mode) leave fewer than this
+// many on screen, more pages are fetched, but only this many per query before
+// waiting for the reader to ask for more
+const MIN_VISIBLE_RESULTS = 6;
+const AUTO_FILL_PAGES = 3;
+
+const getItemKey = (item) => item._id;
+const getBlindspotKey = ({ storyGroup }) => storyGroup._id;
 
 const NewsFeed = () => {
-  const [articles, setArticles] = useState([]);
-  const [storyGroups, setStoryGroups] = useState([]);
-  const [hasMore, setHasMore] = useState(true);
-  const [loading, setLoading] = useState(true);
-  const [selectedStory, setSelectedStory] = useState(null);
   const [showFilters, setShowFilters] = useState(false);
-  const [view, setView] = useState('articles'); // 'articles' or 'stories'
-  
-  const [filters, setFilters] = useState({
-    category: 'all',
-    bias: 'all',
-    sortBy: 'publishedAt',
-    sortOrder: 'desc',
-    dateFrom: '',
-    dateTo: '',
-    search: '',
-    page: 1
-  });
+  // Filters and view ('articles' or 'stories') live in the URL so links can be shared
+  const { filters, view, setFilters, setView, setFeedState } = useFeedUrlState();
+  const { defaultPreset, markPresetSeen } = useFilterPresets();
+  const location = useLocation();
+
+  // Landing on a bare "/" opens the pinned preset. Only on arrival: clearing
+  // the filters while here shouldn't snap back to it.
+  const arrivedRef = useRef(false);
+  useEffect(() => {
+    if (arrivedRef.current) return;
+    arrivedRef.current = true;
+    if (defaultPreset && !hasFeedState(location.search)) {
+      setFeedState(getPresetState(defaultPreset), { replace: true });
+      markPresetSeen(defaultPreset.id);
+    }
+  }, [defaultPreset, location.search, setFeedState, markPresetSeen]);
 
-  const [stats, setStats] = useState({
+  const [stats, setStats] = useState(() => peekStats()?.data || {
     totalArticles: 0,
     lastUpdate: null,
     biasStats: {},
@@ -38,272 +74,130 @@ const NewsFeed = () => {
   });
 
   const containerRef = useRef();
-  // Fixed API URL
-  const API_URL = 'https://twosides-backend.onrender.com';
 
-  useEffect(() => {
-    loadInitialData();
-    loadStats();
-  }, []);
+  const params = useMemo(
+    () => (view === 'articles' ? buildArticleParams(filters) : buildStoryParams(filters)),
+    [view, filters]
+  );
 
-  // FIXED: Only trigger when actual filter values change, not when page changes
-  useEffect(() => {
-    if (filters.page === 1) {
-      loadInitialData();
-    }
-  }, [filters.category, filters.bias, filters.sortBy, filters.sortOrder, filters.search, filters.dateFrom, filters.dateTo, view]);
+  const queryKey = getQueryKey(view, params);
+  // The backend only does part of the filtering, so several filter settings
+  // can share one fetched list; this tells them apart
+  const filterKey = getQueryKey(view, filters);
 
-  const loadInitialData = async () => {
-    setLoading(true);
-    setArticles([]);
-    setStoryGroups([]);
-    
-    try {
-      if (view === 'articles') {
-        await loadArticles(true);
-      } else {
-        await loadStoryGroups(true);
-      }
-    } catch (error) {
-      console.error('Error loading initial data:', error);
-    } finally {
-      setLoading(false);
+  const fetchFeedPage = useCallback(async ({ page, signal, fresh }) => {
+    if (view === 'articles') {
+      const { articles, pagination } = await fetchArticles({ ...params, page }, { signal, fresh });
+      return { items: articles, hasMore: pagination.hasMore };
     }
-  };
-
-  const loadArticles = async (reset = false) => {
-    try {
-      console.log('Loading articles, reset:', reset);
-      const params = new URLSearchParams({
-        page: reset ? '1' : filters.page.toString(),
-        limit: '20',
-        ...(filters.category !== 'all' && { category: filters.category }),
-        ...(filters.bias !== 'all' && { bias: filters.bias }),
-        sortBy: filters.sortBy,
-        sortOrder: filters.sortOrder,
-        ...(filters.search && { search: filters.search }),
-        ...(filters.dateFrom && { dateFrom: filters.dateFrom }),
-        ...(filters.dateTo && { dateTo: filters.dateTo })
-      });
-
-      const response = await axios.get(`${API_URL}/api/news?${params}`);
-      const { articles: newArticles, pagination } = response.data;
-      
-      console.log('Articles received:', newArticles.length);
-      console.log('First article:', newArticles[0]);
-
-      if (reset) {
-        setArticles(newArticles);
-        setFilters(prev => ({ ...prev, page: 1 }));
-      } else {
-        setArticles(prev => [...prev, ...newArticles]);
-      }
-
-      setHasMore(pagination.hasMore);
-      
-      // Removed problematic GSAP animation that might cause issues
+    const { storyGroups, pagination } = await fetchStoryGroups({ ...params, page }, { signal, fresh });
+    return { items: storyGroups, hasMore: pagination.hasMore };
+  }, [view, params]);
+
+  const {
+    items,
+    hasMore,
+    isLoading,
+    isLoadingMore,
+    error,
+    loadMore,
+    refresh,
+    retry,
+    prependItems
+  } = useInfiniteFeed(queryKey, fetchFeedPage);
+
+  // Coming back from a story or source page lands where the reader left off
+  useScrollRestoration(!isLoading);
+
+  const visibleItems = useMemo(() => {
+    const matching = items.filter(createFeedFilter(view, filters));
+    return view === 'stories' ? sortStories(matching, filters) : matching;
+  }, [items, view, filters]);
+
+  const blindspotMode = view === 'stories' && Boolean(filters.blindspot);
+  const blindspots = useMemo(
+    () => (blindspotMode ? rankBlindspots(visibleItems, filters.blindspot) : []),
+    [blindspotMode, visibleItems, filters.blindspot]
+  );
 
-    } catch (error) {
-      console.error('Error loading articles:', error);
-      setHasMore(false);
-    }
-  };
+  const { paused: scanPaused, resume: lookFurtherBack } = useFillPages(filterKey, {
+    shown: blindspotMode ? blindspots.length : visibleItems.length,
+    minResults: MIN_VISIBLE_RESULTS,
+    maxPages: AUTO_FILL_PAGES,
+    canLoadMore: !isLoading && !isLoadingMore && !error && hasMore,
+    loadMore
+  });
 
-  const loadStoryGroups = async (reset = false) => {
-    try {
-      const params = new URLSearchParams({
-        page: reset ? '1' : filters.page.toString(),
-        limit: '10',
-        ...(filters.category !== 'all' && { category: filters.category })
-      });
-
-      const response = await axios.get(`${API_URL}/api/news/stories?${params}`);
-      const { storyGroups: newStoryGroups, pagination } = response.data;
-
-      if (reset) {
-        setStoryGroups(newStoryGroups);
-        setFilters(prev => ({ ...prev, page: 1 }));
-      } else {
-        setStoryGroups(prev => [...prev, ...newStoryGroups]);
-      }
+  const itemLabel = view === 'articles' ? 'articles' : 'stories';
+  const scanMessage = scanPaused && (
+    <div className="feed-scan">
+      <span>Scanned the latest {items.length} {itemLabel}</span>
+      <button type="button" className="view-btn" onClick={lookFurtherBack}>
+        Look further back
+      </button>
+    </div>
+  );
 
-      setHasMore(pagination.hasMore);
+  // New arrivals only belong on top of a newest-first list with no end date
+  const liveEnabled = !isLoading && !blindspotMode && !filters.dateTo && filters.sortOrder === 'desc' &&
+    (view === 'articles' ? filters.sortBy === 'publishedAt' : filters.storySortBy === 'lastUpdated');
+  const newestAt = useMemo(
+    () => items.reduce((latest, item) => {
+      const recency = getRecency(view, item);
+      return recency > latest ? recency : latest;
+    }, ''),
+    [items, view]
+  );
 
-    } catch (error) {
-      console.error('Error loading story groups:', error);
-      setHasMore(false);
+  // `since` is only a hint: backends that ignore it send the latest page,
+  // and what's new is worked out here either way
+  const fetchNewer = useCallback(async ({ since, signal }) => {
+    const newerParams = { ...params, since, page: 1, limit: NEW_ITEMS_LIMIT };
+    const matches = createFeedFilter(view, filters);
+    if (view === 'articles') {
+      const { articles, pagination } = await fetchArticles(newerParams, { signal, retries: 0, fresh: true });
+      return getNewerItems(view, { items: articles, hasMore: pagination.hasMore }, since, matches);
     }
-  };
+    const { storyGroups, pagination } = await fetchStoryGroups(newerParams, { signal, retries: 0, fresh: true });
+    return getNewerItems(view, { items: storyGroups, hasMore: pagination.hasMore }, since, matches);
+  }, [view, params, filters]);
+
+  const { newItems, newComplete } = useLiveUpdates(filterKey, {
+    enabled: liveEnabled,
+    since: newestAt,
+    fetchNewer
+  });
+  const newCount = newItems.length;
 
-  const loadStats = async () => {
-    try {
-      const response = await axios.get(`${API_URL}/api/news/stats`);
-      setStats(response.data);
-    } catch (error) {
-      console.error('Error loading stats:', error);
+  // VirtualGrid keeps the reader's place when these land above it
+  const showNewItems = () => {
+    if (!newComplete) {
+      refresh();
+      return;
     }
+    prependItems(newItems);
+    loadStats({ fresh: true });
   };
 
-  const loadMore = () => {
-    setFilters(prev => ({ ...prev, page: prev.page + 1 }));
-    
-    if (view === 'articles') {
-      loadArticles();
-    } else {
-      loadStoryGroups();
-    }
-  };
+  useEffect(() => {
+    const controller = new AbortController();
+    loadStats({ signal: controller.signal });
+    return () => controller.abort();
+  }, []);
 
-  const handleStoryClick = async (storyId) => {
+  const loadStats = async ({ signal, fresh } = {}) => {
     try {
-      const response = await axios.get(`${API_URL}/api/news/stories/${storyId}`);
-      setSelectedStory(response.data);
+      setStats(await fetchStats({ signal, fresh }));
     } catch (error) {
-      console.error('Error loading story details:', error);
+      if (!isCancelled(error)) {
+        console.error('Error loading stats:', error);
+      }
     }
   };
 
   const handleFiltersChange = useCallback((newFilters) => {
     setFilters(newFilters);
-  }, []);
-
-  const getBiasColor = (bias) => {
-    switch(bias) {
-      case 'left': return '#4285f4';
-      case 'center': return '#9c27b0';  
-      case 'right': return '#f44336';
-      default: return '#9e9e9e';
-    }
-  };
-
-  const getBiasLabel = (bias) => {
-    switch(bias) {
-      case 'left': return 'Left Leaning';
-      case 'center': return 'Center';
-      case 'right': return 'Right Leaning';
-      default: return 'Unknown';
-    }
-  };
-
-  const formatTimeAgo = (date) => {
-    return moment(date).fromNow();
-  };
-
-  const renderArticleCard = (article) => (
-    <div key={article._id} className="news-card" data-bias={article.articleBias}>
-      <div className="news-card-content">
-        {article.imageUrl && (
-          <div className="news-image">
-            <img 
-              src={article.imageUrl} 
-              alt={article.title} 
-              loading="lazy"
-              onError={(e) => {
-                e.target.style.display = 'none'; // Hide broken images
-              }}
-            />
-          </div>
-        )}
-        
-        <div className="news-text">
-          <div className="news-meta">
-            <span className="news-source">{article.source.name}</span>
-            <span className="news-date">{formatTimeAgo(article.publishedAt)}</span>
-            <div className="news-badges">
-              <span className="category-badge">{article.category}</span>
-              <span 
-                className="bias-badge"
-                style={{ backgroundColor: getBiasColor(article.articleBias) }}
-              >
-                {getBiasLabel(article.articleBias)}
-              </span>
-              {article.biasConfidence > 0.7 && (
-                <span className="confidence-badge">High Confidence</span>
-              )}
-            </div>
-          </div>
-          
-          <h3 className="news-title">
-            {article.aiHeading || article.title}
-          </h3>
-          
-          <p className="news-summary">
-            {article.summary || article.description}
-          </p>
-          
-          {article.keywords && article.keywords.length > 0 && (
-            <div className="news-keywords">
-              {article.keywords.slice(0, 3).map((keyword, index) => (
-                <span key={index} className="keyword-tag">
-                  {keyword}
-                </span>
-              ))}
-            </div>
-          )}
-          
-          <div className="news-actions">
-            <a 
-              href={article.url} 
-              target="_blank" 
-              rel="noopener noreferrer" 
-              className="read-more-btn"
-            >
-              Read Full Article
-            </a>
-            {article.biasReasoning && (
-              <button 
-                className="bias-info-btn"
-                title={article.biasReasoning}
-              >
-                ℹ️ Bias Info
-              </button>
-            )}
-          </div>
-        </div>
-      </div>
-    </div>
-  );
-
-  const renderStoryGroupCard = (storyGroup) => (
-    <div key={storyGroup._id} className="story-group-card">
-      <div className="story-group-header">
-        <h3 className="story-group-title">{storyGroup.mainHeadline}</h3>
-        <p className="story-group-summary">{storyGroup.summary}</p>
-        
-        <div className="story-group-meta">
-          <span className="story-category">{storyGroup.category}</span>
-          <span className="story-date">{formatTimeAgo(storyGroup.createdAt)}</span>
-        </div>
-      </div>
-      
-      <div className="story-bias-distribution">
-        <div className="bias-breakdown">
-          <span>Coverage by political leaning:</span>
-          <div className="bias-counts">
-            <div className="bias-count left">
-              <span className="bias-dot" style={{ backgroundColor: getBiasColor('left') }}></span>
-              Left: {storyGroup.biasDistribution.left}
-            </div>
-            <div className="bias-count center">
-              <span className="bias-dot" style={{ backgroundColor: getBiasColor('center') }}></span>
-              Center: {storyGroup.biasDistribution.center}
-            </div>
-            <div className="bias-count right">
-              <span className="bias-dot" style={{ backgroundColor: getBiasColor('right') }}></span>
-              Right: {storyGroup.biasDistribution.right}
-            </div>
-          </div>
-        </div>
-      </div>
-      
-      <button 
-        className="compare-coverage-btn"
-        onClick={() => handleStoryClick(storyGroup._id)}
-      >
-        📊 Compare Coverage ({storyGroup.articles.length} sources)
-      </button>
-    </div>
-  );
+  }, [setFilters]);
 
   const renderLoadingSkeleton = () => (
     <div className="loading-skeleton">
@@ -318,15 +212,6 @@ const NewsFeed = () => {
     </div>
   );
 
-  if (selectedStory) {
-    return (
-      <CompareCoverage 
-        story={selectedStory} 
-        onClose={() => setSelectedStory(null)} 
-      />
-    );
-  }
-
   return (
     <div className="news-feed-container">
       {/* Filter Sidebar */}
@@ -335,6 +220,7 @@ const NewsFeed = () => {
         onFiltersChange={handleFiltersChange}
         isOpen={showFilters}
         onToggle={() => setShowFilters(!showFilters)}
+        view={view}
       />
 
       {/* Main Content */}
@@ -342,7 +228,6 @@ const NewsFeed = () => {
         {/* Header */}
         <div className="news-feed-header">
           <div className="header-top">
-            <h1>📰 The Narrative</h1>
             <button 
               className="filter-toggle-btn"
               onClick={() => setShowFilters(!showFilters)}
@@ -352,29 +237,7 @@ const NewsFeed = () => {
           </div>
           
           {/* Stats Bar */}
-          <div className="stats-bar">
-            <div className="stat-item">
-              <span className="stat-number">{stats.totalArticles.toLocaleString()}</span>
-              <span className="stat-label">Total Articles</span>
-            </div>
-            <div className="stat-item">
-              <span className="stat-number">
-                {stats.lastUpdate ? formatTimeAgo(stats.lastUpdate) : 'N/A'}
-              </span>
-              <span className="stat-label">Last Updated</span>
-            </div>
-            <div className="bias-stats">
-              {Object.entries(stats.biasStats).map(([bias, count]) => (
-                <div key={bias} className="bias-stat">
-                  <span 
-                    className="bias-dot"
-                    style={{ backgroundColor: getBiasColor(bias) }}
-                  ></span>
-                  <span>{bias}: {count}</span>
-                </div>
-              ))}
-            </div>
-          </div>
+          <StatsBar stats={stats} />
 
           {/* View Toggle */}
           <div className="view-toggle">
@@ -391,25 +254,82 @@ const NewsFeed = () => {
               📰 Story Groups
             </button>
           </div>
+
+          {view === 'stories' && (
+            <div className="view-toggle blindspot-toggle">
+              <button
+                className={`view-btn ${!blindspotMode ? 'active' : ''}`}
+                onClick={() => setFilters({ ...filters, blindspot: '' })}
+              >
+                All Stories
+              </button>
+              <button
+                className={`view-btn ${blindspotMode ? 'active' : ''}`}
+                onClick={() => setFilters({ ...filters, blindspot: filters.blindspot || 'any' })}
+                title="Stories covered mostly or only by one side"
+              >
+                🕳️ Blindspots
+              </button>
+              {blindspotMode && (
+                <select
+                  className="sort-select"
+                  value={filters.blindspot}
+                  onChange={(e) => setFilters({ ...filters, blindspot: e.target.value })}
+                  aria-label="Missing perspective"
+                >
+                  {BLINDSPOT_OPTIONS.map(option => (
+                    <option key={option} value={option}>
+                      {option === 'any' ? 'Any side missing' : `Missing ${getBiasLabel(option)}`}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+          )}
         </div>
 
+        <PresetBar filters={filters} view={view} onApply={setFeedState} />
+        <ActiveFilterChips filters={filters} view={view} onFiltersChange={handleFiltersChange} />
+
         {/* Content */}
         <div className="news-content" ref={containerRef}>
-          {loading ? (
+          {(newCount > 0 || !newComplete) && !isLoading && (
+            <div className="new-items-banner" role="status">
+              <button type="button" onClick={showNewItems}>
+                ⬆️ {newComplete ? newCount : newCount > 0 ? `${newCount}+` : 'More'} new{' '}
+                {view === 'articles'
+                  ? (newCount === 1 && newComplete ? 'article' : 'articles')
+                  : (newCount === 1 && newComplete ? 'story update' : 'story updates')} — show
+              </button>
+            </div>
+          )}
+          {isLoading ? (
             renderLoadingSkeleton()
+          ) : error && items.length === 0 ? (
+            <div className="error">
+              <h3>Couldn't load the feed</h3>
+              <p>{error.message}</p>
+              <button onClick={retry}>Try Again</button>
+            </div>
           ) : (
             <InfiniteScroll
-              dataLength={view === 'articles' ? articles.length : storyGroups.length}
+              dataLength={items.length}
               next={loadMore}
               hasMore={hasMore}
               loader={<div className="loading-more">Loading more...</div>}
-              endMessage={
+              endMessage={error ? (
+                <div className="end-message">
+                  <p>Couldn't load more: {error.message}</p>
+                  <button className="load-more-retry" onClick={retry}>Try Again</button>
+                </div>
+              ) : (
                 <div className="end-message">
                   <p>🎉 You've reached the end of the feed!</p>
                   <p>Check back later for more articles.</p>
                 </div>
-              }
-              refreshFunction={loadInitialData}
+              )}
+              scrollableTarget={SCROLL_CONTAINER_ID}
+              refreshFunction={refresh}
               pullDownToRefresh
               pullDownToRefreshContent={
                 <h3 style={{ textAlign: 'center' }}>⬇️ Pull down to refresh</h3>
@@ -418,13 +338,48 @@ const NewsFeed = () => {
                 <h3 style={{ textAlign: 'center' }}>⬆️ Release to refresh</h3>
               }
             >
-              <div className="news-grid">
-                {view === 'articles' ? (
-                  articles.length > 0 ? articles.map(renderArticleCard) : <p>No articles found</p>
-                ) : (
-                  storyGroups.length > 0 ? storyGroups.map(renderStoryGroupCard) : <p>No story groups found</p>
-                )}
-              </div>
+              {blindspotMode ? (
+                <>
+                  {blindspots.length > 0 ? (
+                    <VirtualGrid
+                      items={blindspots}
+                      getKey={getBlindspotKey}
+                      renderItem={({ storyGroup, balance }) => (
+                        <StoryGroupCard storyGroup={storyGroup} balance={balance} />
+                      )}
+                      scrollContainerId={SCROLL_CONTAINER_ID}
+                    />
+                  ) : (
+                    <p className="news-grid-empty">
+                      {scanPaused
+                        ? 'No blindspot stories yet'
+                        : hasMore ? 'Looking for one-sided stories...' : 'No blindspot stories found'}
+                    </p>
+                  )}
+                  {scanMessage}
+                </>
+              ) : (
+                <>
+                  {visibleItems.length > 0 ? (
+                    <VirtualGrid
+                      items={visibleItems}
+                      getKey={getItemKey}
+                      renderItem={item => (view === 'articles'
+                        ? <ArticleCard article={item} queue={visibleItems} />
+                        : <StoryGroupCard storyGroup={item} />
+                      )}
+                      scrollContainerId={SCROLL_CONTAINER_ID}
+                    />
+                  ) : (
+                    <p className="news-grid-empty">
+                      {!scanPaused && hasMore
+                        ? `Looking for matching ${itemLabel}...`
+                        : view === 'articles' ? 'No articles found' : 'No story groups found'}
+                    </p>
+                  )}
+                  {scanMessage}
+                </>
+              )}
             </InfiniteScroll>
           )}
         </div>
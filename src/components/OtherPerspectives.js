@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import BiasDot from './BiasDot';
+import { prefetchStory } from '../api';
+import useOtherPerspectives from '../hooks/useOtherPerspectives';
+import { recordRead } from '../storage/readingHistory';
+import { isPlainClick, useReader } from '../ReaderContext';
+import { getBiasLabel } from '../utils/bias';
+
+const formatApart = (hours) => (hours < 1 ? 'within the hour' : `${hours}h apart`);
+
+const RelatedMatches = ({ article }) => {
+  const { matches, error } = useOtherPerspectives(article);
+  const { openReader } = useReader();
+
+  if (error) return <p className="perspectives-status">Couldn't look for other perspectives right now.</p>;
+  if (!matches) return <p className="perspectives-status">Looking for similar coverage…</p>;
+
+  return (
+    <div className="perspectives-matches">
+      {Object.entries(matches).map(([side, sideMatches]) => (
+        <div key={side} className="perspectives-side">
+          <span className="perspectives-side-label"><BiasDot bias={side} /> {getBiasLabel(side)}</span>
+          {sideMatches.length > 0 ? (
+            <ul>
+              {sideMatches.map(({ article: match, shared, hoursApart }) => (
+                <li key={match._id}>
+                  <a
+                    href={match.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    onClick={(e) => {
+                      if (!isPlainClick(e)) {
+                        recordRead(match);
+                        return;
+                      }
+                      e.preventDefault();
+                      // Step back and forth between this card's article and its matches
+                      openReader(match, [article, ...Object.values(matches).flat().map(item => item.article)]);
+                    }}
+                  >
+                    {match.aiHeading || match.title}
+                  </a>
+                  <span className="perspectives-meta">
+                    {match.source.name} · {formatApart(hoursApart)} · shares {shared.join(', ')}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="perspectives-status">No close match</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// "Other perspectives" on an article card: the story's comparison when the
+// article is part of a story group, otherwise the nearest articles from the
+// other leanings, looked up when first opened
+const OtherPerspectives = ({ article }) => {
+  const [open, setOpen] = useState(false);
+
+  if (article.storyGroupId) {
+    return (
+      <Link
+        to={`/story/${encodeURIComponent(article.storyGroupId)}`}
+        className="other-perspectives-btn"
+        onMouseEnter={() => prefetchStory(article.storyGroupId)}
+        onFocus={() => prefetchStory(article.storyGroupId)}
+        onTouchStart={() => prefetchStory(article.storyGroupId)}
+      >
+        🔀 Other perspectives on this story
+      </Link>
+    );
+  }
+
+  return (
+    <div className="other-perspectives">
+      <button
+        type="button"
+        className="other-perspectives-btn"
+        aria-expanded={open}
+        onClick={() => setOpen(value => !value)}
+      >
+        🔀 {open ? 'Hide other perspectives' : 'Find other perspectives'}
+      </button>
+      {open && <RelatedMatches article={article} />}
+    </div>
+  );
+};
+
+export default OtherPerspectives;
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { useFilterPresets, getPresetState } from '../FilterPresetsContext';
+import { serializeFeedState } from '../utils/feedQuery';
+
+// One-click saved filter combinations, with unread counts from background polling
+const PresetBar = ({ filters, view, onApply }) => {
+  const {
+    presets,
+    unreadCounts,
+    notificationsSupported,
+    addPreset,
+    removePreset,
+    setDefaultPreset,
+    markPresetSeen,
+    toggleNotify
+  } = useFilterPresets();
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const current = serializeFeedState({ filters, view });
+
+  const apply = (preset) => {
+    onApply(getPresetState(preset));
+    markPresetSeen(preset.id);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    addPreset(name, { filters, view });
+    setName('');
+    setNaming(false);
+  };
+
+  const handleNotify = async (preset) => {
+    const enabled = await toggleNotify(preset.id);
+    if (!enabled && !preset.notify) {
+      setNotice('Notifications are blocked for this site. Allow them in your browser settings.');
+    } else {
+      setNotice('');
+    }
+  };
+
+  const handleRemove = (preset) => {
+    if (window.confirm(`Delete the preset "${preset.name}"?`)) {
+      removePreset(preset.id);
+    }
+  };
+
+  return (
+    <div className="preset-bar">
+      <span className="preset-bar-label">Presets</span>
+      {presets.map(preset => {
+        const { count: unread = 0, more = false } = unreadCounts[preset.id] || {};
+        // `more`: the check only looked at the newest page, which was all new
+        const unreadLabel = unread > 99 ? '99+' : more ? (unread > 0 ? `${unread}+` : 'new') : unread;
+        const isActive = serializeFeedState(getPresetState(preset)) === current;
+        return (
+          <div key={preset.id} className={`preset-chip ${isActive ? 'active' : ''}`}>
+            <button
+              type="button"
+              className="preset-apply"
+              onClick={() => apply(preset)}
+              aria-pressed={isActive}
+            >
+              {preset.isDefault && <span aria-label="Default preset">📌 </span>}
+              {preset.name}
+              {(unread > 0 || more) && (
+                <span className="preset-unread" aria-label={`${unread}${more ? ' or more' : ''} new`}>{unreadLabel}</span>
+              )}
+            </button>
+            <button
+              type="button"
+              className="preset-action"
+              onClick={() => setDefaultPreset(preset.id)}
+              aria-pressed={preset.isDefault}
+              title={preset.isDefault ? 'Unpin as default' : 'Open the feed with this preset'}
+            >
+              {preset.isDefault ? '📍' : '📌'}
+            </button>
+            {notificationsSupported && (
+              <button
+                type="button"
+                className="preset-action"
+                onClick={() => handleNotify(preset)}
+                aria-pressed={preset.notify}
+                title={preset.notify ? 'Stop notifying me' : 'Notify me about new matches'}
+              >
+                {preset.notify ? '🔔' : '🔕'}
+              </button>
+            )}
+            <button
+              type="button"
+              className="preset-action"
+              onClick={() => handleRemove(preset)}
+              aria-label={`Delete preset ${preset.name}`}
+            >
+              ✕
+            </button>
+          </div>
+        );
+      })}
+
+      {naming ? (
+        <form className="preset-form" onSubmit={handleSave}>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Preset name"
+            aria-label="Preset name"
+            autoFocus
+          />
+          <button type="submit" className="preset-action" disabled={!name.trim()}>Save</button>
+          <button type="button" className="preset-action" onClick={() => setNaming(false)}>Cancel</button>
+        </form>
+      ) : (
+        <button type="button" className="preset-save-btn" onClick={() => setNaming(true)}>
+          ＋ Save current filters
+        </button>
+      )}
+
+      {notice && <p className="filter-hint">{notice}</p>}
+    </div>
+  );
+};
+
+export default PresetBar;
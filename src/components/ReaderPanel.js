@@ -0,0 +1,196 @@
+import React, { useEffect, useRef } from 'react';
+import BiasBadge from './BiasBadge';
+import BiasFeedback from './BiasFeedback';
+import BiasDot from './BiasDot';
+import BiasSpectrum from './BiasSpectrum';
+import SaveButton from './SaveButton';
+import { useReader } from '../ReaderContext';
+import useOtherPerspectives from '../hooks/useOtherPerspectives';
+import { BIAS_KINDS, getBiasLabel, getBiasScore } from '../utils/bias';
+import { formatTimeAgo } from '../utils/format';
+
+// Keys for stepping through the queue, as in most feed readers
+const PREVIOUS_KEYS = ['ArrowLeft', 'k'];
+const NEXT_KEYS = ['ArrowRight', 'j'];
+
+// One sentence on how the article sits against its outlet's usual leaning
+const describeDeparture = (article) => {
+  const sourceScore = getBiasScore(article.source.bias);
+  const articleScore = getBiasScore(article.biasScore ?? article.articleBias);
+  if (sourceScore === null || articleScore === null) return null;
+  const difference = articleScore - sourceScore;
+  if (Math.abs(difference) < 0.25) return `In line with ${BIAS_KINDS.source.description}.`;
+  return `Reads further ${difference > 0 ? 'right' : 'left'} than ${BIAS_KINDS.source.description}.`;
+};
+
+const SiblingCoverage = ({ article, onOpen }) => {
+  const { matches, error } = useOtherPerspectives(article);
+
+  if (error) return <p className="perspectives-status">Couldn't load coverage from other leanings.</p>;
+  if (!matches) return <p className="perspectives-status">Looking for coverage from other leanings…</p>;
+
+  return (
+    <div className="perspectives-matches">
+      {Object.entries(matches).map(([side, sideMatches]) => (
+        <div key={side} className="perspectives-side">
+          <span className="perspectives-side-label"><BiasDot bias={side} /> {getBiasLabel(side)}</span>
+          {sideMatches.length > 0 ? (
+            <ul>
+              {sideMatches.map(({ article: sibling }) => (
+                <li key={sibling._id}>
+                  <button type="button" className="reader-sibling" onClick={() => onOpen(sibling)}>
+                    {sibling.aiHeading || sibling.title}
+                  </button>
+                  <span className="perspectives-meta">{sibling.source.name} · {formatTimeAgo(sibling.publishedAt)}</span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="perspectives-status">No coverage found</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Side panel showing the article opened with "Read", with the way out to the
+// publisher. ← / → (or k / j) step through the list it was opened from and
+// Escape closes it, handing focus back to whatever opened it.
+const ReaderPanel = () => {
+  const { article, position, total, openNext, showPrevious, showNext, closeReader } = useReader();
+  const panelRef = useRef(null);
+  const returnFocusRef = useRef(null);
+  const isOpen = Boolean(article);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    returnFocusRef.current = document.activeElement;
+    return () => {
+      if (returnFocusRef.current && returnFocusRef.current.focus) returnFocusRef.current.focus();
+    };
+  }, [isOpen]);
+
+  // Start each article from the top, with focus in the panel
+  useEffect(() => {
+    if (!panelRef.current) return;
+    panelRef.current.scrollTop = 0;
+    panelRef.current.focus();
+  }, [article]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey) return;
+      if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+      if (e.key === 'Escape') {
+        closeReader();
+      } else if (PREVIOUS_KEYS.includes(e.key)) {
+        e.preventDefault();
+        showPrevious();
+      } else if (NEXT_KEYS.includes(e.key)) {
+        e.preventDefault();
+        showNext();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, closeReader, showPrevious, showNext]);
+
+  if (!article) return null;
+
+  const heading = article.aiHeading || article.title;
+  const departure = describeDeparture(article);
+
+  return (
+    <div className="modal-overlay reader-overlay" onMouseDown={(e) => e.target === e.currentTarget && closeReader()}>
+      <article
+        className="reader-panel"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="reader-heading"
+        tabIndex={-1}
+        ref={panelRef}
+      >
+        <div className="reader-toolbar">
+          <div className="reader-nav">
+            <button type="button" className="view-btn" onClick={showPrevious} disabled={position <= 1} aria-label="Previous article">
+              ←
+            </button>
+            <span className="reader-position" aria-live="polite">{position} of {total}</span>
+            <button type="button" className="view-btn" onClick={showNext} disabled={position >= total} aria-label="Next article">
+              →
+            </button>
+          </div>
+          <SaveButton type="article" item={article} />
+          <button type="button" className="modal-close" onClick={closeReader} aria-label="Close reader">
+            ×
+          </button>
+        </div>
+
+        <div className="news-meta">
+          <span className="news-source">{article.source.name}</span>
+          <span className="news-date">{formatTimeAgo(article.publishedAt)}</span>
+          <span className="category-badge">{article.category}</span>
+        </div>
+
+        <h2 id="reader-heading" className="reader-heading">{heading}</h2>
+        {article.title && article.title !== heading && (
+          <p className="reader-original-title">
+            <span className="reader-label">Original headline</span> {article.title}
+          </p>
+        )}
+
+        {(article.summary || article.description) && (
+          <p className="reader-summary">{article.summary || article.description}</p>
+        )}
+
+        <section className="reader-section">
+          <h3>Source vs. Article</h3>
+          <div className="bias-indicators">
+            <BiasBadge bias={article.source.bias} kind="source" />
+            <BiasBadge bias={article.articleBias} kind="article" confidence={article.biasConfidence} />
+          </div>
+          <BiasSpectrum
+            source={article.source.bias}
+            article={article.biasScore ?? article.articleBias}
+            confidence={article.biasConfidence}
+            showLabels
+          />
+          {departure && <p className="reader-note">{departure}</p>}
+          {article.biasReasoning && (
+            <>
+              <h4>Why this classification</h4>
+              <p>{article.biasReasoning}</p>
+            </>
+          )}
+          <BiasFeedback article={article} />
+        </section>
+
+        {article.keywords && article.keywords.length > 0 && (
+          <div className="article-keywords">
+            {article.keywords.map(keyword => (
+              <span key={keyword} className="keyword-tag">{keyword}</span>
+            ))}
+          </div>
+        )}
+
+        <section className="reader-section">
+          <h3>Other Perspectives</h3>
+          <SiblingCoverage article={article} onOpen={openNext} />
+        </section>
+
+        <a
+          href={article.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="btn btn--primary reader-original"
+        >
+          Open original at {article.source.name} ↗
+        </a>
+      </article>
+    </div>
+  );
+};
+
+export default ReaderPanel;
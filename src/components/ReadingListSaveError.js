@@ -0,0 +1,24 @@
+import React from 'react';
+import { useReadingList } from '../ReadingListContext';
+
+// Reports a reading-list change that couldn't be stored; the change itself
+// has already been undone, so the list on screen matches what's saved
+const ReadingListSaveError = () => {
+  const { saveError, dismissSaveError } = useReadingList();
+
+  if (!saveError) return null;
+
+  return (
+    <div className="status status--error reading-list-save-error" role="alert">
+      <span>
+        Couldn't {saveError.action}
+        {saveError.message ? `: ${saveError.message}` : ''}. Nothing was changed.
+      </span>
+      <button type="button" className="chip-remove" onClick={dismissSaveError} aria-label="Dismiss">
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default ReadingListSaveError;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { useReadingList } from '../ReadingListContext';
+
+// Bookmark toggle for an article (`type="article"`) or a story group (`type="story"`)
+const SaveButton = ({ type, item, compact = false }) => {
+  const { isSaved, toggleSaved } = useReadingList();
+  const saved = isSaved(type, item._id);
+  const label = saved ? 'Remove from reading list' : 'Save to reading list';
+
+  return (
+    <button
+      type="button"
+      className={`save-btn ${saved ? 'saved' : ''}`}
+      onClick={(e) => {
+        e.stopPropagation();
+        toggleSaved(type, item);
+      }}
+      aria-pressed={saved}
+      aria-label={label}
+      title={label}
+    >
+      {saved ? '🔖' : '📑'}{!compact && (saved ? ' Saved' : ' Save')}
+    </button>
+  );
+};
+
+export default SaveButton;
@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import {
+  QUERY_FIELDS,
+  parseSearchQuery,
+  tokensToQuery,
+  describeToken,
+  formatFieldToken
+} from '../utils/searchQuery';
+import { getRecentSearches, addRecentSearch, removeRecentSearch } from '../storage/recentSearches';
+
+const DEBOUNCE_MS = 400;
+const MAX_SUGGESTIONS = 8;
+
+// Start of the token under the cursor (the input is only ever edited at the end)
+const getFragmentStart = (text) => {
+  let inQuotes = false;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && /\s/.test(text[i])) start = i + 1;
+  }
+  return start;
+};
+
+const matching = (values = [], partial) => {
+  const needle = partial.toLowerCase();
+  return values.filter(value => value.toLowerCase().includes(needle));
+};
+
+const getSuggestions = (text, options) => {
+  const start = getFragmentStart(text);
+  const fragment = text.slice(start);
+  const fieldMatch = fragment.match(/^([a-z]+):"?(.*)$/i);
+
+  if (fieldMatch && options.fields.includes(fieldMatch[1].toLowerCase())) {
+    const field = fieldMatch[1].toLowerCase();
+    const values = {
+      source: options.sources,
+      bias: options.biases,
+      category: options.categories,
+      keyword: options.keywords
+    }[field];
+    return matching(values, fieldMatch[2].replace(/"$/, ''))
+      .map(value => ({ label: `${field}: ${value}`, text: `${formatFieldToken(field, value)} `, start }));
+  }
+
+  if (fragment.length < 2 || fragment.startsWith('-') || fragment.startsWith('"')) return [];
+
+  const fields = options.fields
+    .filter(field => field.startsWith(fragment.toLowerCase()))
+    .map(field => ({ label: `${field}:`, text: `${field}:`, start, hint: 'filter' }));
+  const sources = (options.fields.includes('source') ? matching(options.sources, fragment) : [])
+    .map(value => ({ label: value, text: `${formatFieldToken('source', value)} `, start, hint: 'source' }));
+  const keywords = matching(options.keywords, fragment)
+    .map(value => ({ label: value, text: `${formatFieldToken('keyword', value)} `, start, hint: 'keyword' }));
+
+  return [...fields, ...sources, ...keywords];
+};
+
+// Tokens for a field not in `fields` are shown as ignored
+const getChipError = (token, fields) => {
+  if (token.error) return token.error;
+  if (QUERY_FIELDS.includes(token.type) && !fields.includes(token.type)) return `${token.type}: doesn't apply here`;
+  return null;
+};
+
+const SearchBox = ({ id, label, value, onChange, placeholder, options = {}, fields = QUERY_FIELDS }) => {
+  const [draft, setDraft] = useState(value || '');
+  const [focused, setFocused] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [recent, setRecent] = useState(getRecentSearches);
+  const timerRef = useRef(null);
+  const committedRef = useRef(value || '');
+  // The debounced commit fires after later renders; always call the latest handler
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  // Back/forward or "Reset All Filters" change the value underneath us
+  useEffect(() => {
+    if ((value || '') !== committedRef.current) {
+      committedRef.current = value || '';
+      setDraft(value || '');
+    }
+  }, [value]);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  const commit = (query, { remember = false } = {}) => {
+    clearTimeout(timerRef.current);
+    const trimmed = query.trim();
+    if (trimmed !== committedRef.current) {
+      committedRef.current = trimmed;
+      onChangeRef.current(trimmed);
+    }
+    if (remember && trimmed) setRecent(addRecentSearch(trimmed));
+  };
+
+  const scheduleCommit = (query) => {
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(() => commit(query), DEBOUNCE_MS);
+  };
+
+  const updateDraft = (query) => {
+    setDraft(query);
+    setFocused(true);
+    setActiveIndex(-1);
+    scheduleCommit(query);
+  };
+
+  const tokens = useMemo(() => parseSearchQuery(draft), [draft]);
+
+  const suggestions = useMemo(() => {
+    if (!draft.trim()) {
+      return recent.map(query => ({ label: query, query, hint: 'recent' }));
+    }
+    return getSuggestions(draft, { ...options, fields }).slice(0, MAX_SUGGESTIONS);
+  }, [draft, recent, options, fields]);
+
+  const showSuggestions = focused && suggestions.length > 0;
+  const listId = `${id}-suggestions`;
+
+  const applySuggestion = (suggestion) => {
+    if (suggestion.query !== undefined) {
+      setDraft(suggestion.query);
+      setActiveIndex(-1);
+      commit(suggestion.query, { remember: true });
+      return;
+    }
+    updateDraft(draft.slice(0, suggestion.start) + suggestion.text);
+  };
+
+  const removeToken = (index) => {
+    const query = tokensToQuery(tokens.filter((_, i) => i !== index));
+    setDraft(query);
+    commit(query);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && showSuggestions) {
+      e.preventDefault();
+      setActiveIndex(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && showSuggestions) {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? suggestions.length : index) - 1);
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && showSuggestions && activeIndex >= 0) {
+      e.preventDefault();
+      applySuggestion(suggestions[activeIndex]);
+    } else if (e.key === 'Enter') {
+      commit(draft, { remember: true });
+      setFocused(false);
+    } else if (e.key === 'Escape') {
+      setFocused(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  return (
+    <div className="search-box">
+      <label htmlFor={id}>{label}</label>
+      <input
+        id={id}
+        type="text"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showSuggestions}
+        aria-controls={listId}
+        aria-activedescendant={showSuggestions && activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+        autoComplete="off"
+        placeholder={placeholder}
+        value={draft}
+        onChange={(e) => updateDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setFocused(true)}
+        onBlur={() => {
+          setFocused(false);
+          setActiveIndex(-1);
+          commit(draft, { remember: true });
+        }}
+        className="search-input"
+      />
+
+      {showSuggestions && (
+        <ul className="search-suggestions" id={listId} role="listbox">
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={`${suggestion.hint}-${suggestion.label}`}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`search-suggestion ${index === activeIndex ? 'active' : ''}`}
+              // mousedown so the input's blur doesn't close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                applySuggestion(suggestion);
+              }}
+            >
+              <span className="suggestion-label">{suggestion.label}</span>
+              {suggestion.hint === 'recent' ? (
+                <button
+                  type="button"
+                  className="suggestion-remove"
+                  aria-label={`Forget "${suggestion.label}"`}
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    setRecent(removeRecentSearch(suggestion.query));
+                  }}
+                >
+                  ✕
+                </button>
+              ) : (
+                suggestion.hint && <span className="suggestion-hint">{suggestion.hint}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {tokens.length > 0 && (
+        <div className="search-chips" aria-label="Search terms">
+          {tokens.map((token, index) => {
+            const chipError = getChipError(token, fields);
+            return (
+              <span
+                key={`${index}-${token.raw}`}
+                className={`search-chip chip-${token.type} ${chipError ? 'invalid' : ''}`}
+                title={chipError ? `${chipError} — this part is ignored` : undefined}
+              >
+                {describeToken(token)}
+                <button
+                  type="button"
+                  className="chip-remove"
+                  onClick={() => removeToken(index)}
+                  aria-label={`Remove ${describeToken(token)}`}
+                >
+                  ✕
+                </button>
+              </span>
+            );
+          })}
+        </div>
+      )}
+
+      <p className="filter-hint">
+        Try <code>"exact phrase"</code>, <code>-exclude</code>, <code>source:</code>, <code>bias:</code>,{' '}
+        <code>-category:</code>, <code>keyword:</code>, <code>after:2024-01-31</code>, <code>before:</code>
+      </p>
+    </div>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,56 @@
+import React, { useState, useMemo } from 'react';
+
+const MAX_VISIBLE = 12;
+
+// Searchable checklist of outlets. Selected sources stay at the top.
+const SourcePicker = ({ sources = [], selected, onChange }) => {
+  const [query, setQuery] = useState('');
+
+  const visible = useMemo(() => {
+    const needle = query.trim().toLowerCase();
+    const matches = sources.filter(source =>
+      !selected.includes(source) && source.toLowerCase().includes(needle)
+    );
+    return [...selected, ...matches.slice(0, MAX_VISIBLE)];
+  }, [sources, selected, query]);
+
+  const toggle = (source) => {
+    onChange(selected.includes(source)
+      ? selected.filter(item => item !== source)
+      : [...selected, source]);
+  };
+
+  if (sources.length === 0) {
+    return <p className="filter-hint">No sources available</p>;
+  }
+
+  return (
+    <div className="source-picker">
+      <input
+        type="search"
+        placeholder="Find a source..."
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        className="search-input"
+        aria-label="Find a source"
+      />
+      <div className="source-picker-list">
+        {visible.map(source => (
+          <label key={source} className="filter-checkbox">
+            <input
+              type="checkbox"
+              checked={selected.includes(source)}
+              onChange={() => toggle(source)}
+            />
+            {source}
+          </label>
+        ))}
+        {visible.length === selected.length && query && (
+          <p className="filter-hint">No sources match "{query}"</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SourcePicker;
@@ -0,0 +1,93 @@
+import React from 'react';
+import ChartTooltip from './ChartTooltip';
+import useChartTooltip from '../hooks/useChartTooltip';
+import { pluralize } from '../utils/charts';
+
+const WIDTH = 640;
+const HEIGHT = 200;
+const PLOT = { top: 8, right: 8, bottom: 24, left: 36 };
+// Beyond this many columns only every nth x-axis label is drawn
+const MAX_X_LABELS = 8;
+
+const defaultDescribe = (row, series, unit) => `${row.label}: ${series
+  .map(item => `${item.label} ${pluralize(row[item.key] || 0, unit)}`)
+  .join(', ')}`;
+
+// Columns over time, one per row, each stacked from `series`
+// ([{ key, label, color }], bottom to top). Rows are
+// `{ key, label, shortLabel?, [series.key]: number }`. Screen readers get the
+// same figures as a table.
+const StackedColumnChart = ({
+  rows,
+  series,
+  label,
+  unit = 'article',
+  describeRow = (row) => defaultDescribe(row, series, unit)
+}) => {
+  const { containerRef, tooltip, bind } = useChartTooltip();
+  const totals = rows.map(row => series.reduce((sum, item) => sum + (row[item.key] || 0), 0));
+  const max = Math.max(1, ...totals);
+  const plotWidth = WIDTH - PLOT.left - PLOT.right;
+  const plotHeight = HEIGHT - PLOT.top - PLOT.bottom;
+  const slot = plotWidth / Math.max(rows.length, 1);
+  const columnWidth = Math.max(1, slot * 0.7);
+  const labelEvery = Math.ceil(rows.length / MAX_X_LABELS);
+  const ticks = [...new Set([0, Math.round(max / 2), max])];
+  const y = (value) => PLOT.top + plotHeight - (value / max) * plotHeight;
+
+  return (
+    <figure className="chart stacked-column-chart" ref={containerRef}>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} aria-hidden="true" focusable="false">
+        {ticks.map(tick => (
+          <g key={tick} className="chart-axis">
+            <line className="chart-gridline" x1={PLOT.left} x2={WIDTH - PLOT.right} y1={y(tick)} y2={y(tick)} />
+            <text x={PLOT.left - 6} y={y(tick)} textAnchor="end" dominantBaseline="middle">{tick}</text>
+          </g>
+        ))}
+        {rows.map((row, index) => {
+          const x = PLOT.left + index * slot + (slot - columnWidth) / 2;
+          let stacked = 0;
+          return (
+            <g key={row.key} className="chart-column" {...bind(describeRow(row))}>
+              {/* Full-height hit area so short columns are easy to point at */}
+              <rect className="chart-column-hit" x={PLOT.left + index * slot} y={PLOT.top} width={slot} height={plotHeight} />
+              {series.map((item) => {
+                const value = row[item.key] || 0;
+                if (!value) return null;
+                const top = y(stacked + value);
+                const height = y(stacked) - top;
+                stacked += value;
+                return <rect key={item.key} x={x} y={top} width={columnWidth} height={height} style={{ fill: item.color }} />;
+              })}
+              {index % labelEvery === 0 && (
+                <text className="chart-axis" x={x + columnWidth / 2} y={HEIGHT - 6} textAnchor="middle">
+                  {row.shortLabel || row.label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      <table className="sr-only">
+        <caption>{label}</caption>
+        <thead>
+          <tr>
+            <th scope="col">Period</th>
+            {series.map(item => <th key={item.key} scope="col">{item.label}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key}>
+              <th scope="row">{row.label}</th>
+              {series.map(item => <td key={item.key}>{row[item.key] || 0}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <ChartTooltip tooltip={tooltip} />
+    </figure>
+  );
+};
+
+export default StackedColumnChart;
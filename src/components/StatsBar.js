@@ -0,0 +1,49 @@
+import React from 'react';
+import DonutChart from './DonutChart';
+import BiasLegend from './BiasLegend';
+import CategoryBreakdown from './CategoryBreakdown';
+import { getBiasColor, getBiasLabel, getBiasScore } from '../utils/bias';
+import { formatTimeAgo } from '../utils/format';
+
+// Left to right, with anything unrated last
+const byPosition = (a, b) => (getBiasScore(a) ?? 2) - (getBiasScore(b) ?? 2);
+
+// Totals for the whole feed: article count, freshness, leaning and category mix
+const StatsBar = ({ stats }) => {
+  const biases = Object.keys(stats.biasStats || {}).sort(byPosition);
+  const rated = biases.reduce((sum, bias) => sum + stats.biasStats[bias], 0);
+
+  return (
+    <div className="stats-bar">
+      <div className="stat-item">
+        <span className="stat-number">{stats.totalArticles.toLocaleString()}</span>
+        <span className="stat-label">Total Articles</span>
+      </div>
+      <div className="stat-item">
+        <span className="stat-number">
+          {stats.lastUpdate ? formatTimeAgo(stats.lastUpdate) : 'N/A'}
+        </span>
+        <span className="stat-label">Last Updated</span>
+      </div>
+      {biases.length > 0 && (
+        <div className="stats-chart">
+          <DonutChart
+            label="Articles by political leaning"
+            segments={biases.map(bias => ({
+              key: bias,
+              label: getBiasLabel(bias),
+              value: stats.biasStats[bias],
+              color: getBiasColor(bias)
+            }))}
+            centerValue={rated.toLocaleString()}
+            centerLabel="rated"
+          />
+          <BiasLegend biases={biases} counts={stats.biasStats} showShares short className="bias-stats" />
+        </div>
+      )}
+      <CategoryBreakdown counts={stats.categoryStats} label="By category" />
+    </div>
+  );
+};
+
+export default StatsBar;
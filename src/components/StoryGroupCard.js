@@ -0,0 +1,79 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import SaveButton from './SaveButton';
+import BiasLegend from './BiasLegend';
+import BiasDistributionBar from './BiasDistributionBar';
+import { prefetchStory } from '../api';
+import { getBiasColor, getBiasLabel } from '../utils/bias';
+import { formatTimeAgo } from '../utils/format';
+import { SIDES } from '../utils/blindspot';
+
+const BlindspotIndicator = ({ balance }) => {
+  const dominantShare = Math.round(balance.shares[balance.dominant] * 100);
+  const missing = balance.missing.map(side => getBiasLabel(side)).join(' and ');
+
+  return (
+    <div className="blindspot-indicator">
+      <div className="blindspot-label">
+        <span className="blindspot-tag">🕳️ Blindspot</span>
+        <span>
+          {dominantShare}% {getBiasLabel(balance.dominant).toLowerCase()} coverage
+          {missing && ` · little or no ${missing.toLowerCase()} coverage`}
+        </span>
+      </div>
+      <div
+        className="blindspot-meter"
+        role="meter"
+        aria-label="Coverage imbalance"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(balance.lopsidedness * 100)}
+      >
+        {SIDES.map(side => balance.shares[side] > 0 && (
+          <span
+            key={side}
+            style={{ width: `${balance.shares[side] * 100}%`, backgroundColor: getBiasColor(side) }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// `balance` (from utils/blindspot) is passed in Blindspot mode to flag the imbalance
+const StoryGroupCard = ({ storyGroup, balance }) => (
+  <div className={`story-group-card ${balance ? 'is-blindspot' : ''}`}>
+    <div className="story-group-header">
+      <h3 className="story-group-title">{storyGroup.mainHeadline}</h3>
+      <p className="story-group-summary">{storyGroup.summary}</p>
+      
+      <div className="story-group-meta">
+        <span className="story-category">{storyGroup.category}</span>
+        <span className="story-date">{formatTimeAgo(storyGroup.createdAt)}</span>
+        <SaveButton type="story" item={storyGroup} compact />
+      </div>
+    </div>
+    
+    {balance && <BlindspotIndicator balance={balance} />}
+
+    <div className="story-bias-distribution">
+      <div className="bias-breakdown">
+        <span>Coverage by political leaning:</span>
+        <BiasDistributionBar counts={storyGroup.biasDistribution} />
+        <BiasLegend counts={storyGroup.biasDistribution} short />
+      </div>
+    </div>
+    
+    <Link
+      to={`/story/${encodeURIComponent(storyGroup._id)}`}
+      className="compare-coverage-btn"
+      onMouseEnter={() => prefetchStory(storyGroup._id)}
+      onFocus={() => prefetchStory(storyGroup._id)}
+      onTouchStart={() => prefetchStory(storyGroup._id)}
+    >
+      📊 Compare Coverage ({storyGroup.articles.length} sources)
+    </Link>
+  </div>
+);
+
+export default StoryGroupCard;
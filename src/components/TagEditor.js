@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+
+// Chips with a remove button each, plus a text box that adds one on Enter,
+// comma or blur. Entries are trimmed, lower-cased and kept unique.
+const TagEditor = ({ tags, onChange, itemLabel = 'tag', placeholder = 'Add tag' }) => {
+  const [draft, setDraft] = useState('');
+
+  const addTag = () => {
+    const tag = draft.trim().toLowerCase();
+    if (tag && !tags.includes(tag)) onChange([...tags, tag]);
+    setDraft('');
+  };
+
+  return (
+    <div className="tag-editor">
+      {tags.map(tag => (
+        <span key={tag} className="keyword-tag removable">
+          {tag}
+          <button type="button" onClick={() => onChange(tags.filter(t => t !== tag))} aria-label={`Remove ${itemLabel} ${tag}`}>
+            ×
+          </button>
+        </span>
+      ))}
+      <input
+        type="text"
+        value={draft}
+        placeholder={placeholder}
+        aria-label={placeholder}
+        className="tag-input"
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addTag();
+          }
+        }}
+        onBlur={addTag}
+      />
+    </div>
+  );
+};
+
+export default TagEditor;
@@ -0,0 +1,107 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useTheme, THEME_MODES, BIAS_PALETTES } from '../ThemeContext';
+import BiasDot from './BiasDot';
+import { BIAS_SCALE } from '../utils/bias';
+
+const PANEL_ID = 'theme-picker-panel';
+
+const getModeOption = (value) => THEME_MODES.find(option => option.value === value);
+
+// Header button opening theme and bias palette choices
+const ThemePicker = () => {
+  const { mode, theme, palette, setMode, setPalette } = useTheme();
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+  const buttonRef = useRef(null);
+
+  // Close on a click outside or Escape
+  useEffect(() => {
+    if (!open) return undefined;
+    const handlePointerDown = (e) => {
+      if (!containerRef.current.contains(e.target)) setOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        setOpen(false);
+        buttonRef.current.focus();
+      }
+    };
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [open]);
+
+  const current = getModeOption(mode);
+
+  return (
+    <div className="theme-picker" ref={containerRef}>
+      <button
+        type="button"
+        className="theme-toggle"
+        ref={buttonRef}
+        onClick={() => setOpen(value => !value)}
+        aria-expanded={open}
+        aria-controls={PANEL_ID}
+        aria-label={`Appearance: ${current.label} theme`}
+        title="Appearance"
+      >
+        {current.icon}
+      </button>
+
+      {open && (
+        <div className="theme-picker-panel" id={PANEL_ID}>
+          <fieldset>
+            <legend>Theme</legend>
+            {THEME_MODES.map(option => (
+              <label key={option.value} className={`theme-option ${mode === option.value ? 'active' : ''}`}>
+                <input
+                  type="radio"
+                  name="theme-mode"
+                  value={option.value}
+                  checked={mode === option.value}
+                  onChange={() => setMode(option.value)}
+                />
+                <span className="theme-option-icon" aria-hidden="true">{option.icon}</span>
+                <span className="theme-option-text">
+                  {option.label}
+                  {option.value === 'system' && (
+                    <span className="theme-option-hint">
+                      Follows your device{mode === 'system' && ` · now ${getModeOption(theme).label.toLowerCase()}`}
+                    </span>
+                  )}
+                </span>
+              </label>
+            ))}
+          </fieldset>
+
+          <fieldset>
+            <legend>Bias colors</legend>
+            {BIAS_PALETTES.map(option => (
+              <label key={option.value} className={`theme-option ${palette === option.value ? 'active' : ''}`}>
+                <input
+                  type="radio"
+                  name="bias-palette"
+                  value={option.value}
+                  checked={palette === option.value}
+                  onChange={() => setPalette(option.value)}
+                />
+                <span className="palette-swatch" data-palette={option.value} aria-hidden="true">
+                  {BIAS_SCALE.map(point => <BiasDot key={point.key} bias={point.key} />)}
+                </span>
+                <span className="theme-option-text">
+                  {option.label}
+                  <span className="theme-option-hint">{option.description}</span>
+                </span>
+              </label>
+            ))}
+          </fieldset>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ThemePicker;
@@ -1,14 +0,0 @@
-import React, { useContext } from 'react';
-import { ThemeContext } from '../ThemeContext';
-
-const ThemeToggle = () => {
-  const { theme, toggleTheme } = useContext(ThemeContext);
-
-  return (
-    <button className="theme-toggle" onClick={toggleTheme} aria-label={`Switch to ${theme === 'light' ? 'dark' : 'light'} mode`}>
-      {theme === 'light' ? '🌙' : '☀️'}
-    </button>
-  );
-};
-
-export default ThemeToggle;
@@ -0,0 +1,244 @@
+import React, { useState, useRef, useMemo, useLayoutEffect, useEffect, useCallback } from 'react';
+
+// Row heights, remembered per item as `${columns}|${key}` so they survive
+// remounts (scroll restoration needs the same total height as before) and
+// rows being regrouped when items are prepended
+const itemHeights = new Map();
+const MAX_CACHED_HEIGHTS = 5000;
+
+const DEFAULT_ROW_HEIGHT = 420;
+// Rows rendered beyond the viewport on each side
+const OVERSCAN_ROWS = 2;
+// Hard cap on mounted rows, whatever the viewport or number of pages
+const MAX_RENDERED_ROWS = 12;
+
+const rememberHeight = (cacheKey, height) => {
+  itemHeights.delete(cacheKey);
+  itemHeights.set(cacheKey, height);
+  if (itemHeights.size > MAX_CACHED_HEIGHTS) {
+    itemHeights.delete(itemHeights.keys().next().value);
+  }
+};
+
+// Column count the way `repeat(auto-fit, minmax(min, 1fr))` would lay it out.
+// The minimum and an optional maximum come from CSS custom properties so
+// breakpoints stay in the stylesheet.
+const readLayout = (grid) => {
+  const style = window.getComputedStyle(grid);
+  const gap = parseFloat(style.columnGap) || 0;
+  const minColumn = parseFloat(style.getPropertyValue('--news-grid-min-column')) || 380;
+  const maxColumns = parseInt(style.getPropertyValue('--news-grid-max-columns'), 10) || Infinity;
+  const columns = Math.floor((grid.clientWidth + gap) / (minColumn + gap));
+  return {
+    columns: Math.max(1, Math.min(maxColumns, columns)),
+    gap,
+    paddingTop: parseFloat(style.paddingTop) || 0
+  };
+};
+
+// Windowed replacement for a `.news-grid` of cards: only the rows near the
+// viewport of `scrollContainerId` are mounted, with spacers standing in for
+// the rest. Cards may be any height; rows are measured once rendered.
+// When items are added above what the reader is looking at, the scroll
+// position is adjusted so the same card stays put.
+const VirtualGrid = ({ items, getKey, renderItem, scrollContainerId }) => {
+  const gridRef = useRef(null);
+  const [layout, setLayout] = useState({ columns: 1, gap: 0, paddingTop: 0 });
+  const [range, setRange] = useState({ start: 0, end: MAX_RENDERED_ROWS });
+  const [, setMeasured] = useState(0);
+  const anchorRef = useRef(null);
+
+  const { columns, gap } = layout;
+
+  const rows = useMemo(() => {
+    const grouped = [];
+    for (let i = 0; i < items.length; i += columns) {
+      const rowItems = items.slice(i, i + columns);
+      grouped.push({ key: getKey(rowItems[0]), items: rowItems });
+    }
+    return grouped;
+  }, [items, columns, getKey]);
+
+  const heightKey = useCallback((item) => `${columns}|${getKey(item)}`, [columns, getKey]);
+
+  // Recomputed every render: cheap next to rendering the cards themselves
+  const offsets = [0];
+  let measuredTotal = 0;
+  let measuredCount = 0;
+  const known = rows.map(row => {
+    const heights = row.items.map(item => itemHeights.get(heightKey(item))).filter(Boolean);
+    if (heights.length === 0) return null;
+    const height = Math.max(...heights);
+    measuredTotal += height;
+    measuredCount += 1;
+    return height;
+  });
+  const estimate = measuredCount ? measuredTotal / measuredCount : DEFAULT_ROW_HEIGHT;
+  known.forEach((height, index) => {
+    offsets.push(offsets[index] + (height || estimate));
+  });
+
+  const offsetsRef = useRef(offsets);
+  offsetsRef.current = offsets;
+  const rowsRef = useRef(rows);
+  rowsRef.current = rows;
+
+  const getViewport = useCallback(() => {
+    const container = document.getElementById(scrollContainerId);
+    const grid = gridRef.current;
+    if (!container || !grid) return null;
+    // Where the first row starts, in the container's scroll coordinates
+    const contentTop = grid.getBoundingClientRect().top - container.getBoundingClientRect().top +
+      container.scrollTop + layout.paddingTop;
+    return {
+      container,
+      contentTop,
+      top: container.scrollTop - contentTop,
+      bottom: container.scrollTop + container.clientHeight - contentTop
+    };
+  }, [scrollContainerId, layout.paddingTop]);
+
+  const updateRange = useCallback(() => {
+    const viewport = getViewport();
+    if (!viewport) return;
+    const rowOffsets = offsetsRef.current;
+    const rowCount = rowOffsets.length - 1;
+
+    let first = 0;
+    while (first < rowCount - 1 && rowOffsets[first + 1] <= viewport.top) first += 1;
+    let last = first;
+    while (last < rowCount - 1 && rowOffsets[last + 1] < viewport.bottom) last += 1;
+
+    const start = Math.max(0, first - OVERSCAN_ROWS);
+    const end = Math.min(rowCount, last + 1 + OVERSCAN_ROWS, start + MAX_RENDERED_ROWS);
+    setRange(prev => (prev.start === start && prev.end === end ? prev : { start, end }));
+
+    const anchorRow = rowsRef.current[first];
+    anchorRef.current = anchorRow && viewport.top > 0
+      ? { key: anchorRow.key, delta: viewport.top - rowOffsets[first] }
+      : null;
+  }, [getViewport]);
+
+  // Track the container's scroll and the grid's width
+  useEffect(() => {
+    const container = document.getElementById(scrollContainerId);
+    const grid = gridRef.current;
+    if (!container || !grid) return undefined;
+
+    let frame = null;
+    const handleScroll = () => {
+      if (frame) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        updateRange();
+      });
+    };
+    container.addEventListener('scroll', handleScroll, { passive: true });
+
+    const relayout = () => {
+      const next = readLayout(grid);
+      setLayout(prev => (
+        prev.columns === next.columns && prev.gap === next.gap && prev.paddingTop === next.paddingTop ? prev : next
+      ));
+    };
+    relayout();
+    const observer = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(relayout) : null;
+    if (observer) observer.observe(grid);
+
+    return () => {
+      container.removeEventListener('scroll', handleScroll);
+      if (frame) cancelAnimationFrame(frame);
+      if (observer) observer.disconnect();
+    };
+  }, [scrollContainerId, updateRange]);
+
+  // Keep the card the reader was looking at in place when rows change above
+  // it (new items prepended, or a different column count after a resize)
+  useLayoutEffect(() => {
+    const anchor = anchorRef.current;
+    const viewport = getViewport();
+    if (anchor && viewport) {
+      const index = rows.findIndex(row => row.items.some(item => getKey(item) === anchor.key));
+      if (index !== -1) {
+        const target = viewport.contentTop + offsetsRef.current[index] + anchor.delta;
+        if (Math.abs(viewport.container.scrollTop - target) > 1) {
+          viewport.container.scrollTop = target;
+        }
+      }
+    }
+    updateRange();
+  }, [rows, getKey, getViewport, updateRange]);
+
+  // Measure the mounted rows after every render, and again whenever their
+  // content resizes (images loading, "Bias Info" expanding)
+  const measureRows = () => {
+    const grid = gridRef.current;
+    if (!grid) return;
+    const viewport = getViewport();
+    let shiftAbove = 0;
+
+    grid.querySelectorAll(':scope > .virtual-grid-row').forEach(node => {
+      const index = Number(node.dataset.rowIndex);
+      const row = rowsRef.current[index];
+      const height = node.offsetHeight;
+      const current = offsetsRef.current[index + 1] - offsetsRef.current[index];
+      if (!row || !height || Math.abs(height - current) < 1) return;
+      row.items.forEach(item => rememberHeight(heightKeyRef.current(item), height));
+      // Rows entirely above the viewport push the visible ones around
+      if (viewport && offsetsRef.current[index + 1] <= viewport.top) shiftAbove += height - current;
+      setMeasured(count => count + 1);
+    });
+
+    if (viewport && shiftAbove) viewport.container.scrollTop += shiftAbove;
+  };
+  const measureRef = useRef(measureRows);
+  measureRef.current = measureRows;
+  const heightKeyRef = useRef(heightKey);
+  heightKeyRef.current = heightKey;
+
+  const observerRef = useRef(null);
+
+  useLayoutEffect(() => {
+    measureRef.current();
+    if (typeof ResizeObserver === 'undefined' || !gridRef.current) return;
+    if (!observerRef.current) {
+      observerRef.current = new ResizeObserver(() => measureRef.current());
+    }
+    const observer = observerRef.current;
+    observer.disconnect();
+    gridRef.current.querySelectorAll(':scope > .virtual-grid-row').forEach(node => observer.observe(node));
+  });
+
+  useEffect(() => () => {
+    if (observerRef.current) observerRef.current.disconnect();
+  }, []);
+
+  const { start } = range;
+  const end = Math.min(range.end, rows.length);
+  const visibleRows = rows.slice(start, end);
+
+  return (
+    <div className="news-grid virtual-grid" ref={gridRef}>
+      <div style={{ height: offsets[start] || 0 }} aria-hidden="true" />
+      {visibleRows.map((row, i) => (
+        <div
+          key={row.key}
+          className="virtual-grid-row"
+          data-row-index={start + i}
+          style={{
+            gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`,
+            gap: `${gap}px`,
+            paddingBottom: `${gap}px`
+          }}
+        >
+          {row.items.map(item => (
+            <React.Fragment key={getKey(item)}>{renderItem(item)}</React.Fragment>
+          ))}
+        </div>
+      ))}
+      <div style={{ height: offsets[rows.length] - offsets[end] }} aria-hidden="true" />
+    </div>
+  );
+};
+
+export default VirtualGrid;
@@ -0,0 +1,27 @@
+import { useCallback, useRef, useState } from 'react';
+
+// Pointer tooltip for chart segments. Spread `bind(text)` onto a segment and
+// render <ChartTooltip tooltip={tooltip} /> inside `containerRef`. Charts also
+// carry the same figures as text, so this is for pointer users only.
+export default function useChartTooltip() {
+  const containerRef = useRef(null);
+  const [tooltip, setTooltip] = useState(null);
+
+  const showAt = useCallback((text, e) => {
+    const container = containerRef.current;
+    if (!container) return;
+    const bounds = container.getBoundingClientRect();
+    setTooltip({ text, x: e.clientX - bounds.left, y: e.clientY - bounds.top });
+  }, []);
+
+  const hide = useCallback(() => setTooltip(null), []);
+
+  const bind = useCallback((text) => ({
+    onMouseMove: (e) => showAt(text, e),
+    onMouseLeave: hide,
+    // Touch screens have no hover; a tap shows it instead
+    onClick: (e) => showAt(text, e)
+  }), [showAt, hide]);
+
+  return { containerRef, tooltip, bind };
+}
@@ -0,0 +1,43 @@
+import { useMemo, useCallback, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { parseFeedState, serializeFeedState } from '../utils/feedQuery';
+
+// Keeps feed filters and view in the query string. Every change becomes a
+// history entry so back/forward step through them, except edits that only
+// touch the search text, which replace the current entry instead of adding
+// one per keystroke.
+export default function useFeedUrlState() {
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const searchRef = useRef(location.search);
+  searchRef.current = location.search;
+
+  const state = useMemo(() => parseFeedState(location.search), [location.search]);
+
+  const update = useCallback((changes, { replace } = {}) => {
+    const currentSearch = searchRef.current;
+    const current = parseFeedState(currentSearch);
+    const next = {
+      view: changes.view || current.view,
+      filters: changes.filters || current.filters
+    };
+    const nextSearch = serializeFeedState(next, currentSearch);
+    if (nextSearch === currentSearch) return;
+
+    // Compare serialized, since list filters are fresh arrays on every parse
+    const onlySearchChanged = serializeFeedState({
+      view: next.view,
+      filters: { ...next.filters, search: current.filters.search }
+    }, currentSearch) === currentSearch;
+
+    navigate({ search: nextSearch }, { replace: replace ?? onlySearchChanged });
+  }, [navigate]);
+
+  const setFilters = useCallback((filters) => update({ filters }), [update]);
+  const setView = useCallback((view) => update({ view }), [update]);
+  // Swap in a whole { filters, view } state at once, e.g. from a saved preset
+  const setFeedState = useCallback((next, options) => update(next, options), [update]);
+
+  return { filters: state.filters, view: state.view, setFilters, setView, setFeedState };
+}
@@ -0,0 +1,28 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// When only some of a feed's items are shown (client-side filters,
+// blindspots), a page may not fill the screen enough for infinite scroll to
+// fire. This pulls more pages until `shown` reaches `minResults`, but only
+// `maxPages` of them per `queryKey` before `paused` is set and it waits for
+// `resume()`. `canLoadMore` should be false while a page is loading, after
+// an error, and once there are no more pages.
+export default function useFillPages(queryKey, { shown, minResults, maxPages, canLoadMore, loadMore }) {
+  const [pages, setPages] = useState({ key: queryKey, count: 0 });
+  const count = pages.key === queryKey ? pages.count : 0;
+  const needsMore = canLoadMore && shown < minResults;
+
+  useEffect(() => {
+    if (needsMore && count < maxPages) {
+      setPages({ key: queryKey, count: count + 1 });
+      loadMore();
+    }
+  }, [needsMore, count, maxPages, queryKey, loadMore]);
+
+  // Another round of automatic pages
+  const resume = useCallback(() => setPages({ key: queryKey, count: 0 }), [queryKey]);
+
+  return {
+    paused: needsMore && count >= maxPages,
+    resume
+  };
+}
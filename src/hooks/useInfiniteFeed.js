@@ -0,0 +1,183 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { isCancelled } from '../api';
+
+const initialState = {
+  key: null,
+  items: [],
+  page: 0,
+  hasMore: true,
+  status: 'loading', // 'loading' | 'loadingMore' | 'idle' | 'error'
+  error: null
+};
+
+const getId = (item) => item._id;
+
+// Last settled state per query, so remounting the same feed (e.g. coming back
+// from a story page) shows what was already loaded instead of starting over
+const snapshots = new Map();
+const MAX_SNAPSHOTS = 10;
+
+const saveSnapshot = (key, state) => {
+  snapshots.delete(key);
+  snapshots.set(key, state);
+  if (snapshots.size > MAX_SNAPSHOTS) {
+    snapshots.delete(snapshots.keys().next().value);
+  }
+};
+
+// Paginated feed keyed by `queryKey`. `fetchPage({ page, signal, fresh })`
+// must resolve to `{ items, hasMore }`; `fresh` is set when the user asked
+// for a refresh and cached responses shouldn't do. Whenever the key changes
+// the in-flight request is aborted and the list starts over from page 1, so
+// results from two different queries can never end up in the same list -
+// unless that query was loaded before, in which case its last list is shown
+// straight away and page 1 is revalidated behind it.
+export default function useInfiniteFeed(queryKey, fetchPage) {
+  const [state, setState] = useState(() => snapshots.get(queryKey) || initialState);
+  const restoredRef = useRef(snapshots.has(queryKey));
+
+  const fetchRef = useRef(fetchPage);
+  fetchRef.current = fetchPage;
+
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  const keyRef = useRef(queryKey);
+  const controllerRef = useRef(null);
+
+  const runFetch = useCallback(async (page, fresh = false) => {
+    if (controllerRef.current) controllerRef.current.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const key = keyRef.current;
+
+    setState(prev => ({
+      ...(page === 1 ? initialState : prev),
+      key,
+      status: page === 1 ? 'loading' : 'loadingMore',
+      error: null
+    }));
+
+    try {
+      const { items, hasMore } = await fetchRef.current({ page, signal: controller.signal, fresh });
+
+      // A newer query took over while we were waiting
+      if (controller.signal.aborted || key !== keyRef.current) return;
+
+      setState(prev => {
+        const base = page === 1 ? [] : prev.items;
+        const seen = new Set(base.map(getId));
+        const fresh = items.filter(item => {
+          if (seen.has(getId(item))) return false;
+          seen.add(getId(item));
+          return true;
+        });
+        return {
+          key,
+          items: [...base, ...fresh],
+          page,
+          hasMore: Boolean(hasMore),
+          status: 'idle',
+          error: null
+        };
+      });
+    } catch (error) {
+      if (isCancelled(error) || key !== keyRef.current) return;
+      console.error('Error loading feed page:', error);
+      setState(prev => ({ ...prev, status: 'error', error }));
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+    }
+  }, []);
+
+  const revalidate = useCallback(async () => {
+    if (controllerRef.current) controllerRef.current.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const key = keyRef.current;
+
+    try {
+      const { items, hasMore } = await fetchRef.current({ page: 1, signal: controller.signal });
+      if (controller.signal.aborted || key !== keyRef.current) return;
+
+      setState(prev => {
+        if (prev.key !== key) return prev;
+        const unchanged = items.length <= prev.items.length &&
+          items.every((item, index) => getId(item) === getId(prev.items[index]));
+        if (unchanged) {
+          return { ...prev, items: [...items, ...prev.items.slice(items.length)] };
+        }
+        // Don't yank a list the reader has scrolled into; new arrivals get
+        // offered by the "new articles" banner instead
+        if (prev.page > 1) return prev;
+        return { key, items, page: 1, hasMore: Boolean(hasMore), status: 'idle', error: null };
+      });
+    } catch (error) {
+      // Keep showing what we have
+      if (!isCancelled(error)) console.warn('Could not revalidate feed:', error);
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+    }
+  }, []);
+
+  useEffect(() => {
+    keyRef.current = queryKey;
+    if (restoredRef.current) {
+      restoredRef.current = false;
+      revalidate();
+      return;
+    }
+    const snapshot = snapshots.get(queryKey);
+    if (snapshot) {
+      setState(snapshot);
+      revalidate();
+      return;
+    }
+    runFetch(1);
+  }, [queryKey, runFetch, revalidate]);
+
+  useEffect(() => {
+    if (state.status === 'idle' && state.key) saveSnapshot(state.key, state);
+  }, [state]);
+
+  // Until the effect above kicks off the new query, the state still belongs
+  // to the previous key; never hand those items out under the new one
+  const isCurrent = state.key === queryKey;
+
+  useEffect(() => () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  }, []);
+
+  const loadMore = useCallback(() => {
+    const { status, hasMore, page } = stateRef.current;
+    if (status === 'loading' || status === 'loadingMore' || !hasMore) return;
+    runFetch(page + 1);
+  }, [runFetch]);
+
+  const refresh = useCallback(() => runFetch(1, true), [runFetch]);
+
+  // Puts newer items on top; ones already listed move up rather than repeat
+  const prependItems = useCallback((newItems) => {
+    const ids = new Set(newItems.map(getId));
+    setState(prev => (prev.key === keyRef.current
+      ? { ...prev, items: [...newItems, ...prev.items.filter(item => !ids.has(getId(item)))] }
+      : prev));
+  }, []);
+
+  // After a failed page, retry that page rather than starting over
+  const retry = useCallback(() => {
+    runFetch(stateRef.current.page + 1);
+  }, [runFetch]);
+
+  return {
+    items: isCurrent ? state.items : [],
+    hasMore: isCurrent && state.hasMore && state.status !== 'error',
+    isLoading: !isCurrent || state.status === 'loading',
+    isLoadingMore: isCurrent && state.status === 'loadingMore',
+    error: isCurrent ? state.error : null,
+    loadMore,
+    refresh,
+    retry,
+    prependItems
+  };
+}
@@ -0,0 +1,69 @@
+import { useState, useEffect, useRef } from 'react';
+import { API_CONFIG, openUpdateStream, isCancelled } from '../api';
+
+// Watches for items newer than `since` for the feed identified by `queryKey`.
+// `fetchNewer({ since, signal })` must resolve to `{ items, complete }`, the
+// new items and whether that's all of them (see getNewerItems). Checks
+// run every API_CONFIG.pollInterval (or on a server-sent ping), are skipped
+// while the tab is hidden, and catch up as soon as it's visible again.
+// Nothing is added to the feed here; the caller decides when to show them.
+export default function useLiveUpdates(queryKey, { enabled, since, fetchNewer }) {
+  const [update, setUpdate] = useState({ key: null, since: null, items: [], complete: true });
+
+  const fetchRef = useRef(fetchNewer);
+  fetchRef.current = fetchNewer;
+  const sinceRef = useRef(since);
+  sinceRef.current = since;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const controller = new AbortController();
+    let busy = false;
+    let timer = null;
+
+    const check = async () => {
+      const checkedSince = sinceRef.current;
+      if (busy || !checkedSince || document.visibilityState === 'hidden') return;
+      busy = true;
+      try {
+        const { items, complete } = await fetchRef.current({ since: checkedSince, signal: controller.signal });
+        if (!controller.signal.aborted) {
+          setUpdate({ key: queryKey, since: checkedSince, items, complete });
+        }
+      } catch (error) {
+        if (!isCancelled(error)) console.warn('Could not check for new items:', error);
+      } finally {
+        busy = false;
+      }
+    };
+
+    const startPolling = () => {
+      if (!timer) timer = setInterval(check, API_CONFIG.pollInterval);
+    };
+
+    const closeStream = openUpdateStream({ onUpdate: check, onError: startPolling });
+    if (!closeStream) startPolling();
+
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') check();
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+
+    return () => {
+      controller.abort();
+      clearInterval(timer);
+      if (closeStream) closeStream();
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, [queryKey, enabled]);
+
+  // Results only count against the feed (and newest item) they were checked for
+  const isCurrent = enabled && update.key === queryKey && update.since === since;
+
+  return {
+    newItems: isCurrent ? update.items : [],
+    // false when there are more new items than were fetched
+    newComplete: !isCurrent || update.complete
+  };
+}
@@ -0,0 +1,37 @@
+import { useEffect, useState } from 'react';
+import { fetchArticles, fetchStory, isCancelled } from '../api';
+import { getOtherSides, getRelatedParams, rankOtherPerspectives } from '../utils/perspectives';
+
+// Coverage of `article`'s event from the other leanings, as
+// `{ matches: { side: [{ article, shared?, hoursApart? }] } | null, error }`.
+// Grouped articles use their story's other columns; ungrouped ones are
+// matched by keywords and time (utils/perspectives).
+export default function useOtherPerspectives(article) {
+  const [state, setState] = useState({ matches: null, error: null });
+
+  useEffect(() => {
+    if (!article) return undefined;
+    const controller = new AbortController();
+    const options = { signal: controller.signal };
+    setState({ matches: null, error: null });
+
+    const request = article.storyGroupId
+      ? fetchStory(article.storyGroupId, options).then(({ articlesByBias }) => getOtherSides(article).reduce((acc, side) => {
+        acc[side] = (articlesByBias[side] || []).map(sibling => ({ article: sibling }));
+        return acc;
+      }, {}))
+      : fetchArticles(getRelatedParams(article), options).then(({ articles }) => rankOtherPerspectives(article, articles));
+
+    request
+      .then(matches => setState({ matches, error: null }))
+      .catch((error) => {
+        if (isCancelled(error)) return;
+        console.error('Error finding other perspectives:', error);
+        setState({ matches: null, error });
+      });
+
+    return () => controller.abort();
+  }, [article]);
+
+  return state;
+}
@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+import { getReadingHistory, HISTORY_EVENT } from '../storage/readingHistory';
+
+// Reading history that stays current across tabs and after new reads
+export default function useReadingHistory() {
+  const [history, setHistory] = useState(getReadingHistory);
+
+  useEffect(() => {
+    const refresh = () => setHistory(getReadingHistory());
+    window.addEventListener(HISTORY_EVENT, refresh);
+    window.addEventListener('storage', refresh);
+    return () => {
+      window.removeEventListener(HISTORY_EVENT, refresh);
+      window.removeEventListener('storage', refresh);
+    };
+  }, []);
+
+  return history;
+}
@@ -0,0 +1,32 @@
+import { useEffect, useLayoutEffect, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
+
+export const SCROLL_CONTAINER_ID = 'app-main';
+
+// Scroll offsets per history entry, so going "back" lands where you left
+const positions = new Map();
+
+const getContainer = () => document.getElementById(SCROLL_CONTAINER_ID);
+
+// Remembers the main scroll container's offset for the current history entry
+// and puts it back once `ready` turns true (i.e. the content is rendered).
+export default function useScrollRestoration(ready) {
+  const { key } = useLocation();
+  const restoredRef = useRef(null);
+
+  useLayoutEffect(() => {
+    if (!ready || restoredRef.current === key) return;
+    restoredRef.current = key;
+    const container = getContainer();
+    if (container) container.scrollTop = positions.get(key) || 0;
+  }, [ready, key]);
+
+  useEffect(() => {
+    const container = getContainer();
+    if (!container) return undefined;
+
+    const handleScroll = () => positions.set(key, container.scrollTop);
+    container.addEventListener('scroll', handleScroll, { passive: true });
+    return () => container.removeEventListener('scroll', handleScroll);
+  }, [key]);
+}
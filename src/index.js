@@ -1,5 +1,17 @@
 import React from "react";
 import ReactDOM from "react-dom";
+import { BrowserRouter } from "react-router-dom";
 import App from "./App";
+import ConfigErrorPage from "./pages/ConfigErrorPage";
+import { CONFIG_ERROR } from "./api";
 
-ReactDOM.render(<App />, document.getElementById("root"));
+ReactDOM.render(
+  CONFIG_ERROR ? (
+    <ConfigErrorPage message={CONFIG_ERROR} />
+  ) : (
+    <BrowserRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+      <App />
+    </BrowserRouter>
+  ),
+  document.getElementById("root")
+);
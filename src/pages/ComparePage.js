@@ -0,0 +1,110 @@
+import React, { useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import BiasDot from '../components/BiasDot';
+import BiasLegend from '../components/BiasLegend';
+import BiasDistributionBar from '../components/BiasDistributionBar';
+import CoverageArticle from '../components/CoverageArticle';
+import { MIN_COMPARE, useCompareTray } from '../CompareTrayContext';
+import { BIAS_SIDES, getBiasLabel, getBiasSide } from '../utils/bias';
+import { getKeywordMatrix } from '../utils/framing';
+
+// Side-by-side view of the articles in the compare tray, laid out like a
+// story's coverage comparison
+const ComparePage = () => {
+  const { articles, removeArticle, clearTray } = useCompareTray();
+
+  const overlap = useMemo(() => getKeywordMatrix(articles), [articles]);
+  const distribution = useMemo(() => articles.reduce((counts, article) => {
+    const side = getBiasSide(article.articleBias);
+    if (side) counts[side] += 1;
+    return counts;
+  }, BIAS_SIDES.reduce((acc, side) => ({ ...acc, [side]: 0 }), {})), [articles]);
+
+  if (articles.length < MIN_COMPARE) {
+    return (
+      <div className="compare-page">
+        <div className="page-header">
+          <Link to="/" className="back-link">← Back to Feed</Link>
+          <h2>Compare Articles</h2>
+        </div>
+        <div className="end-message">
+          <p>Pick at least {MIN_COMPARE} articles to compare.</p>
+          <p>Use "⚖️ Compare" on any article card in the feed; your picks stay put while you page and filter.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="compare-page">
+      <div className="page-header">
+        <Link to="/" className="back-link">← Back to Feed</Link>
+        <h2>Compare Articles</h2>
+        <span className="page-count">{articles.length} articles</span>
+        <div className="page-actions">
+          <button type="button" className="view-btn" onClick={clearTray}>Clear Selection</button>
+        </div>
+      </div>
+
+      <div className="bias-overview">
+        <h3>Leanings Compared</h3>
+        <BiasDistributionBar counts={distribution} label="Leanings of the selected articles" />
+        <BiasLegend counts={distribution} short className="bias-summary" />
+      </div>
+
+      <div className="coverage-grid compare-grid">
+        {articles.map(article => (
+          <div key={article._id} className={`coverage-column bias-${getBiasSide(article.articleBias)}`}>
+            <div className="column-header">
+              <div className="bias-indicator">
+                <BiasDot bias={article.articleBias} />
+                <h3>{getBiasLabel(article.articleBias)}</h3>
+              </div>
+            </div>
+            <div className="column-content">
+              <CoverageArticle article={article} queue={articles} sharedKeywords={overlap.shared} keywordLimit={Infinity}>
+                <button type="button" className="view-btn" onClick={() => removeArticle(article._id)}>
+                  Remove
+                </button>
+              </CoverageArticle>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <section className="keyword-overlap">
+        <h3>Keyword Overlap</h3>
+        <p className="framing-note">
+          {overlap.all.length > 0 ? (
+            <>Every article mentions: {overlap.all.map(keyword => <span key={keyword} className="keyword-tag shared">{keyword}</span>)}</>
+          ) : (
+            'No keyword appears in every article. Highlighted keywords above are shared by at least two.'
+          )}
+        </p>
+        <table className="keyword-matrix">
+          <caption className="sr-only">Keywords shared by each pair of articles</caption>
+          <thead>
+            <tr>
+              <td />
+              {articles.map(article => <th key={article._id} scope="col">{article.source.name}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {articles.map((article, row) => (
+              <tr key={article._id}>
+                <th scope="row">{article.source.name}</th>
+                {overlap.matrix[row].map((keywords, column) => (
+                  <td key={articles[column]._id} className={keywords && keywords.length > 0 ? 'has-overlap' : ''}>
+                    {keywords === null ? '—' : keywords.length > 0 ? keywords.join(', ') : 'None'}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </div>
+  );
+};
+
+export default ComparePage;
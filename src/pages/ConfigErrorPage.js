@@ -0,0 +1,14 @@
+import React from 'react';
+
+// Shown instead of the app when the build's API settings can't work, so a
+// misconfigured deploy says what's wrong rather than talking to the wrong backend
+const ConfigErrorPage = ({ message }) => (
+  <div className="error config-error" role="alert">
+    <h3>Configuration error</h3>
+    <p>This build of The Narrative can't start:</p>
+    <p><code>{message}</code></p>
+    <p>Fix the environment variables and rebuild.</p>
+  </div>
+);
+
+export default ConfigErrorPage;
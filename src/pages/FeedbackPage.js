@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useBiasFeedback } from '../BiasFeedbackContext';
+import BiasDot from '../components/BiasDot';
+import FeedbackStatus from '../components/FeedbackStatus';
+import { FEEDBACK_STATUS } from '../storage/biasFeedback';
+import { getBiasLabel } from '../utils/bias';
+import { formatTimeAgo } from '../utils/format';
+
+const TYPE_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'dispute', label: 'Suggestions' },
+  { value: 'rating', label: 'Ratings' }
+];
+
+const FeedbackEntry = ({ entry, onRemove }) => (
+  <div className="reading-list-entry feedback-entry">
+    <div className="news-meta">
+      <span className="news-source">{entry.source}</span>
+      <span className="news-date">Submitted {formatTimeAgo(entry.createdAt)}</span>
+      <FeedbackStatus entry={entry} />
+    </div>
+
+    <h3 className="news-title">{entry.articleTitle}</h3>
+
+    {entry.type === 'dispute' ? (
+      <>
+        <p className="feedback-change">
+          Classified <BiasDot bias={entry.articleBias} /> {getBiasLabel(entry.articleBias)}
+          {' · '}you suggested <BiasDot bias={entry.proposedBias} /> <strong>{getBiasLabel(entry.proposedBias)}</strong>
+        </p>
+        <blockquote className="feedback-reason">{entry.reason}</blockquote>
+      </>
+    ) : (
+      <p className="feedback-change">
+        You rated the reasoning for {getBiasLabel(entry.articleBias)} as <strong>{entry.helpful ? 'helpful' : 'not helpful'}</strong>
+      </p>
+    )}
+
+    <div className="news-actions">
+      <button type="button" className="bias-info-btn" onClick={() => onRemove(entry.id)}>
+        {entry.status === FEEDBACK_STATUS.pending ? '✖️ Withdraw' : '🗑️ Remove'}
+      </button>
+    </div>
+  </div>
+);
+
+// Everything the reader has sent about bias classifications, including
+// feedback still queued while offline
+const FeedbackPage = () => {
+  const { entries, online, pendingCount, retryPending, removeFeedback } = useBiasFeedback();
+  const [type, setType] = useState('all');
+
+  const visible = entries.filter(entry => type === 'all' || entry.type === type);
+
+  return (
+    <div className="feedback-page">
+      <div className="page-header">
+        <Link to="/" className="back-link">← Back to Feed</Link>
+        <h2>My Feedback</h2>
+        <span className="page-count">
+          {entries.length} submitted{pendingCount > 0 && `, ${pendingCount} queued`}
+        </span>
+        <div className="page-actions">
+          <button type="button" className="view-btn" onClick={retryPending} disabled={pendingCount === 0 || !online}>
+            🔄 Send Queued Now
+          </button>
+        </div>
+      </div>
+
+      <p className="page-intro">
+        Your ratings and suggested leanings for articles' bias classifications. Anything submitted while
+        offline waits here and is sent automatically once you're connected.
+      </p>
+
+      <div className="page-toolbar">
+        <div className="view-toggle">
+          {TYPE_FILTERS.map(option => (
+            <button
+              key={option.value}
+              className={`view-btn ${type === option.value ? 'active' : ''}`}
+              onClick={() => setType(option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {visible.length === 0 ? (
+        <div className="end-message">
+          <p>{entries.length === 0 ? 'No feedback yet.' : 'Nothing matches this filter.'}</p>
+          {entries.length === 0 && <p>Open "ℹ️ Bias Info" on any article to rate its reasoning or suggest a different leaning.</p>}
+        </div>
+      ) : (
+        <div className="news-grid">
+          {visible.map(entry => (
+            <FeedbackEntry key={entry.id} entry={entry} onRemove={removeFeedback} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FeedbackPage;
@@ -0,0 +1,155 @@
+import React, { useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import useReadingHistory from '../hooks/useReadingHistory';
+import { clearReadingHistory } from '../storage/readingHistory';
+import {
+  PERSPECTIVES,
+  getCategoryBalance,
+  getNudges,
+  getOverallBalance,
+  getTopSources,
+  getWeeklyBalance,
+  toShares
+} from '../utils/mediaDiet';
+import { DEFAULT_FILTERS, serializeFeedState } from '../utils/feedQuery';
+import { getBiasColor, getBiasLabel } from '../utils/bias';
+import BiasDot from '../components/BiasDot';
+import BiasLegend from '../components/BiasLegend';
+
+const formatShare = (share) => `${Math.round(share * 100)}%`;
+
+const BalanceBar = ({ counts, label }) => {
+  const shares = toShares(counts);
+  const summary = PERSPECTIVES.map(bias => `${getBiasLabel(bias)} ${formatShare(shares[bias])}`).join(', ');
+
+  return (
+    <div className="balance-bar" role="img" aria-label={`${label}: ${summary}`} title={summary}>
+      {PERSPECTIVES.map(bias => shares[bias] > 0 && (
+        <span
+          key={bias}
+          className={`balance-segment bias-${bias}`}
+          style={{ width: `${shares[bias] * 100}%`, backgroundColor: getBiasColor(bias) }}
+        />
+      ))}
+    </div>
+  );
+};
+
+const feedLink = (bias, category) => `/${serializeFeedState({
+  view: 'articles',
+  filters: { ...DEFAULT_FILTERS, bias: [bias], category: category ? [category] : [] }
+})}`;
+
+const MediaDietPage = () => {
+  const history = useReadingHistory();
+
+  const overall = useMemo(() => getOverallBalance(history), [history]);
+  const weekly = useMemo(() => getWeeklyBalance(history), [history]);
+  const categories = useMemo(() => getCategoryBalance(history), [history]);
+  const sources = useMemo(() => getTopSources(history), [history]);
+  const nudges = useMemo(() => getNudges(history), [history]);
+
+  const handleClear = () => {
+    if (window.confirm('Delete your entire reading history? This cannot be undone.')) {
+      clearReadingHistory();
+    }
+  };
+
+  return (
+    <div className="media-diet-page">
+      <div className="page-header">
+        <Link to="/" className="back-link">← Back to Feed</Link>
+        <h2>My Media Diet</h2>
+        <span className="page-count">{history.length} articles read</span>
+        <div className="page-actions">
+          <button type="button" className="view-btn" onClick={handleClear} disabled={history.length === 0}>
+            🗑️ Clear History
+          </button>
+        </div>
+      </div>
+
+      <p className="page-intro">
+        Built from the articles you open with "Read Article". Your history is stored only in this browser.
+      </p>
+
+      {history.length === 0 ? (
+        <div className="end-message">
+          <p>No reading history yet.</p>
+          <p>Open a few articles and come back to see which perspectives you read most.</p>
+        </div>
+      ) : (
+        <div className="diet-grid">
+          <section className="diet-card">
+            <h3>Overall Balance</h3>
+            <BalanceBar counts={overall.counts} label="Overall balance" />
+            <BiasLegend counts={overall.counts} showShares className="diet-legend" />
+          </section>
+
+          {nudges.length > 0 && (
+            <section className="diet-card diet-nudges">
+              <h3>Broaden Your View</h3>
+              <ul>
+                {nudges.map(({ bias, category, share }) => (
+                  <li key={`${bias}-${category || 'all'}`}>
+                    Only {formatShare(share)} of your{category && <> <strong>{category}</strong></>} reading
+                    {' '}comes from {getBiasLabel(bias).toLowerCase()} sources.{' '}
+                    <Link to={feedLink(bias, category)}>
+                      Browse {getBiasLabel(bias).toLowerCase()}{category ? ` ${category}` : ''} coverage →
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          <section className="diet-card">
+            <h3>Balance Over Time</h3>
+            <div className="diet-rows">
+              {weekly.map(week => (
+                <div key={week.label} className="diet-row">
+                  <span className="diet-row-label">Week of {week.label}</span>
+                  {week.total > 0 ? (
+                    <BalanceBar counts={week.counts} label={`Week of ${week.label}`} />
+                  ) : (
+                    <span className="diet-row-empty">No reads</span>
+                  )}
+                  <span className="diet-row-count">{week.total}</span>
+                </div>
+              ))}
+            </div>
+          </section>
+
+          <section className="diet-card">
+            <h3>By Category</h3>
+            <div className="diet-rows">
+              {categories.map(({ category, counts, total }) => (
+                <div key={category} className="diet-row">
+                  <span className="diet-row-label">{category}</span>
+                  <BalanceBar counts={counts} label={category} />
+                  <span className="diet-row-count">{total}</span>
+                </div>
+              ))}
+            </div>
+          </section>
+
+          <section className="diet-card">
+            <h3>Most-Read Sources</h3>
+            <ol className="diet-sources">
+              {sources.map(({ source, bias, count }) => (
+                <li key={source}>
+                  <Link to={`/source/${encodeURIComponent(source)}`}>{source}</Link>
+                  {bias && (
+                    <BiasDot bias={bias} labelled />
+                  )}
+                  <span className="diet-row-count">{count}</span>
+                </li>
+              ))}
+            </ol>
+          </section>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MediaDietPage;
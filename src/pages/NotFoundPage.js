@@ -0,0 +1,12 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+const NotFoundPage = () => (
+  <div className="error">
+    <h3>Page not found</h3>
+    <p>The page you were looking for doesn't exist or has moved.</p>
+    <Link to="/" className="back-link">← Back to Feed</Link>
+  </div>
+);
+
+export default NotFoundPage;
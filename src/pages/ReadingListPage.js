@@ -0,0 +1,187 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useReadingList } from '../ReadingListContext';
+import BiasBadge from '../components/BiasBadge';
+import TagEditor from '../components/TagEditor';
+import { BIAS_SIDES } from '../utils/bias';
+import { formatTimeAgo } from '../utils/format';
+import { downloadFile } from '../utils/download';
+
+const STATUS_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'unread', label: 'Unread' },
+  { value: 'read', label: 'Read' }
+];
+
+const ReadingListEntry = ({ entry, onUpdate, onRemove }) => {
+  const { item } = entry;
+  const isStory = entry.type === 'story';
+  const [note, setNote] = useState(entry.note);
+
+  // An import or a rolled-back save can change the note underneath us
+  useEffect(() => {
+    setNote(entry.note);
+  }, [entry.note]);
+
+  return (
+    <div className={`reading-list-entry ${entry.read ? 'is-read' : ''}`}>
+      <div className="news-meta">
+        <span className="news-source">{isStory ? 'Story group' : item.source && item.source.name}</span>
+        <span className="news-date">Saved {formatTimeAgo(entry.savedAt)}</span>
+      </div>
+
+      <div className="news-badges">
+        <span className="category-badge">{item.category}</span>
+        {isStory ? (
+          BIAS_SIDES.map(bias => (
+            <BiasBadge key={bias} bias={bias}>: {(item.biasDistribution || {})[bias] || 0}</BiasBadge>
+          ))
+        ) : (
+          <BiasBadge bias={item.articleBias} confidence={item.biasConfidence} />
+        )}
+      </div>
+
+      <h3 className="news-title">
+        {isStory ? (
+          <Link to={`/story/${encodeURIComponent(item._id)}`}>{item.mainHeadline}</Link>
+        ) : item.url ? (
+          <a href={item.url} target="_blank" rel="noopener noreferrer">{item.aiHeading || item.title}</a>
+        ) : (
+          item.aiHeading || item.title
+        )}
+      </h3>
+      <p className="news-summary">{item.summary}</p>
+
+      <TagEditor tags={entry.tags} onChange={(tags) => onUpdate(entry.id, { tags })} />
+
+      <textarea
+        className="form-control entry-note"
+        placeholder="Notes"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        onBlur={() => {
+          if (note !== entry.note) onUpdate(entry.id, { note });
+        }}
+      />
+
+      <div className="news-actions">
+        <button type="button" className="bias-info-btn" onClick={() => onUpdate(entry.id, { read: !entry.read })}>
+          {entry.read ? '↩️ Mark unread' : '✅ Mark read'}
+        </button>
+        <button type="button" className="bias-info-btn" onClick={() => onRemove(entry.id)}>
+          🗑️ Remove
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ReadingListPage = () => {
+  const { entries, ready, updateEntry, removeEntry, exportList, importList } = useReadingList();
+  const [status, setStatus] = useState('all');
+  const [tag, setTag] = useState('');
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef();
+
+  const allTags = useMemo(
+    () => Array.from(new Set(entries.flatMap(entry => entry.tags))).sort(),
+    [entries]
+  );
+
+  const visible = entries.filter(entry =>
+    (status === 'all' || (status === 'read') === entry.read) &&
+    (!tag || entry.tags.includes(tag))
+  );
+
+  const handleExport = () => {
+    downloadFile(exportList(), `reading-list-${new Date().toISOString().slice(0, 10)}.json`);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const count = await importList(await file.text());
+      setMessage(count > 0
+        ? { type: 'success', text: `Imported ${count} item${count === 1 ? '' : 's'}.` }
+        : { type: 'info', text: 'Everything in that file is already in your reading list.' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  return (
+    <div className="reading-list-page">
+      <div className="page-header">
+        <Link to="/" className="back-link">← Back to Feed</Link>
+        <h2>Reading List</h2>
+        <span className="page-count">{entries.length} saved</span>
+        <div className="page-actions">
+          <button type="button" className="view-btn" onClick={handleExport} disabled={entries.length === 0}>
+            ⬇️ Export
+          </button>
+          <button type="button" className="view-btn" onClick={() => fileInputRef.current.click()}>
+            ⬆️ Import
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={handleImport}
+          />
+        </div>
+      </div>
+
+      {message && (
+        <div className={`status status--${message.type} page-message`} role="status">
+          {message.text}
+        </div>
+      )}
+
+      <div className="page-toolbar">
+        <div className="view-toggle">
+          {STATUS_FILTERS.map(option => (
+            <button
+              key={option.value}
+              className={`view-btn ${status === option.value ? 'active' : ''}`}
+              onClick={() => setStatus(option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {allTags.length > 0 && (
+          <select className="sort-select" value={tag} onChange={(e) => setTag(e.target.value)}>
+            <option value="">All tags</option>
+            {allTags.map(t => <option key={t} value={t}>{t}</option>)}
+          </select>
+        )}
+      </div>
+
+      {!ready ? (
+        <div className="loading">Loading reading list...</div>
+      ) : visible.length === 0 ? (
+        <div className="end-message">
+          <p>{entries.length === 0 ? 'Nothing saved yet.' : 'Nothing matches these filters.'}</p>
+          {entries.length === 0 && <p>Use 📑 Save on any article or story group to add it here.</p>}
+        </div>
+      ) : (
+        <div className="news-grid">
+          {visible.map(entry => (
+            <ReadingListEntry
+              key={entry.id}
+              entry={entry}
+              onUpdate={updateEntry}
+              onRemove={removeEntry}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReadingListPage;
@@ -0,0 +1,99 @@
+import React, { useCallback, useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import InfiniteScroll from 'react-infinite-scroll-component';
+import ArticleCard from '../components/ArticleCard';
+import BiasBadge from '../components/BiasBadge';
+import { fetchArticles } from '../api';
+import useInfiniteFeed from '../hooks/useInfiniteFeed';
+import useFillPages from '../hooks/useFillPages';
+import useScrollRestoration, { SCROLL_CONTAINER_ID } from '../hooks/useScrollRestoration';
+import { getQueryKey } from '../utils/feedQuery';
+
+// /api/news can't filter by outlet, so this reads the whole feed in bigger
+// pages and keeps that outlet's articles
+const SOURCE_PAGE_SIZE = 50;
+const MIN_VISIBLE_RESULTS = 10;
+const AUTO_FILL_PAGES = 3;
+
+const params = {
+  limit: SOURCE_PAGE_SIZE,
+  sortBy: 'publishedAt',
+  sortOrder: 'desc'
+};
+
+const SourcePage = () => {
+  const { sourceName } = useParams();
+
+  const fetchSourcePage = useCallback(async ({ page, signal }) => {
+    const { articles, pagination } = await fetchArticles({ ...params, page }, { signal });
+    return { items: articles, hasMore: pagination.hasMore };
+  }, []);
+
+  const { items: feedItems, hasMore, isLoading, isLoadingMore, error, loadMore, retry } =
+    useInfiniteFeed(getQueryKey('source', params), fetchSourcePage);
+
+  const items = useMemo(
+    () => feedItems.filter(article => article.source && article.source.name === sourceName),
+    [feedItems, sourceName]
+  );
+
+  const { paused, resume } = useFillPages(sourceName, {
+    shown: items.length,
+    minResults: MIN_VISIBLE_RESULTS,
+    maxPages: AUTO_FILL_PAGES,
+    canLoadMore: !isLoading && !isLoadingMore && !error && hasMore,
+    loadMore
+  });
+
+  useScrollRestoration(!isLoading);
+
+  const sourceBias = items.length > 0 ? items[0].source.bias : null;
+
+  return (
+    <div className="source-page">
+      <div className="page-header">
+        <Link to="/" className="back-link">← Back to Feed</Link>
+        <h2>{sourceName}</h2>
+        {sourceBias && (
+          <BiasBadge bias={sourceBias} kind="source" />
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="loading">Loading articles from {sourceName}...</div>
+      ) : error && items.length === 0 ? (
+        <div className="error">
+          <h3>Couldn't load articles</h3>
+          <p>{error.message}</p>
+          <button onClick={retry}>Try Again</button>
+        </div>
+      ) : (
+        <InfiniteScroll
+          dataLength={feedItems.length}
+          next={loadMore}
+          hasMore={hasMore}
+          scrollableTarget={SCROLL_CONTAINER_ID}
+          loader={<div className="loading-more">Loading more...</div>}
+        >
+          <div className="news-grid">
+            {items.length > 0 ? (
+              items.map(article => <ArticleCard key={article._id} article={article} queue={items} />)
+            ) : (
+              <p>{hasMore && !paused ? `Looking for articles from ${sourceName}...` : `No articles found from ${sourceName}`}</p>
+            )}
+          </div>
+          {paused && (
+            <div className="feed-scan">
+              <span>Scanned the latest {feedItems.length} articles</span>
+              <button type="button" className="view-btn" onClick={resume}>
+                Look further back
+              </button>
+            </div>
+          )}
+        </InfiniteScroll>
+      )}
+    </div>
+  );
+};
+
+export default SourcePage;
@@ -0,0 +1,82 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useLocation, useNavigate, useParams } from 'react-router-dom';
+import CompareCoverage from '../components/CompareCoverage';
+import { fetchStory, peekStory, isCancelled } from '../api';
+import { SCROLL_CONTAINER_ID } from '../hooks/useScrollRestoration';
+
+const StoryPage = () => {
+  const { storyId } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [story, setStory] = useState(() => peekStory(storyId)?.data || null);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    const container = document.getElementById(SCROLL_CONTAINER_ID);
+    if (container) container.scrollTop = 0;
+  }, [storyId]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    // Prefetched or seen before: show it now, revalidate behind it
+    setStory(peekStory(storyId)?.data || null);
+    setError(null);
+
+    fetchStory(storyId, { signal: controller.signal, fresh: attempt > 0 })
+      .then(setStory)
+      .catch((err) => {
+        if (isCancelled(err)) return;
+        console.error('Error loading story details:', err);
+        setError(err);
+      });
+
+    return () => controller.abort();
+  }, [storyId, attempt]);
+
+  // Opened from inside the app: go back (restores the feed). Opened from a
+  // bookmark or shared link: there is nothing to go back to, so go home.
+  const handleClose = useCallback(() => {
+    if (location.key !== 'default') {
+      navigate(-1);
+    } else {
+      navigate('/');
+    }
+  }, [location.key, navigate]);
+
+  // A failed revalidation keeps the cached story on screen
+  if (error && !story) {
+    return (
+      <div className="error">
+        <h3>{error.status === 404 ? 'Story not found' : "Couldn't load this story"}</h3>
+        <p>{error.status === 404 ? 'It may have been merged into another story or removed.' : error.message}</p>
+        {error.status !== 404 && (
+          <button onClick={() => setAttempt(count => count + 1)}>Try Again</button>
+        )}
+        <Link to="/" className="back-link">← Back to Feed</Link>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {error && (
+        <div className="status status--warning page-message story-refresh-error" role="status">
+          <span>
+            {error.status === 404
+              ? 'This story may have been merged or removed; showing the copy loaded earlier.'
+              : "Couldn't refresh this story; showing the copy loaded earlier."}
+          </span>
+          {error.status !== 404 && (
+            <button type="button" className="view-btn" onClick={() => setAttempt(count => count + 1)}>
+              Try Again
+            </button>
+          )}
+        </div>
+      )}
+      <CompareCoverage story={story} onClose={handleClose} />
+    </>
+  );
+};
+
+export default StoryPage;
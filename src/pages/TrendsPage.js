@@ -0,0 +1,283 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import BiasDistributionBar from '../components/BiasDistributionBar';
+import BiasDot from '../components/BiasDot';
+import BiasLegend from '../components/BiasLegend';
+import StackedColumnChart from '../components/StackedColumnChart';
+import { fetchArticles, fetchStoryGroups, isCancelled } from '../api';
+import { BIAS_SIDES, getBiasColor, getBiasLabel } from '../utils/bias';
+import { formatPercent, pluralize } from '../utils/charts';
+import { downloadCsv } from '../utils/download';
+import {
+  TREND_RANGES,
+  getBuckets,
+  getCategoryMix,
+  getLeaningSeries,
+  getOneSidedSeries,
+  getTopSources,
+  resolveDateWindow
+} from '../utils/trends';
+
+const PAGE_LIMIT = 100;
+// Stop paging past this; the charts say so when it happens
+const MAX_ITEMS = 2000;
+
+// Every page of a paginated endpoint, e.g. fetchArticles -> `articles`
+const fetchAllPages = async (fetchPage, key, params, options) => {
+  const items = [];
+  for (let page = 1; items.length < MAX_ITEMS; page++) {
+    const data = await fetchPage({ ...params, page, limit: PAGE_LIMIT }, options);
+    items.push(...data[key]);
+    if (!data.pagination.hasMore) return { items, truncated: false };
+  }
+  return { items, truncated: true };
+};
+
+const LEANING_SERIES = BIAS_SIDES.map(bias => ({ key: bias, label: getBiasLabel(bias), color: getBiasColor(bias) }));
+
+const ONE_SIDED_SERIES = [
+  { key: 'oneSided', label: 'One-sided', color: 'var(--color-warning)' },
+  { key: 'balanced', label: 'Covered by more than one side', color: 'var(--color-bias-unknown)' }
+];
+
+const formatShift = (shift) => {
+  if (shift === null) return 'Not enough articles to compare';
+  if (shift === 0) return 'No change';
+  return `${shift > 0 ? '→' : '←'} ${Math.abs(shift)} pts ${shift > 0 ? 'right' : 'left'}`;
+};
+
+const CsvButton = ({ onClick }) => (
+  <button type="button" className="view-btn trends-export" onClick={onClick}>
+    ⬇ CSV
+  </button>
+);
+
+const TrendsPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const dateWindow = useMemo(() => resolveDateWindow({
+    range: searchParams.get('range'),
+    from: searchParams.get('from'),
+    to: searchParams.get('to')
+  }), [searchParams]);
+  const { from, to } = dateWindow;
+
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const options = { signal: controller.signal, fresh: attempt > 0 };
+    setData(null);
+    setError(null);
+
+    Promise.all([
+      fetchAllPages(fetchArticles, 'articles', {
+        dateFrom: from,
+        dateTo: to,
+        sortBy: 'publishedAt',
+        sortOrder: 'asc'
+      }, options),
+      fetchAllPages(fetchStoryGroups, 'storyGroups', { dateFrom: from, dateTo: to }, options)
+    ])
+      .then(([articles, storyGroups]) => setData({ articles, storyGroups }))
+      .catch((err) => {
+        if (isCancelled(err)) return;
+        console.error('Error loading trends:', err);
+        setError(err);
+      });
+
+    return () => controller.abort();
+  }, [from, to, attempt]);
+
+  const trends = useMemo(() => {
+    if (!data) return null;
+    const { unit, buckets } = getBuckets({ from, to });
+    const articles = data.articles.items;
+    const leaning = getLeaningSeries(articles, buckets);
+    return {
+      unit,
+      leaning,
+      leaningTotals: BIAS_SIDES.reduce((acc, bias) => {
+        acc[bias] = leaning.reduce((sum, row) => sum + row[bias], 0);
+        return acc;
+      }, {}),
+      oneSided: getOneSidedSeries(data.storyGroups.items, buckets)
+        .map(row => ({ ...row, balanced: row.stories - row.oneSided })),
+      categories: getCategoryMix(articles, { from, to }),
+      sources: getTopSources(articles)
+    };
+  }, [data, from, to]);
+
+  const setRange = (range) => setSearchParams({ range });
+
+  const setCustomDate = (field, value) => {
+    if (!value) return;
+    const next = { from, to, [field]: value };
+    // Keep the window the right way round whichever end moved
+    if (next.from > next.to) next[field === 'from' ? 'to' : 'from'] = value;
+    setSearchParams(next);
+  };
+
+  const exportCsv = (name, columns, rows) => downloadCsv(columns, rows, `trends-${name}-${from}-to-${to}.csv`);
+
+  const periodColumn = { key: 'key', label: trends?.unit === 'week' ? 'Week starting' : 'Date' };
+
+  const totalArticles = data ? data.articles.items.length : 0;
+  const totalOneSided = trends ? trends.oneSided.reduce((sum, row) => sum + row.oneSided, 0) : 0;
+  const totalStories = data ? data.storyGroups.items.length : 0;
+
+  return (
+    <div className="trends-page">
+      <div className="page-header">
+        <Link to="/" className="back-link">← Back to Feed</Link>
+        <h2>Coverage Trends</h2>
+        {data && (
+          <span className="page-count">
+            {pluralize(totalArticles, 'article')} · {pluralize(totalStories, 'story')}
+          </span>
+        )}
+        <div className="page-actions trends-range">
+          {TREND_RANGES.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              className={`view-btn ${dateWindow.range === option.value ? 'active' : ''}`}
+              aria-pressed={dateWindow.range === option.value}
+              onClick={() => setRange(option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+          <label className="trends-date">
+            <span className="sr-only">From</span>
+            <input type="date" className="form-control" value={from} max={to} onChange={e => setCustomDate('from', e.target.value)} />
+          </label>
+          <span aria-hidden="true">–</span>
+          <label className="trends-date">
+            <span className="sr-only">To</span>
+            <input type="date" className="form-control" value={to} min={from} onChange={e => setCustomDate('to', e.target.value)} />
+          </label>
+        </div>
+      </div>
+
+      <p className="page-intro">
+        How coverage changed between {from} and {to}, by {trends?.unit === 'week' ? 'week' : 'day'}.
+        Articles are grouped by their own leaning; sources by the outlet's rating.
+        {(data?.articles.truncated || data?.storyGroups.truncated) && (
+          <> Only the first {MAX_ITEMS} results are included, so narrow the range for complete figures.</>
+        )}
+      </p>
+
+      {error ? (
+        <div className="error">
+          <h3>Couldn't load trends</h3>
+          <p>{error.message}</p>
+          <button onClick={() => setAttempt(count => count + 1)}>Try Again</button>
+        </div>
+      ) : !trends ? (
+        <div className="loading">Loading coverage from {from} to {to}...</div>
+      ) : (
+        <div className="trends-grid">
+          <section className="diet-card trends-card trends-card-wide">
+            <div className="trends-card-header">
+              <h3>Articles by Leaning</h3>
+              <CsvButton onClick={() => exportCsv('leaning', [
+                periodColumn,
+                ...LEANING_SERIES.map(({ key, label }) => ({ key, label })),
+                { key: 'total', label: 'Total' }
+              ], trends.leaning)}
+              />
+            </div>
+            <StackedColumnChart rows={trends.leaning} series={LEANING_SERIES} label="Articles by leaning over time" />
+            <BiasLegend counts={trends.leaningTotals} showShares />
+          </section>
+
+          <section className="diet-card trends-card trends-card-wide">
+            <div className="trends-card-header">
+              <h3>One-Sided Stories</h3>
+              <CsvButton onClick={() => exportCsv('one-sided', [
+                periodColumn,
+                { key: 'stories', label: 'Stories' },
+                { key: 'oneSided', label: 'One-sided' },
+                { key: 'share', label: 'One-sided share' }
+              ], trends.oneSided.map(row => ({ ...row, share: row.share.toFixed(3) })))}
+              />
+            </div>
+            <p className="trends-summary">
+              {totalStories > 0
+                ? <>{formatPercent(totalOneSided / totalStories)} of stories ({totalOneSided} of {totalStories}) were covered mostly by one side.</>
+                : 'No stories were updated in this range.'}
+            </p>
+            <StackedColumnChart
+              rows={trends.oneSided}
+              series={ONE_SIDED_SERIES}
+              label="One-sided stories over time"
+              unit="story"
+              describeRow={row => `${row.label}: ${row.oneSided} of ${pluralize(row.stories, 'story')} one-sided`}
+            />
+          </section>
+
+          <section className="diet-card trends-card">
+            <div className="trends-card-header">
+              <h3>Category Mix</h3>
+              <CsvButton onClick={() => exportCsv('categories', [
+                { key: 'category', label: 'Category' },
+                ...LEANING_SERIES.map(({ key, label }) => ({ key, label })),
+                { key: 'total', label: 'Total' },
+                { key: 'share', label: 'Share of articles' },
+                { key: 'shift', label: 'Shift (lean points)' }
+              ], trends.categories.map(row => ({ ...row, share: row.share.toFixed(3) })))}
+              />
+            </div>
+            <div className="diet-rows">
+              {trends.categories.map(row => (
+                <div key={row.category} className="diet-row trends-category">
+                  <span className="diet-row-label">
+                    {row.category}
+                    <span className="trends-shift">{formatShift(row.shift)}</span>
+                  </span>
+                  <BiasDistributionBar counts={row} label={row.category} />
+                  <span className="diet-row-count">{formatPercent(row.share)}</span>
+                </div>
+              ))}
+            </div>
+          </section>
+
+          <section className="diet-card trends-card">
+            <div className="trends-card-header">
+              <h3>Top Sources by Leaning</h3>
+              <CsvButton onClick={() => exportCsv('sources', [
+                { key: 'leaning', label: 'Leaning' },
+                { key: 'source', label: 'Source' },
+                { key: 'count', label: 'Articles' }
+              ], BIAS_SIDES.flatMap(bias => trends.sources[bias].map(row => ({ ...row, leaning: getBiasLabel(bias) }))))}
+              />
+            </div>
+            <div className="trends-sources">
+              {BIAS_SIDES.map(bias => (
+                <div key={bias}>
+                  <h4><BiasDot bias={bias} /> {getBiasLabel(bias)}</h4>
+                  {trends.sources[bias].length > 0 ? (
+                    <ol className="diet-sources">
+                      {trends.sources[bias].map(({ source, count }) => (
+                        <li key={source}>
+                          <Link to={`/source/${encodeURIComponent(source)}`}>{source}</Link>
+                          <span className="diet-row-count">{count}</span>
+                        </li>
+                      ))}
+                    </ol>
+                  ) : (
+                    <p className="diet-row-empty">No articles</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </section>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrendsPage;
@@ -0,0 +1,65 @@
+// Feedback on bias classifications, kept in localStorage both as the reader's
+// record of past submissions and as the outbox for ones not yet delivered
+const STORAGE_KEY = 'the-narrative-bias-feedback';
+const MAX_ENTRIES = 500;
+
+// pending: waiting to be sent (or re-sent); sent: acknowledged by the backend;
+// rejected: refused by the backend, so retrying won't help
+export const FEEDBACK_STATUS = {
+  pending: 'pending',
+  sent: 'sent',
+  rejected: 'rejected'
+};
+
+export const loadFeedback = () => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Newest first; the oldest entries fall off once the cap is reached, but
+// never ones still waiting to be sent
+export const saveFeedback = (entries) => {
+  const kept = entries.length > MAX_ENTRIES
+    ? entries.filter((entry, index) => index < MAX_ENTRIES || entry.status === FEEDBACK_STATUS.pending)
+    : entries;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(kept));
+  } catch (error) {
+    console.warn('Could not save bias feedback:', error);
+  }
+};
+
+// `details` is { type: 'dispute', proposedBias, reason } or { type: 'rating', helpful }
+export const createFeedback = (article, details) => ({
+  id: `feedback-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+  articleId: article._id,
+  articleTitle: article.aiHeading || article.title,
+  source: article.source ? article.source.name : 'Unknown',
+  articleBias: article.articleBias || 'unknown',
+  type: details.type,
+  proposedBias: details.proposedBias || null,
+  reason: details.reason || '',
+  helpful: typeof details.helpful === 'boolean' ? details.helpful : null,
+  createdAt: new Date().toISOString(),
+  status: FEEDBACK_STATUS.pending,
+  attempts: 0,
+  lastAttemptAt: null,
+  sentAt: null,
+  error: null
+});
+
+// What the backend receives; the entry id doubles as an idempotency key
+export const toFeedbackPayload = (entry) => ({
+  clientId: entry.id,
+  articleId: entry.articleId,
+  type: entry.type,
+  articleBias: entry.articleBias,
+  ...(entry.type === 'dispute'
+    ? { proposedBias: entry.proposedBias, reason: entry.reason }
+    : { helpful: entry.helpful }),
+  createdAt: entry.createdAt
+});
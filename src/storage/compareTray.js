@@ -0,0 +1,24 @@
+// Articles picked for side-by-side comparison. Kept for the browser session
+// only: a reload of /compare still works, but nothing lingers into next week.
+const STORAGE_KEY = 'the-narrative-compare-tray';
+
+export const loadCompareTray = () => {
+  try {
+    const parsed = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    return Array.isArray(parsed) ? parsed.filter(article => article && article._id) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const saveCompareTray = (articles) => {
+  try {
+    if (articles.length === 0) {
+      sessionStorage.removeItem(STORAGE_KEY);
+    } else {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(articles));
+    }
+  } catch (error) {
+    console.warn('Could not save compare tray:', error);
+  }
+};
@@ -0,0 +1,34 @@
+// Named feed filter combinations, kept in localStorage
+const STORAGE_KEY = 'the-narrative-filter-presets';
+
+export const loadPresets = () => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const savePresets = (presets) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  } catch (error) {
+    console.warn('Could not save filter presets:', error);
+  }
+};
+
+export const createPreset = (name, { filters, view }) => {
+  const now = new Date().toISOString();
+  return {
+    id: `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    name: name.trim(),
+    filters,
+    view,
+    isDefault: false,
+    notify: false,
+    createdAt: now,
+    // Articles published after this count as unread matches
+    lastSeenAt: now
+  };
+};
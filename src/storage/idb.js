@@ -0,0 +1,98 @@
+// Minimal promise wrapper around IndexedDB. When IndexedDB is unavailable
+// (some private browsing modes, old WebViews) stores fall back to memory so
+// the UI keeps working for the session.
+const DB_NAME = 'the-narrative';
+const DB_VERSION = 1;
+
+// Every object store the app uses, created on first open / upgrade
+const STORES = {
+  readingList: { keyPath: 'id', indexes: [['savedAt', 'savedAt']] }
+};
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(STORES).forEach(([name, { keyPath, indexes }]) => {
+        if (db.objectStoreNames.contains(name)) return;
+        const store = db.createObjectStore(name, { keyPath });
+        indexes.forEach(([indexName, path]) => store.createIndex(indexName, path));
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch((error) => {
+    console.warn('Falling back to in-memory storage:', error);
+    return null;
+  });
+
+  return dbPromise;
+};
+
+const memory = {};
+const memoryStore = (name) => {
+  if (!memory[name]) memory[name] = new Map();
+  return memory[name];
+};
+
+const withStore = async (name, mode, callback) => {
+  const db = await openDb();
+  if (!db) return callback(null, memoryStore(name));
+
+  const transaction = db.transaction(name, mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const result = await callback(transaction.objectStore(name), null);
+  await done;
+  return result;
+};
+
+export const getAll = (name) => withStore(name, 'readonly', (store, fallback) =>
+  (store ? promisify(store.getAll()) : Array.from(fallback.values())));
+
+export const put = (name, value) => withStore(name, 'readwrite', (store, fallback) => {
+  if (!store) {
+    fallback.set(value[STORES[name].keyPath], value);
+    return value;
+  }
+  return promisify(store.put(value)).then(() => value);
+});
+
+export const putMany = (name, values) => withStore(name, 'readwrite', (store, fallback) => {
+  values.forEach((value) => {
+    if (store) {
+      store.put(value);
+    } else {
+      fallback.set(value[STORES[name].keyPath], value);
+    }
+  });
+  return values;
+});
+
+export const remove = (name, key) => withStore(name, 'readwrite', (store, fallback) => {
+  if (!store) return fallback.delete(key);
+  return promisify(store.delete(key));
+});
+
+export const clear = (name) => withStore(name, 'readwrite', (store, fallback) => {
+  if (!store) return fallback.clear();
+  return promisify(store.clear());
+});
@@ -0,0 +1,31 @@
+import { DEFAULT_LOADED_TERMS } from '../utils/framing';
+
+// The reader's word list for loaded language on story pages. Nothing is
+// stored until they change it, so improvements to the defaults still reach them.
+const STORAGE_KEY = 'the-narrative-loaded-terms';
+
+export const loadLoadedTerms = () => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(parsed) ? parsed.filter(term => typeof term === 'string') : DEFAULT_LOADED_TERMS;
+  } catch (error) {
+    return DEFAULT_LOADED_TERMS;
+  }
+};
+
+export const saveLoadedTerms = (terms) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(terms));
+  } catch (error) {
+    console.warn('Could not save loaded terms:', error);
+  }
+};
+
+export const resetLoadedTerms = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn('Could not reset loaded terms:', error);
+  }
+  return DEFAULT_LOADED_TERMS;
+};
@@ -0,0 +1,48 @@
+// Local-only log of articles opened in the reader or at the publisher. Nothing here leaves the browser.
+const STORAGE_KEY = 'the-narrative-reading-history';
+const MAX_ENTRIES = 2000;
+export const HISTORY_EVENT = 'the-narrative:history-change';
+
+export const getReadingHistory = () => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writeHistory = (history) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+  } catch (error) {
+    console.warn('Could not save reading history:', error);
+  }
+  window.dispatchEvent(new Event(HISTORY_EVENT));
+};
+
+export const recordRead = (article) => {
+  if (!article || !article._id) return;
+
+  const entry = {
+    articleId: article._id,
+    title: article.aiHeading || article.title,
+    bias: article.articleBias || 'unknown',
+    source: article.source ? article.source.name : 'Unknown',
+    sourceBias: article.source ? article.source.bias : null,
+    category: article.category || 'other',
+    readAt: new Date().toISOString()
+  };
+
+  // Oldest entries fall off once the cap is reached
+  writeHistory([...getReadingHistory(), entry].slice(-MAX_ENTRIES));
+};
+
+export const clearReadingHistory = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    // Nothing to clear
+  }
+  window.dispatchEvent(new Event(HISTORY_EVENT));
+};
@@ -0,0 +1,188 @@
+import * as idb from './idb';
+
+const STORE = 'readingList';
+export const EXPORT_VERSION = 1;
+
+export const getEntryId = (type, itemId) => `${type}:${itemId}`;
+
+// Snapshots are also built from imported files, so every field is checked
+// for the type the page renders and anything else is dropped
+const asString = (value) => (typeof value === 'string' ? value : undefined);
+
+const asNumber = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : undefined);
+
+const asDate = (value) => (typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : undefined);
+
+// Only web links survive; javascript:, data: and the like would otherwise
+// end up as a live href
+const asWebUrl = (value) => {
+  if (typeof value !== 'string') return undefined;
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:' ? value : undefined;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+const asId = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value) : undefined);
+
+const snapshotSource = (source) => (source && typeof source === 'object' ? {
+  name: asString(source.name),
+  bias: asString(source.bias),
+  url: asWebUrl(source.url)
+} : undefined);
+
+const snapshotDistribution = (distribution) => (distribution && typeof distribution === 'object'
+  ? Object.fromEntries(Object.entries(distribution).filter(([, count]) => asNumber(count) !== undefined))
+  : undefined);
+
+// Keep only what the reading list page renders, so entries stay small and
+// exported files are readable
+const snapshotArticle = (article) => ({
+  _id: asId(article._id),
+  title: asString(article.title),
+  aiHeading: asString(article.aiHeading),
+  summary: asString(article.summary) || asString(article.description),
+  url: asWebUrl(article.url),
+  source: snapshotSource(article.source),
+  category: asString(article.category),
+  articleBias: asString(article.articleBias),
+  biasConfidence: asNumber(article.biasConfidence),
+  biasReasoning: asString(article.biasReasoning),
+  keywords: Array.isArray(article.keywords) ? article.keywords.filter(keyword => typeof keyword === 'string') : undefined,
+  publishedAt: asDate(article.publishedAt),
+  storyGroupId: asId(article.storyGroupId)
+});
+
+const snapshotStory = (storyGroup) => ({
+  _id: asId(storyGroup._id),
+  mainHeadline: asString(storyGroup.mainHeadline),
+  summary: asString(storyGroup.summary),
+  category: asString(storyGroup.category),
+  biasDistribution: snapshotDistribution(storyGroup.biasDistribution),
+  sourceCount: Array.isArray(storyGroup.articles) ? storyGroup.articles.length : asNumber(storyGroup.sourceCount),
+  createdAt: asDate(storyGroup.createdAt)
+});
+
+export const createEntry = (type, item) => {
+  const now = new Date().toISOString();
+  const snapshot = type === 'story' ? snapshotStory(item) : snapshotArticle(item);
+  return {
+    id: getEntryId(type, snapshot._id),
+    type,
+    itemId: snapshot._id,
+    item: snapshot,
+    tags: [],
+    read: false,
+    note: '',
+    savedAt: now,
+    updatedAt: now
+  };
+};
+
+export const loadEntries = async () => {
+  const entries = await idb.getAll(STORE);
+  return entries.sort((a, b) => (a.savedAt < b.savedAt ? 1 : -1));
+};
+
+export const saveEntry = (entry) => idb.put(STORE, entry);
+
+export const deleteEntry = (id) => idb.remove(STORE, id);
+
+export const serializeEntries = (entries) => JSON.stringify({
+  app: 'the-narrative',
+  kind: 'reading-list',
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  entries
+}, null, 2);
+
+const isValidEntry = (entry) => entry
+  && (entry.type === 'article' || entry.type === 'story')
+  && entry.item && typeof entry.item === 'object' && asId(entry.item._id);
+
+// Dates from a file are stored as ISO strings, so they compare as text, and
+// can't be later than now, or an entry "updated" in the future would win
+// every merge that follows
+const asPastDate = (value, now) => {
+  const date = asDate(value);
+  if (!date) return undefined;
+  return Date.parse(date) > Date.parse(now) ? now : new Date(date).toISOString();
+};
+
+// An imported entry rebuilt from scratch: the item goes through the same
+// snapshot as a fresh save, and only the known entry fields are copied over.
+// `read` and `note` stay undefined when the file doesn't have them.
+const normaliseImported = (incoming) => {
+  const entry = createEntry(incoming.type, incoming.item);
+  const savedAt = asPastDate(incoming.savedAt, entry.savedAt) || entry.savedAt;
+  return {
+    ...entry,
+    tags: Array.isArray(incoming.tags)
+      ? Array.from(new Set(incoming.tags.filter(tag => typeof tag === 'string').map(tag => tag.trim()).filter(Boolean)))
+      : [],
+    read: typeof incoming.read === 'boolean' ? incoming.read : undefined,
+    note: typeof incoming.note === 'string' ? incoming.note : undefined,
+    savedAt,
+    updatedAt: asPastDate(incoming.updatedAt, entry.updatedAt) || savedAt
+  };
+};
+
+const withDefault = (value, fallback) => (value === undefined ? fallback : value);
+
+// Field by field: tags are unioned, the earlier save date is kept, and the
+// item, note and read state come from the import only when it's the more
+// recently updated copy and actually has them
+const mergeEntry = (current, imported) => {
+  const importedWins = imported.updatedAt > current.updatedAt;
+  return {
+    ...current,
+    item: importedWins ? imported.item : current.item,
+    tags: Array.from(new Set([...current.tags, ...imported.tags])),
+    read: importedWins ? withDefault(imported.read, current.read) : current.read,
+    note: importedWins ? withDefault(imported.note, current.note) : current.note,
+    savedAt: imported.savedAt < current.savedAt ? imported.savedAt : current.savedAt,
+    updatedAt: importedWins ? imported.updatedAt : current.updatedAt
+  };
+};
+
+const MERGED_FIELDS = ['item', 'tags', 'read', 'note', 'savedAt'];
+
+const hasChanged = (before, after) => MERGED_FIELDS
+  .some(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+// Parses an exported file and merges it into the existing entries. Returns
+// only the entries that are new or changed by the import.
+export const mergeImport = (json, existing) => {
+  let payload;
+  try {
+    payload = JSON.parse(json);
+  } catch (error) {
+    throw new Error('That file is not valid JSON');
+  }
+
+  if (!payload || payload.kind !== 'reading-list' || !Array.isArray(payload.entries)) {
+    throw new Error('That file is not a reading list export');
+  }
+
+  // Keyed as we go, so an id repeated within the file merges into itself
+  const byId = new Map(existing.map(entry => [entry.id, entry]));
+  const changed = new Map();
+
+  payload.entries.filter(isValidEntry).forEach((incoming) => {
+    const imported = normaliseImported(incoming);
+    const current = byId.get(imported.id);
+    const next = current
+      ? mergeEntry(current, imported)
+      : { ...imported, read: withDefault(imported.read, false), note: withDefault(imported.note, '') };
+
+    if (current && !hasChanged(current, next)) return;
+    byId.set(next.id, next);
+    changed.set(next.id, next);
+  });
+
+  return Array.from(changed.values());
+};
+
+export const saveEntries = (entries) => idb.putMany(STORE, entries);
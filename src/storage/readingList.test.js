@@ -0,0 +1,119 @@
+import { createEntry, mergeImport } from './readingList';
+
+const article = { _id: 'a1', title: 'Budget vote delayed', url: 'https://example.com/a1', source: { name: 'Example' } };
+
+const exportOf = (entries) => JSON.stringify({ app: 'the-narrative', kind: 'reading-list', version: 1, entries });
+
+const savedEntry = (changes = {}) => ({
+  ...createEntry('article', article),
+  savedAt: '2024-03-01T10:00:00.000Z',
+  updatedAt: '2024-03-02T10:00:00.000Z',
+  ...changes
+});
+
+describe('mergeImport', () => {
+  test('rejects files that are not reading list exports', () => {
+    expect(() => mergeImport('not json', [])).toThrow('not valid JSON');
+    expect(() => mergeImport(JSON.stringify({ kind: 'presets', entries: [] }), [])).toThrow('not a reading list export');
+  });
+
+  test('adds new entries with defaults for the fields the file leaves out', () => {
+    const merged = mergeImport(exportOf([{ type: 'article', item: article, updatedAt: '2024-01-01T00:00:00.000Z' }]), []);
+
+    expect(merged).toHaveLength(1);
+    expect(merged[0]).toMatchObject({ id: 'article:a1', read: false, note: '', tags: [] });
+  });
+
+  test('skips invalid entries and rebuilds items from known fields only', () => {
+    const merged = mergeImport(exportOf([
+      { type: 'video', item: { _id: 'v1' } },
+      { type: 'article', item: {} },
+      { type: 'article', item: { ...article, url: 'data:text/html,<script>alert(1)</script>', extra: '<script>' }, note: 42 }
+    ]), []);
+
+    expect(merged).toHaveLength(1);
+    expect(merged[0].item.url).toBeUndefined();
+    expect(merged[0].item.extra).toBeUndefined();
+    expect(merged[0].note).toBe('');
+  });
+
+  test('a newer import updates note and read and unions tags', () => {
+    const current = savedEntry({ tags: ['budget'], note: 'old note' });
+    const merged = mergeImport(exportOf([{
+      ...current,
+      tags: ['politics'],
+      note: 'new note',
+      read: true,
+      updatedAt: '2024-03-05T10:00:00.000Z'
+    }]), [current]);
+
+    expect(merged).toHaveLength(1);
+    expect(merged[0]).toMatchObject({
+      note: 'new note',
+      read: true,
+      tags: ['budget', 'politics'],
+      updatedAt: '2024-03-05T10:00:00.000Z'
+    });
+  });
+
+  test('fields missing from a newer import never overwrite local ones', () => {
+    const current = savedEntry({ note: 'keep me', read: true });
+    const merged = mergeImport(exportOf([{
+      type: 'article',
+      item: article,
+      tags: ['later'],
+      updatedAt: '2024-03-05T10:00:00.000Z'
+    }]), [current]);
+
+    expect(merged[0]).toMatchObject({ note: 'keep me', read: true, tags: ['later'] });
+  });
+
+  test('an older import only contributes tags and an earlier save date', () => {
+    const current = savedEntry({ note: 'local', read: true });
+    const merged = mergeImport(exportOf([{
+      ...current,
+      note: 'stale',
+      read: false,
+      savedAt: '2024-02-01T10:00:00.000Z',
+      updatedAt: '2024-02-01T10:00:00.000Z'
+    }]), [current]);
+
+    expect(merged[0]).toMatchObject({ note: 'local', read: true, savedAt: '2024-02-01T10:00:00.000Z' });
+  });
+
+  test('clamps dates from the future to now', () => {
+    const current = savedEntry({ note: 'local' });
+    const before = new Date().toISOString();
+    const [imported] = mergeImport(exportOf([{
+      ...current,
+      note: 'from the future',
+      savedAt: '2999-01-01T00:00:00.000Z',
+      updatedAt: '2999-01-01T00:00:00.000Z'
+    }]), []);
+
+    expect(imported.updatedAt >= before && imported.updatedAt <= new Date().toISOString()).toBe(true);
+    expect(imported.savedAt <= new Date().toISOString()).toBe(true);
+  });
+
+  test('a future-dated copy loses to a local edit made after the import', () => {
+    const imported = mergeImport(exportOf([{ ...savedEntry(), note: 'imported', updatedAt: '2999-01-01T00:00:00.000Z' }]), []);
+    const edited = { ...imported[0], note: 'edited', updatedAt: new Date(Date.now() + 1000).toISOString() };
+
+    const merged = mergeImport(exportOf([{ ...savedEntry(), note: 'imported', updatedAt: '2999-01-01T00:00:00.000Z' }]), [edited]);
+
+    expect(merged).toHaveLength(0);
+  });
+
+  test('returns only entries the import adds or changes', () => {
+    const unchanged = savedEntry({ tags: ['budget'] });
+    const other = { ...createEntry('story', { _id: 's1', mainHeadline: 'Storm' }), updatedAt: '2024-03-02T10:00:00.000Z' };
+
+    const merged = mergeImport(exportOf([
+      unchanged,
+      { ...other, tags: ['weather'], updatedAt: '2024-03-01T10:00:00.000Z' },
+      { type: 'article', item: { _id: 'a2', title: 'New' } }
+    ]), [unchanged, other]);
+
+    expect(merged.map(entry => entry.id)).toEqual(['story:s1', 'article:a2']);
+  });
+});
@@ -0,0 +1,33 @@
+// Most recent search box queries, newest first
+const STORAGE_KEY = 'the-narrative-recent-searches';
+const MAX_ENTRIES = 8;
+
+export const getRecentSearches = () => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(parsed) ? parsed.filter(item => typeof item === 'string') : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writeRecentSearches = (searches) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(searches));
+  } catch (error) {
+    console.warn('Could not save recent searches:', error);
+  }
+  return searches;
+};
+
+export const addRecentSearch = (query) => {
+  const trimmed = (query || '').trim();
+  if (!trimmed) return getRecentSearches();
+  const rest = getRecentSearches().filter(item => item !== trimmed);
+  return writeRecentSearches([trimmed, ...rest].slice(0, MAX_ENTRIES));
+};
+
+export const removeRecentSearch = (query) =>
+  writeRecentSearches(getRecentSearches().filter(item => item !== query));
+
+export const clearRecentSearches = () => writeRecentSearches([]);
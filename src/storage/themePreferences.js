@@ -0,0 +1,33 @@
+// Appearance choices. Defaults are stored as "nothing" so a reader who never
+// picked a theme keeps following their OS setting.
+const THEME_KEY = 'the-narrative-theme';
+const PALETTE_KEY = 'the-narrative-palette';
+
+const read = (key) => {
+  try {
+    return localStorage.getItem(key);
+  } catch (error) {
+    return null;
+  }
+};
+
+const write = (key, value, defaultValue) => {
+  try {
+    if (value === defaultValue) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, value);
+    }
+  } catch (error) {
+    console.warn('Could not save theme preference:', error);
+  }
+};
+
+export const loadThemePreferences = () => ({
+  mode: read(THEME_KEY),
+  palette: read(PALETTE_KEY)
+});
+
+export const saveThemeMode = (mode) => write(THEME_KEY, mode, 'system');
+
+export const saveBiasPalette = (palette) => write(PALETTE_KEY, palette, 'standard');
@@ -0,0 +1,96 @@
+// One model for every place a political leaning is shown. Leanings come from
+// the API as three-point values ('left' | 'center' | 'right'), five-point values
+// ('lean-left', 'lean right', ...) or continuous scores from -1 (left) to 1 (right);
+// everything here accepts any of them.
+
+// Five-point scale, left to right. `score` is each point's position on the
+// continuous scale; colors are theme tokens from App.css.
+export const BIAS_SCALE = [
+  { key: 'left', label: 'Left Leaning', shortLabel: 'Left', score: -1, color: 'var(--color-bias-left)' },
+  { key: 'lean-left', label: 'Lean Left', shortLabel: 'Lean L', score: -0.5, color: 'var(--color-bias-lean-left)' },
+  { key: 'center', label: 'Center', shortLabel: 'Center', score: 0, color: 'var(--color-bias-center)' },
+  { key: 'lean-right', label: 'Lean Right', shortLabel: 'Lean R', score: 0.5, color: 'var(--color-bias-lean-right)' },
+  { key: 'right', label: 'Right Leaning', shortLabel: 'Right', score: 1, color: 'var(--color-bias-right)' }
+];
+
+// The three sides coverage is grouped into (story distributions, filters, blindspots)
+export const BIAS_SIDES = ['left', 'center', 'right'];
+
+const UNKNOWN = { key: 'unknown', label: 'Unknown', shortLabel: 'Unknown', score: null, color: 'var(--color-bias-unknown)' };
+
+const BY_KEY = BIAS_SCALE.reduce((acc, point) => {
+  acc[point.key] = point;
+  return acc;
+}, {});
+
+// Classifications at or above this are shown as high confidence
+export const HIGH_CONFIDENCE = 0.7;
+export const MEDIUM_CONFIDENCE = 0.5;
+
+// Nearest five-point position for a continuous score
+export const biasFromScore = (score) => {
+  const clamped = Math.max(-1, Math.min(1, score));
+  return BIAS_SCALE.reduce((best, point) => (
+    Math.abs(point.score - clamped) < Math.abs(best.score - clamped) ? point : best
+  )).key;
+};
+
+// 'Lean Left', 'lean_left', 'leanLeft', 'left-leaning', 0.4 ... -> a BIAS_SCALE key, or null
+export const normalizeBias = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? biasFromScore(value) : null;
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const key = value.trim()
+    .replace(/([a-z])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-')
+    .replace(/-?leaning$/, '')
+    .replace(/^centre$/, 'center');
+  return BY_KEY[key] ? key : null;
+};
+
+export const getBiasPoint = (bias) => BY_KEY[normalizeBias(bias)] || UNKNOWN;
+
+export const getBiasColor = (bias) => getBiasPoint(bias).color;
+
+export const getBiasLabel = (bias, { short = false } = {}) => {
+  const point = getBiasPoint(bias);
+  return short ? point.shortLabel : point.label;
+};
+
+// Position from -1 to 1, or null when the leaning is unknown. Numeric input is
+// kept as is so continuous scores aren't snapped to the five points.
+export const getBiasScore = (bias) => {
+  if (typeof bias === 'number' && Number.isFinite(bias)) return Math.max(-1, Math.min(1, bias));
+  return getBiasPoint(bias).score;
+};
+
+// Collapses the five-point scale onto BIAS_SIDES
+export const getBiasSide = (bias) => {
+  const key = normalizeBias(bias);
+  if (key === 'lean-left') return 'left';
+  if (key === 'lean-right') return 'right';
+  return key;
+};
+
+// `biasConfidence` (0-1) as shown next to a classification
+export const getConfidence = (confidence) => {
+  if (typeof confidence !== 'number' || !Number.isFinite(confidence)) return null;
+  const percent = Math.round(Math.max(0, Math.min(1, confidence)) * 100);
+  const level = confidence >= HIGH_CONFIDENCE ? 'high' : confidence >= MEDIUM_CONFIDENCE ? 'medium' : 'low';
+  return { percent, level, label: `${percent}% confidence` };
+};
+
+// Sources are rated once for the outlet as a whole; articles are classified
+// individually from their own text
+export const BIAS_KINDS = {
+  source: { label: 'Source', description: "the publication's typical leaning" },
+  article: { label: 'Article', description: "this article's own framing" }
+};
+
+// Plain-text description for titles and screen readers
+export const describeBias = (bias, { kind, confidence } = {}) => {
+  const parts = [kind ? `${BIAS_KINDS[kind].label}: ${getBiasLabel(bias)}` : getBiasLabel(bias)];
+  const details = getConfidence(confidence);
+  if (details) parts.push(details.label);
+  return parts.join(', ');
+};
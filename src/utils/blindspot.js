@@ -0,0 +1,41 @@
+import { BIAS_SIDES } from './bias';
+
+export const SIDES = BIAS_SIDES;
+
+// A story is a blindspot when one side supplies at least this share of its coverage
+export const DOMINANT_SHARE = 0.7;
+// ...and a side counts as missing when it supplies less than this
+export const MISSING_SHARE = 0.15;
+
+export const getCoverageBalance = (biasDistribution = {}) => {
+  const counts = SIDES.reduce((acc, side) => {
+    acc[side] = Number(biasDistribution[side]) || 0;
+    return acc;
+  }, {});
+  const total = SIDES.reduce((sum, side) => sum + counts[side], 0);
+  const shares = SIDES.reduce((acc, side) => {
+    acc[side] = total ? counts[side] / total : 0;
+    return acc;
+  }, {});
+  const dominant = SIDES.reduce((best, side) => (shares[side] > shares[best] ? side : best), SIDES[0]);
+
+  return {
+    counts,
+    total,
+    shares,
+    dominant,
+    // 0 = perfectly even three-way split, 1 = a single side only
+    lopsidedness: total ? (shares[dominant] - 1 / 3) / (2 / 3) : 0,
+    missing: SIDES.filter(side => shares[side] < MISSING_SHARE)
+  };
+};
+
+export const isBlindspot = (balance) => balance.total > 0 && balance.shares[balance.dominant] >= DOMINANT_SHARE;
+
+// Blindspot stories, most lopsided first. `missingSide` narrows to stories
+// that side barely covered ('any' keeps them all).
+export const rankBlindspots = (storyGroups, missingSide = 'any') => storyGroups
+  .map(storyGroup => ({ storyGroup, balance: getCoverageBalance(storyGroup.biasDistribution) }))
+  .filter(({ balance }) => isBlindspot(balance) &&
+    (missingSide === 'any' || balance.missing.includes(missingSide)))
+  .sort((a, b) => (b.balance.lopsidedness - a.balance.lopsidedness) || (b.balance.total - a.balance.total));
@@ -0,0 +1,48 @@
+// Shared maths and wording for the SVG charts
+
+export const formatPercent = (share) => `${Math.round(share * 100)}%`;
+
+// [{ key, label, value, color }] -> same with `share` and `offset` (both 0-1),
+// zero values dropped
+export const toSegments = (items) => {
+  const total = items.reduce((sum, item) => sum + (Number(item.value) || 0), 0);
+  let offset = 0;
+  return items
+    .filter(item => Number(item.value) > 0)
+    .map((item) => {
+      const share = Number(item.value) / total;
+      const segment = { ...item, share, offset };
+      offset += share;
+      return segment;
+    });
+};
+
+export const pluralize = (count, unit) => {
+  if (count === 1) return `${count} ${unit}`;
+  return `${count} ${/[^aeiou]y$/.test(unit) ? `${unit.slice(0, -1)}ies` : `${unit}s`}`;
+};
+
+export const describeSegment = (segment, unit = 'article') =>
+  `${segment.label}: ${pluralize(segment.value, unit)} (${formatPercent(segment.share)})`;
+
+// SVG path for a donut slice between two fractions of a full turn, starting at 12 o'clock
+export const arcPath = (start, end, radius, innerRadius, center) => {
+  // A full-circle arc collapses to nothing; stop just short of it
+  const sweep = Math.min(end - start, 0.9999);
+  const point = (fraction, r) => {
+    const angle = 2 * Math.PI * fraction - Math.PI / 2;
+    return [center + r * Math.cos(angle), center + r * Math.sin(angle)];
+  };
+  const largeArc = sweep > 0.5 ? 1 : 0;
+  const [x1, y1] = point(start, radius);
+  const [x2, y2] = point(start + sweep, radius);
+  const [x3, y3] = point(start + sweep, innerRadius);
+  const [x4, y4] = point(start, innerRadius);
+  return [
+    `M ${x1} ${y1}`,
+    `A ${radius} ${radius} 0 ${largeArc} 1 ${x2} ${y2}`,
+    `L ${x3} ${y3}`,
+    `A ${innerRadius} ${innerRadius} 0 ${largeArc} 0 ${x4} ${y4}`,
+    'Z'
+  ].join(' ');
+};
@@ -0,0 +1,24 @@
+// Saves `contents` as a file via a temporary link
+export const downloadFile = (contents, filename, type = 'application/json') => {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `columns` is [{ key, label }]; one line per row
+export const toCsv = (columns, rows) => [
+  columns.map(column => escapeCsv(column.label)).join(','),
+  ...rows.map(row => columns.map(column => escapeCsv(row[column.key])).join(','))
+].join('\n');
+
+export const downloadCsv = (columns, rows, filename) =>
+  downloadFile(toCsv(columns, rows), filename, 'text/csv;charset=utf-8');
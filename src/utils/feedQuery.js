@@ -0,0 +1,363 @@
+import { QUERY_FIELDS, getSearchCriteria, getSearchText } from './searchQuery';
+import { BIAS_SIDES } from './bias';
+
+// Empty lists mean "all"
+export const DEFAULT_FILTERS = {
+  category: [],
+  bias: [],
+  sources: [],
+  // Bias confidence as whole percentages, '' for no bound
+  minConfidence: '',
+  maxConfidence: '',
+  sortBy: 'publishedAt',
+  sortOrder: 'desc',
+  dateFrom: '',
+  dateTo: '',
+  // Rolling window ('24h', '7d', ...) that stays relative to now, so saved
+  // presets don't go stale the way fixed dates do
+  within: '',
+  search: '',
+  // Story Groups only
+  storySortBy: 'lastUpdated',
+  minSources: '',
+  allPerspectives: false,
+  // '' (off), 'any', or the side that is missing
+  blindspot: ''
+};
+
+export const ARTICLE_SORT_OPTIONS = [
+  { value: 'publishedAt', label: 'Published Date' },
+  { value: 'fetchedAt', label: 'Added to Site' },
+  { value: 'title', label: 'Title' },
+  { value: 'source.name', label: 'Source' }
+];
+
+export const STORY_SORT_OPTIONS = [
+  { value: 'lastUpdated', label: 'Last Updated' },
+  { value: 'createdAt', label: 'First Reported' },
+  { value: 'sourceCount', label: 'Number of Sources' }
+];
+
+export const MIN_SOURCES_OPTIONS = ['2', '3', '5', '10'];
+
+export const WITHIN_OPTIONS = [
+  { value: '24h', label: 'Last 24 hours' },
+  { value: '48h', label: 'Last 48 hours' },
+  { value: '7d', label: 'Last 7 days' },
+  { value: '30d', label: 'Last 30 days' }
+];
+
+// Which views each filter means something in; the sidebar hides the rest
+const FILTER_VIEWS = {
+  sortBy: ['articles'],
+  minConfidence: ['articles'],
+  maxConfidence: ['articles'],
+  // Story listings don't say which outlets they include
+  sources: ['articles'],
+  storySortBy: ['stories'],
+  minSources: ['stories'],
+  allPerspectives: ['stories'],
+  blindspot: ['stories']
+};
+
+export const filterAppliesTo = (field, view) => !FILTER_VIEWS[field] || FILTER_VIEWS[field].includes(view);
+
+const FIELDS_WITHOUT_SOURCE = QUERY_FIELDS.filter(field => field !== 'source');
+
+// Search box fields that mean something in a view
+export const getSearchFields = (view) => (filterAppliesTo('sources', view) ? QUERY_FIELDS : FIELDS_WITHOUT_SOURCE);
+
+export const BLINDSPOT_OPTIONS = ['any', 'left', 'center', 'right'];
+
+export const ARTICLES_PAGE_SIZE = 20;
+export const STORIES_PAGE_SIZE = 10;
+// Blindspots are picked client-side, so fetch bigger pages to rank from
+export const BLINDSPOT_PAGE_SIZE = 30;
+
+const WINDOW_HOURS = { '24h': 24, '48h': 48, '7d': 7 * 24, '30d': 30 * 24 };
+
+// Start of a rolling window as an ISO timestamp, '' when there's none
+export const getWindowStart = (within, now = Date.now()) => (WINDOW_HOURS[within]
+  ? new Date(now - WINDOW_HOURS[within] * 60 * 60 * 1000).toISOString()
+  : '');
+
+const toConfidence = (percent) => (percent === '' ? null : Number(percent) / 100);
+
+// Everything the feed is narrowed by, in one place for the request params and
+// the client-side matching below. Lists match any of their values. Field
+// syntax in the search box (bias:left, after:2024-01-01, ...) takes
+// precedence over the matching sidebar filter.
+export const getFeedCriteria = (filters) => {
+  const query = getSearchCriteria(filters.search);
+  const pick = (fromQuery, fromSidebar) => (fromQuery.length > 0 ? fromQuery : fromSidebar);
+  return {
+    text: getSearchText(query),
+    terms: [...query.terms, ...query.phrases],
+    categories: pick(query.categories, filters.category),
+    biases: pick(query.biases, filters.bias),
+    sources: pick(query.sources, filters.sources),
+    keywords: query.keywords,
+    excluded: query.excluded,
+    minConfidence: toConfidence(filters.minConfidence),
+    maxConfidence: toConfidence(filters.maxConfidence),
+    dateFrom: query.dateFrom || filters.dateFrom,
+    dateTo: query.dateTo || filters.dateTo,
+    since: getWindowStart(filters.within),
+    minSources: Number(filters.minSources) || 0,
+    allPerspectives: Boolean(filters.allPerspectives)
+  };
+};
+
+// The backend filters on a single category or bias; with more selected it
+// gets none and the results are narrowed client-side
+const toSingleParam = (values) => (values.length === 1 ? values[0] : undefined);
+
+// The backend's dates are whole days, so a rolling window asks from the day
+// it starts on and the exact cut-off is applied client-side
+const laterDate = (date, since) => {
+  const day = since.slice(0, 10);
+  return date > day ? date : day || undefined;
+};
+
+// Request params for /api/news, minus the page cursor: one category and
+// bias, sort, search text and a date range are all it takes. The rest of
+// the criteria is applied by `createFeedFilter`.
+export const buildArticleParams = (filters) => {
+  const criteria = getFeedCriteria(filters);
+  return {
+    limit: ARTICLES_PAGE_SIZE,
+    category: toSingleParam(criteria.categories),
+    bias: toSingleParam(criteria.biases),
+    sortBy: filters.sortBy,
+    sortOrder: filters.sortOrder,
+    search: criteria.text || undefined,
+    dateFrom: laterDate(criteria.dateFrom, criteria.since),
+    dateTo: criteria.dateTo || undefined
+  };
+};
+
+// Request params for /api/news/stories, minus the page cursor. It only takes
+// a category and lists the most recently updated first; everything else is
+// done client-side.
+export const buildStoryParams = (filters) => ({
+  limit: filters.blindspot ? BLINDSPOT_PAGE_SIZE : STORIES_PAGE_SIZE,
+  category: toSingleParam(getFeedCriteria(filters).categories)
+});
+
+const lower = (value) => String(value || '').toLowerCase();
+
+const isAnyOf = (value, list) => list.length === 0 || list.some(item => lower(item) === lower(value));
+
+const isNoneOf = (value, list) => !list.some(item => lower(item) === lower(value));
+
+const hasKeywords = (keywords, wanted, unwanted) => {
+  const own = (keywords || []).map(lower);
+  return wanted.every(keyword => own.includes(lower(keyword))) &&
+    !unwanted.some(keyword => own.includes(lower(keyword)));
+};
+
+const matchesText = (fields, terms, excluded) => {
+  const haystack = fields.map(lower).join(' ');
+  return terms.every(term => haystack.includes(lower(term))) &&
+    !excluded.some(term => haystack.includes(lower(term)));
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const inDateRange = (value, { dateFrom, dateTo, since }) => {
+  const time = Date.parse(value);
+  if (dateFrom && time < Date.parse(dateFrom)) return false;
+  // dateTo is a calendar day, so include the whole of it
+  if (dateTo && time >= Date.parse(dateTo) + DAY) return false;
+  if (since && time < Date.parse(since)) return false;
+  return true;
+};
+
+const inConfidenceRange = (confidence, { minConfidence, maxConfidence }) =>
+  (minConfidence === null || confidence >= minConfidence) &&
+  (maxConfidence === null || confidence <= maxConfidence);
+
+export const getStoryUpdatedAt = (storyGroup) => storyGroup.lastUpdated || storyGroup.createdAt;
+
+export const getStorySourceCount = (storyGroup) => (Array.isArray(storyGroup.articles)
+  ? storyGroup.articles.length
+  : storyGroup.sourceCount || 0);
+
+// When an item last changed, for telling what's new since the last check
+export const getRecency = (view, item) => (view === 'stories' ? getStoryUpdatedAt(item) : item.publishedAt);
+
+// The items of a newest-first page that are newer than `since` and match.
+// They're `complete` unless every item on the page was newer and more pages
+// follow, in which case there may be more beyond it.
+export const getNewerItems = (view, { items, hasMore }, since, matches) => {
+  const sinceTime = Date.parse(since);
+  const newer = items.filter(item => Date.parse(getRecency(view, item)) > sinceTime);
+  return {
+    items: newer.filter(matches),
+    complete: !hasMore || newer.length < items.length
+  };
+};
+
+const matchesArticle = (criteria) => (article) => {
+  const { excluded } = criteria;
+  const source = article.source ? article.source.name : '';
+  return isAnyOf(article.category, criteria.categories) && isNoneOf(article.category, excluded.categories) &&
+    isAnyOf(article.articleBias, criteria.biases) && isNoneOf(article.articleBias, excluded.biases) &&
+    isAnyOf(source, criteria.sources) && isNoneOf(source, excluded.sources) &&
+    hasKeywords(article.keywords, criteria.keywords, excluded.keywords) &&
+    // The backend did the search text; exclusions are ours
+    matchesText([article.title, article.aiHeading, article.summary, source, ...(article.keywords || [])], [], excluded.text) &&
+    inConfidenceRange(article.biasConfidence, criteria) &&
+    inDateRange(article.publishedAt, criteria);
+};
+
+// A story "has" a leaning when at least one of its articles does; sources
+// can't be matched as story listings don't name them
+const matchesStory = (criteria) => (storyGroup) => {
+  const { excluded } = criteria;
+  const distribution = storyGroup.biasDistribution || {};
+  return isAnyOf(storyGroup.category, criteria.categories) && isNoneOf(storyGroup.category, excluded.categories) &&
+    (criteria.biases.length === 0 || criteria.biases.some(bias => distribution[bias] > 0)) &&
+    !excluded.biases.some(bias => distribution[bias] > 0) &&
+    hasKeywords(storyGroup.keywords, criteria.keywords, excluded.keywords) &&
+    matchesText([storyGroup.mainHeadline, storyGroup.summary, ...(storyGroup.keywords || [])], criteria.terms, excluded.text) &&
+    inDateRange(getStoryUpdatedAt(storyGroup), criteria) &&
+    getStorySourceCount(storyGroup) >= criteria.minSources &&
+    (!criteria.allPerspectives || BIAS_SIDES.every(bias => distribution[bias] > 0));
+};
+
+// Whether a fetched item really matches the filters, for everything the
+// backend doesn't do itself
+export const createFeedFilter = (view, filters) => {
+  const criteria = getFeedCriteria(filters);
+  return view === 'stories' ? matchesStory(criteria) : matchesArticle(criteria);
+};
+
+const STORY_SORT_VALUES = {
+  lastUpdated: storyGroup => getStoryUpdatedAt(storyGroup),
+  createdAt: storyGroup => storyGroup.createdAt,
+  sourceCount: getStorySourceCount
+};
+
+// Stories arrive most recently updated first; any other order is applied to
+// what's loaded so far
+export const sortStories = (storyGroups, { storySortBy, sortOrder }) => {
+  if (storySortBy === 'lastUpdated' && sortOrder === 'desc') return storyGroups;
+  const valueOf = STORY_SORT_VALUES[storySortBy] || STORY_SORT_VALUES.lastUpdated;
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  return [...storyGroups].sort((a, b) => {
+    const left = valueOf(a);
+    const right = valueOf(b);
+    if (left === right) return 0;
+    return (left > right ? 1 : -1) * direction;
+  });
+};
+
+// Stable identity for a query: same filters + view => same key
+export const getQueryKey = (view, params) => JSON.stringify([
+  view,
+  Object.keys(params).sort().map(key => [key, params[key]])
+]);
+
+export const VIEWS = ['articles', 'stories'];
+export const DEFAULT_VIEW = 'articles';
+
+// Filter field -> query string key. Short keys keep shared links readable.
+const URL_KEYS = {
+  category: 'category',
+  bias: 'bias',
+  sources: 'sources',
+  minConfidence: 'minConf',
+  maxConfidence: 'maxConf',
+  sortBy: 'sort',
+  sortOrder: 'order',
+  dateFrom: 'from',
+  dateTo: 'to',
+  within: 'within',
+  search: 'q',
+  storySortBy: 'storySort',
+  minSources: 'minSources',
+  allPerspectives: 'allSides',
+  blindspot: 'blindspot'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isListField = (field) => Array.isArray(DEFAULT_FILTERS[field]);
+
+const isValidValue = (field, value) => {
+  if (field === 'bias') return value.every(bias => BIAS_SIDES.includes(bias));
+  if (isListField(field)) return value.length > 0;
+  if (field === 'minConfidence' || field === 'maxConfidence') return /^\d+$/.test(value) && Number(value) <= 100;
+  if (field === 'sortOrder') return value === 'asc' || value === 'desc';
+  if (field === 'dateFrom' || field === 'dateTo') return DATE_PATTERN.test(value);
+  if (field === 'within') return WITHIN_OPTIONS.some(option => option.value === value);
+  if (field === 'blindspot') return BLINDSPOT_OPTIONS.includes(value);
+  if (field === 'storySortBy') return STORY_SORT_OPTIONS.some(option => option.value === value);
+  if (field === 'minSources') return /^\d+$/.test(value);
+  return value !== '';
+};
+
+// Booleans travel as "1" and lists comma-separated. "all" is what single
+// category/bias links used to carry.
+const fromUrlValue = (field, value) => {
+  if (typeof DEFAULT_FILTERS[field] === 'boolean') return value === '1';
+  if (isListField(field)) return value.split(',').filter(item => item && item !== 'all');
+  return value;
+};
+
+const toUrlValue = (value) => {
+  if (value === true) return '1';
+  if (Array.isArray(value)) return value.join(',');
+  return value;
+};
+
+const isDefaultValue = (field, value) => (isListField(field)
+  ? !value || value.length === 0
+  : !value || value === DEFAULT_FILTERS[field]);
+
+export const parseFeedState = (search) => {
+  const query = new URLSearchParams(search);
+  const filters = { ...DEFAULT_FILTERS };
+
+  Object.entries(URL_KEYS).forEach(([field, key]) => {
+    const raw = query.get(key);
+    if (raw === null) return;
+    const value = fromUrlValue(field, raw);
+    if (isValidValue(field, value)) {
+      filters[field] = value;
+    }
+  });
+
+  const view = VIEWS.includes(query.get('view')) ? query.get('view') : DEFAULT_VIEW;
+  return { filters, view };
+};
+
+// Whether the query string says anything about the feed (vs. a bare "/")
+export const hasFeedState = (search) => {
+  const query = new URLSearchParams(search);
+  return query.has('view') || Object.values(URL_KEYS).some(key => query.has(key));
+};
+
+// Only non-default values are written; params we don't own (e.g. ?mock=1) are kept
+export const serializeFeedState = ({ filters, view }, currentSearch = '') => {
+  const query = new URLSearchParams(currentSearch);
+
+  Object.entries(URL_KEYS).forEach(([field, key]) => {
+    const value = filters[field];
+    if (!isDefaultValue(field, value)) {
+      query.set(key, toUrlValue(value));
+    } else {
+      query.delete(key);
+    }
+  });
+
+  if (view && view !== DEFAULT_VIEW) {
+    query.set('view', view);
+  } else {
+    query.delete('view');
+  }
+
+  const result = query.toString();
+  return result ? `?${result}` : '';
+};
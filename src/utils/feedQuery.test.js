@@ -0,0 +1,239 @@
+import {
+  DEFAULT_FILTERS,
+  buildArticleParams,
+  buildStoryParams,
+  createFeedFilter,
+  getNewerItems,
+  getWindowStart,
+  parseFeedState,
+  serializeFeedState,
+  sortStories
+} from './feedQuery';
+
+const withFilters = (changes) => ({ ...DEFAULT_FILTERS, ...changes });
+
+const article = (changes = {}) => ({
+  _id: 'a1',
+  title: 'Senate passes budget',
+  summary: 'The vote was close.',
+  source: { name: 'Fox News' },
+  category: 'politics',
+  articleBias: 'right',
+  biasConfidence: 0.8,
+  keywords: ['budget', 'senate'],
+  publishedAt: '2024-03-05T12:00:00.000Z',
+  ...changes
+});
+
+const story = (changes = {}) => ({
+  _id: 's1',
+  mainHeadline: 'Storm hits the coast',
+  summary: 'Thousands without power.',
+  category: 'world',
+  keywords: ['storm'],
+  articles: ['a1', 'a2', 'a3'],
+  biasDistribution: { left: 1, center: 1, right: 1 },
+  createdAt: '2024-03-01T12:00:00.000Z',
+  lastUpdated: '2024-03-05T12:00:00.000Z',
+  ...changes
+});
+
+describe('buildArticleParams', () => {
+  test('sends only what the backend understands', () => {
+    const params = buildArticleParams(withFilters({
+      category: ['politics'],
+      bias: ['left', 'right'],
+      sources: ['Fox News'],
+      minConfidence: '50',
+      dateFrom: '2024-03-01'
+    }));
+
+    expect(params).toEqual({
+      limit: 20,
+      category: 'politics',
+      bias: undefined,
+      sortBy: 'publishedAt',
+      sortOrder: 'desc',
+      search: undefined,
+      dateFrom: '2024-03-01',
+      dateTo: undefined
+    });
+  });
+
+  test('turns a rolling window into the day it starts on', () => {
+    const start = getWindowStart('7d');
+    expect(buildArticleParams(withFilters({ within: '7d' })).dateFrom).toBe(start.slice(0, 10));
+    expect(buildArticleParams(withFilters({ within: '7d', dateFrom: '2999-01-01' })).dateFrom).toBe('2999-01-01');
+  });
+});
+
+describe('search box criteria', () => {
+  test('map onto the backend params and override the sidebar', () => {
+    const params = buildArticleParams(withFilters({
+      bias: ['right'],
+      dateFrom: '2024-01-01',
+      search: 'budget -opinion bias:left -source:"Fox News" keyword:tax after:2024-02-01 before:2024-02-10'
+    }));
+
+    expect(params).toMatchObject({ search: 'budget', bias: 'left', dateFrom: '2024-02-01', dateTo: '2024-02-10' });
+    expect(params).not.toHaveProperty('exclude');
+    expect(params).not.toHaveProperty('keywords');
+    expect(params).not.toHaveProperty('source');
+  });
+
+  test('apply negated fields and exclusions on the client', () => {
+    const matches = createFeedFilter('articles', withFilters({ search: '-source:"Fox News" -keyword:senate' }));
+    expect(matches(article())).toBe(false);
+    expect(matches(article({ source: { name: 'CNN' } }))).toBe(false);
+    expect(matches(article({ source: { name: 'CNN' }, keywords: ['budget'] }))).toBe(true);
+    expect(createFeedFilter('articles', withFilters({ search: '-"vote was close"' }))(article())).toBe(false);
+    expect(createFeedFilter('stories', withFilters({ search: '-bias:left' }))(story())).toBe(false);
+  });
+});
+
+describe('buildStoryParams', () => {
+  test('sends a single category and the page size', () => {
+    expect(buildStoryParams(withFilters({ category: ['world'], minSources: '3', allPerspectives: true })))
+      .toEqual({ limit: 10, category: 'world' });
+    expect(buildStoryParams(withFilters({ category: ['world', 'politics'], blindspot: 'any' })))
+      .toEqual({ limit: 30, category: undefined });
+  });
+});
+
+describe('createFeedFilter', () => {
+  test('matches articles on any of several categories, leanings and sources', () => {
+    const matches = createFeedFilter('articles', withFilters({
+      bias: ['left', 'right'],
+      sources: ['fox news', 'MSNBC']
+    }));
+
+    expect(matches(article())).toBe(true);
+    expect(matches(article({ articleBias: 'center' }))).toBe(false);
+    expect(matches(article({ source: { name: 'Reuters' } }))).toBe(false);
+  });
+
+  test('applies the confidence range and rolling window to articles', () => {
+    const matches = createFeedFilter('articles', withFilters({ minConfidence: '50', maxConfidence: '90', within: '24h' }));
+    const recent = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+    expect(matches(article({ publishedAt: recent }))).toBe(true);
+    expect(matches(article({ publishedAt: recent, biasConfidence: 0.95 }))).toBe(false);
+    expect(matches(article({ publishedAt: '2024-03-05T12:00:00.000Z' }))).toBe(false);
+  });
+
+  test('matches stories on sources, perspectives, leanings and search text', () => {
+    expect(createFeedFilter('stories', withFilters({ minSources: '3' }))(story())).toBe(true);
+    expect(createFeedFilter('stories', withFilters({ minSources: '5' }))(story())).toBe(false);
+    expect(createFeedFilter('stories', withFilters({ allPerspectives: true }))(
+      story({ biasDistribution: { left: 2, center: 0, right: 1 } })
+    )).toBe(false);
+    expect(createFeedFilter('stories', withFilters({ bias: ['left'] }))(
+      story({ biasDistribution: { left: 0, center: 2, right: 1 } })
+    )).toBe(false);
+    expect(createFeedFilter('stories', withFilters({ search: 'storm "without power"' }))(story())).toBe(true);
+    expect(createFeedFilter('stories', withFilters({ search: 'flood' }))(story())).toBe(false);
+  });
+
+  test('ignores the source filter for stories', () => {
+    expect(createFeedFilter('stories', withFilters({ sources: ['Fox News'] }))(story())).toBe(true);
+  });
+});
+
+describe('getNewerItems', () => {
+  const since = '2024-03-05T12:00:00.000Z';
+  const at = (minutes) => new Date(Date.parse(since) + minutes * 60 * 1000).toISOString();
+  const matchesAll = () => true;
+
+  test('counts only items newer than the last one seen', () => {
+    const page = {
+      items: [article({ _id: 'n2', publishedAt: at(10) }), article({ _id: 'n1', publishedAt: at(5) }), article({ publishedAt: since })],
+      hasMore: true
+    };
+    const { items, complete } = getNewerItems('articles', page, since, matchesAll);
+
+    expect(items.map(item => item._id)).toEqual(['n2', 'n1']);
+    expect(complete).toBe(true);
+  });
+
+  test('leaves out new items that do not match the filters', () => {
+    const page = {
+      items: [article({ _id: 'n1', publishedAt: at(5), articleBias: 'left' }), article({ publishedAt: at(-5) })],
+      hasMore: true
+    };
+    const matches = createFeedFilter('articles', withFilters({ bias: ['right'] }));
+
+    expect(getNewerItems('articles', page, since, matches)).toEqual({ items: [], complete: true });
+  });
+
+  test('is incomplete when the whole page is new and more follow', () => {
+    const page = {
+      items: [article({ _id: 'n2', publishedAt: at(10) }), article({ _id: 'n1', publishedAt: at(5) })],
+      hasMore: true
+    };
+
+    expect(getNewerItems('articles', page, since, matchesAll).complete).toBe(false);
+    expect(getNewerItems('articles', { ...page, hasMore: false }, since, matchesAll).complete).toBe(true);
+  });
+
+  test('uses the last update for stories', () => {
+    const page = { items: [story({ lastUpdated: at(1), createdAt: at(-60) })], hasMore: false };
+
+    expect(getNewerItems('stories', page, since, matchesAll).items).toHaveLength(1);
+  });
+});
+
+describe('sortStories', () => {
+  const stories = [
+    story({ _id: 'a', articles: ['1'], createdAt: '2024-03-02T00:00:00.000Z' }),
+    story({ _id: 'b', articles: ['1', '2', '3'], createdAt: '2024-03-01T00:00:00.000Z' }),
+    story({ _id: 'c', articles: ['1', '2'], createdAt: '2024-03-03T00:00:00.000Z' })
+  ];
+
+  test('keeps the backend order for most recently updated first', () => {
+    expect(sortStories(stories, withFilters())).toBe(stories);
+  });
+
+  test('orders by source count or first report', () => {
+    const ids = (list) => list.map(item => item._id);
+    expect(ids(sortStories(stories, withFilters({ storySortBy: 'sourceCount' })))).toEqual(['b', 'c', 'a']);
+    expect(ids(sortStories(stories, withFilters({ storySortBy: 'createdAt', sortOrder: 'asc' })))).toEqual(['b', 'a', 'c']);
+  });
+});
+
+describe('feed state in the URL', () => {
+  test('round-trips non-default filters and the view', () => {
+    const state = {
+      view: 'stories',
+      filters: withFilters({
+        category: ['politics', 'world'],
+        bias: ['left'],
+        sources: ['Fox News'],
+        minConfidence: '40',
+        dateFrom: '2024-03-01',
+        within: '7d',
+        search: 'budget -opinion source:"Fox News"',
+        storySortBy: 'sourceCount',
+        minSources: '3',
+        allPerspectives: true,
+        blindspot: 'right'
+      })
+    };
+
+    expect(parseFeedState(serializeFeedState(state))).toEqual(state);
+  });
+
+  test('leaves defaults out and keeps params it does not own', () => {
+    expect(serializeFeedState({ view: 'articles', filters: DEFAULT_FILTERS }, '?mock=1')).toBe('?mock=1');
+  });
+
+  test('drops values that are not valid', () => {
+    const { filters, view } = parseFeedState('?view=bogus&bias=left,sideways&minConf=150&from=yesterday&within=1y');
+
+    expect(view).toBe('articles');
+    expect(filters).toEqual(DEFAULT_FILTERS);
+  });
+
+  test('reads the "all" that older single-value links carry', () => {
+    expect(parseFeedState('?category=all&bias=left').filters).toMatchObject({ category: [], bias: ['left'] });
+  });
+});
@@ -0,0 +1,3 @@
+import moment from 'moment';
+
+export const formatTimeAgo = (date) => moment(date).fromNow();
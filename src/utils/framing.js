@@ -0,0 +1,151 @@
+import { BIAS_SIDES } from './bias';
+
+// Text comparisons behind the framing panel on story pages: which words only
+// one side used, how the sides' keywords overlap and where emotionally loaded
+// language appears
+
+// Words that say nothing about framing
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'again', 'against', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+  'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he',
+  'her', 'his', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'more', 'most', 'new', 'no', 'not', 'now',
+  'of', 'on', 'one', 'or', 'our', 'out', 'over', 'said', 'says', 'she', 'so', 'than', 'that', 'the', 'their',
+  'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'under', 'up', 'us', 'was', 'we',
+  'were', 'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'would', 'year', 'years', 'you'
+]);
+
+// Starting word list for loaded language; readers can edit their own copy
+// (storage/loadedTerms)
+export const DEFAULT_LOADED_TERMS = [
+  'attack', 'betray', 'blast', 'catastrophe', 'chaos', 'crackdown', 'crisis', 'destroy', 'disaster', 'extreme',
+  'failed', 'fury', 'historic', 'outrage', 'radical', 'reckless', 'scandal', 'scheme', 'shocking', 'slam',
+  'surge', 'threat', 'triumph', 'war on', 'win'
+];
+
+export const tokenize = (text) => (String(text || '').toLowerCase().match(/[a-z0-9][a-z0-9'-]*/g) || [])
+  .map(word => word.replace(/'s$/, '').replace(/[-']+$/, ''))
+  .filter(word => word.length > 2 && !STOPWORDS.has(word));
+
+// The publisher's own headline: `aiHeading` is a neutral rewrite, so the
+// framing lives in `title`
+export const getHeadline = (article) => article.title || article.aiHeading;
+
+// Side -> [{ word, count }] for words that side's headlines and summaries use
+// and no other covering side does, most used first
+export const getUniqueWords = (articlesByBias) => {
+  const counts = BIAS_SIDES.reduce((acc, side) => {
+    acc[side] = new Map();
+    (articlesByBias[side] || []).forEach((article) => {
+      tokenize(`${getHeadline(article)} ${article.summary || ''}`).forEach((word) => {
+        acc[side].set(word, (acc[side].get(word) || 0) + 1);
+      });
+    });
+    return acc;
+  }, {});
+
+  return BIAS_SIDES.reduce((acc, side) => {
+    const others = BIAS_SIDES.filter(other => other !== side);
+    acc[side] = [...counts[side]]
+      .filter(([word]) => others.every(other => !counts[other].has(word)))
+      .map(([word, count]) => ({ word, count }))
+      .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word));
+    return acc;
+  }, {});
+};
+
+// Venn regions for the sides' `keywords`, keyed by the sides sharing them:
+// 'left', 'left+center', 'left+center+right' ...
+export const getKeywordOverlap = (articlesByBias) => {
+  const keywordSides = new Map();
+  BIAS_SIDES.forEach((side) => {
+    (articlesByBias[side] || []).forEach((article) => {
+      (article.keywords || []).forEach((keyword) => {
+        const key = keyword.trim().toLowerCase();
+        if (!key) return;
+        if (!keywordSides.has(key)) keywordSides.set(key, new Set());
+        keywordSides.get(key).add(side);
+      });
+    });
+  });
+
+  const regions = {};
+  keywordSides.forEach((sides, keyword) => {
+    const region = BIAS_SIDES.filter(side => sides.has(side)).join('+');
+    (regions[region] = regions[region] || []).push(keyword);
+  });
+  Object.values(regions).forEach(keywords => keywords.sort());
+  return regions;
+};
+
+const keywordSet = (article) => new Set((article.keywords || []).map(keyword => keyword.trim().toLowerCase()).filter(Boolean));
+
+// Keyword overlap between any set of articles: those every article has, those
+// at least two share, and a matrix of what each pair has in common
+export const getKeywordMatrix = (articles) => {
+  const sets = articles.map(keywordSet);
+  const counts = new Map();
+  sets.forEach(set => set.forEach(keyword => counts.set(keyword, (counts.get(keyword) || 0) + 1)));
+
+  const inCommon = (a, b) => [...sets[a]].filter(keyword => sets[b].has(keyword)).sort();
+  return {
+    all: [...counts].filter(([, count]) => count === articles.length).map(([keyword]) => keyword).sort(),
+    shared: new Set([...counts].filter(([, count]) => count > 1).map(([keyword]) => keyword)),
+    matrix: sets.map((_, row) => sets.map((__, column) => (row === column ? null : inCommon(row, column))))
+  };
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One pattern for the whole list, also matching simple inflections
+// ('slams', 'slammed', 'attacking')
+export const buildLexiconPattern = (terms) => {
+  const cleaned = terms.map(term => term.trim().toLowerCase()).filter(Boolean);
+  if (cleaned.length === 0) return null;
+  const alternatives = cleaned
+    .sort((a, b) => b.length - a.length)
+    .map(term => `${escapeRegExp(term).replace(/\s+/g, '\\s+')}(?:s|es|ed|d|med|ing|ming)?`);
+  return new RegExp(`\\b(${alternatives.join('|')})\\b`, 'gi');
+};
+
+// Side -> [{ term, count }] of lexicon matches in its headlines and summaries
+export const getLoadedTerms = (articlesByBias, pattern) => BIAS_SIDES.reduce((acc, side) => {
+  const counts = new Map();
+  if (pattern) {
+    (articlesByBias[side] || []).forEach((article) => {
+      const text = `${getHeadline(article)} ${article.summary || ''}`;
+      (text.match(pattern) || []).forEach((match) => {
+        const term = match.toLowerCase();
+        counts.set(term, (counts.get(term) || 0) + 1);
+      });
+    });
+  }
+  acc[side] = [...counts]
+    .map(([term, count]) => ({ term, count }))
+    .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term));
+  return acc;
+}, {});
+
+// `text` split into [{ text, unique, loaded }] runs for highlighting
+export const segmentText = (text, uniqueWords, pattern) => {
+  const loaded = [];
+  if (pattern) {
+    for (const match of String(text).matchAll(pattern)) {
+      loaded.push([match.index, match.index + match[0].length]);
+    }
+  }
+  const isLoaded = (start, end) => loaded.some(([from, to]) => start < to && end > from);
+
+  let offset = 0;
+  return String(text).split(/([A-Za-z0-9][A-Za-z0-9'-]*)/).map((part, index) => {
+    const start = offset;
+    offset += part.length;
+    // Odd indexes are the captured words, even ones the text between them
+    if (index % 2 === 0) return { text: part, unique: false, loaded: false };
+    const [word] = tokenize(part);
+    return {
+      text: part,
+      unique: Boolean(word) && uniqueWords.has(word),
+      loaded: isLoaded(start, offset)
+    };
+  }).filter(segment => segment.text);
+};
@@ -0,0 +1,106 @@
+import moment from 'moment';
+import { BIAS_SIDES, getBiasSide } from './bias';
+
+export const PERSPECTIVES = BIAS_SIDES;
+
+// Below this share of reads a perspective counts as under-read
+export const UNDER_READ_THRESHOLD = 0.2;
+
+const emptyCounts = () => ({ left: 0, center: 0, right: 0 });
+
+// Five-point leanings count towards their side
+const addRead = (counts, bias) => {
+  const side = getBiasSide(bias);
+  if (side in counts) counts[side] += 1;
+  return counts;
+};
+
+const total = (counts) => PERSPECTIVES.reduce((sum, bias) => sum + counts[bias], 0);
+
+export const toShares = (counts) => {
+  const sum = total(counts);
+  return PERSPECTIVES.reduce((acc, bias) => {
+    acc[bias] = sum ? counts[bias] / sum : 0;
+    return acc;
+  }, {});
+};
+
+// Left/center/right counts for each of the last `weeks` weeks, oldest first
+export const getWeeklyBalance = (history, weeks = 8) => {
+  const start = moment().startOf('isoWeek').subtract(weeks - 1, 'weeks');
+  const buckets = Array.from({ length: weeks }, (_, index) => ({
+    week: start.clone().add(index, 'weeks'),
+    counts: emptyCounts()
+  }));
+
+  history.forEach((entry) => {
+    const index = moment(entry.readAt).startOf('isoWeek').diff(start, 'weeks');
+    if (index >= 0 && index < weeks) addRead(buckets[index].counts, entry.bias);
+  });
+
+  return buckets.map(({ week, counts }) => ({
+    label: week.format('D MMM'),
+    counts,
+    total: total(counts)
+  }));
+};
+
+export const getCategoryBalance = (history) => {
+  const byCategory = {};
+  history.forEach((entry) => {
+    if (!byCategory[entry.category]) byCategory[entry.category] = emptyCounts();
+    addRead(byCategory[entry.category], entry.bias);
+  });
+
+  return Object.entries(byCategory)
+    .map(([category, counts]) => ({ category, counts, total: total(counts) }))
+    .sort((a, b) => b.total - a.total);
+};
+
+export const getTopSources = (history, limit = 8) => {
+  const bySource = {};
+  history.forEach((entry) => {
+    if (!bySource[entry.source]) {
+      bySource[entry.source] = { source: entry.source, bias: entry.sourceBias, count: 0 };
+    }
+    bySource[entry.source].count += 1;
+  });
+
+  return Object.values(bySource)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+};
+
+export const getOverallBalance = (history) => {
+  const counts = emptyCounts();
+  history.forEach(entry => addRead(counts, entry.bias));
+  return { counts, total: total(counts), shares: toShares(counts) };
+};
+
+// Suggestions for perspectives the reader rarely sees, overall and per
+// category. Categories need a handful of reads before they're judged.
+export const getNudges = (history, { minCategoryReads = 5 } = {}) => {
+  const nudges = [];
+  const { total: reads, shares: overallShares } = getOverallBalance(history);
+  if (reads === 0) return nudges;
+
+  PERSPECTIVES.forEach((bias) => {
+    if (overallShares[bias] < UNDER_READ_THRESHOLD) {
+      nudges.push({ bias, category: null, share: overallShares[bias] });
+    }
+  });
+
+  getCategoryBalance(history)
+    .filter(({ total: count }) => count >= minCategoryReads)
+    .forEach(({ category, counts }) => {
+      const shares = toShares(counts);
+      PERSPECTIVES.forEach((bias) => {
+        // Already covered by an overall nudge for the same side
+        if (shares[bias] < UNDER_READ_THRESHOLD && overallShares[bias] >= UNDER_READ_THRESHOLD) {
+          nudges.push({ bias, category, share: shares[bias] });
+        }
+      });
+    });
+
+  return nudges;
+};
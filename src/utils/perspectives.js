@@ -0,0 +1,64 @@
+import moment from 'moment';
+import { BIAS_SIDES, getBiasSide } from './bias';
+
+// Finds how the other sides covered an article's event when the backend
+// hasn't grouped it into a story: candidates from the other leanings published
+// around the same time, ranked by shared `keywords`
+
+// Days either side of the article to look in
+export const RELATED_WINDOW_DAYS = 2;
+const CANDIDATE_LIMIT = 100;
+// Matches shown for each of the other sides
+export const MATCHES_PER_SIDE = 2;
+
+const HOUR = 60 * 60 * 1000;
+
+const keywordSet = (article) => new Set((article.keywords || []).map(keyword => keyword.trim().toLowerCase()).filter(Boolean));
+
+export const getOtherSides = (article) => BIAS_SIDES.filter(side => side !== getBiasSide(article.articleBias));
+
+// Query for fetchArticles. /api/news takes a single bias, so candidates from
+// every side come back and rankOtherPerspectives keeps the other ones.
+export const getRelatedParams = (article) => {
+  const published = moment(article.publishedAt);
+  return {
+    dateFrom: published.clone().subtract(RELATED_WINDOW_DAYS, 'days').format('YYYY-MM-DD'),
+    dateTo: published.clone().add(RELATED_WINDOW_DAYS, 'days').format('YYYY-MM-DD'),
+    sortBy: 'publishedAt',
+    sortOrder: 'desc',
+    limit: CANDIDATE_LIMIT,
+    page: 1
+  };
+};
+
+// Side -> [{ article, shared, hoursApart }], best first. Candidates need at
+// least one keyword in common; ties go to whichever was published closer in time.
+export const rankOtherPerspectives = (article, candidates, perSide = MATCHES_PER_SIDE) => {
+  const own = keywordSet(article);
+  const published = Date.parse(article.publishedAt);
+
+  const scored = candidates
+    .filter(candidate => candidate._id !== article._id)
+    .map((candidate) => {
+      const theirs = keywordSet(candidate);
+      const shared = [...own].filter(keyword => theirs.has(keyword));
+      const union = new Set([...own, ...theirs]).size;
+      return {
+        article: candidate,
+        side: getBiasSide(candidate.articleBias),
+        shared,
+        similarity: union ? shared.length / union : 0,
+        hoursApart: Math.round(Math.abs(Date.parse(candidate.publishedAt) - published) / HOUR)
+      };
+    })
+    .filter(match => match.shared.length > 0 && match.side)
+    .sort((a, b) => b.similarity - a.similarity || a.hoursApart - b.hoursApart);
+
+  return getOtherSides(article).reduce((acc, side) => {
+    acc[side] = scored
+      .filter(match => match.side === side)
+      .slice(0, perSide)
+      .map(({ article: match, shared, hoursApart }) => ({ article: match, shared, hoursApart }));
+    return acc;
+  }, {});
+};
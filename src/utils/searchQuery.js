@@ -0,0 +1,134 @@
+// Search box query language:
+//   climate "carbon tax" -opinion source:"Fox News" -bias:left category:politics
+//   keyword:inflation after:2024-01-01 before:2024-02-01
+// Unknown `field:` prefixes are treated as plain text.
+
+import moment from 'moment';
+import { BIAS_SIDES } from './bias';
+
+export const QUERY_FIELDS = ['source', 'bias', 'category', 'keyword', 'after', 'before'];
+
+// Fields that can be negated (-source:"Fox News"); dates can't
+const NEGATABLE_FIELDS = ['source', 'bias', 'category', 'keyword'];
+
+// field:"quoted value" | field:value | -"phrase" | -word | "phrase" | word
+const TOKEN_PATTERN = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+const isDate = (value) => moment(value, 'YYYY-MM-DD', true).isValid();
+
+// Why a token can't be used, or null when it can
+const getTokenError = (type, value, negated) => {
+  if (!value) return 'Empty';
+  if (negated && !NEGATABLE_FIELDS.includes(type)) return `${type}: can't be excluded`;
+  if (type === 'bias' && !BIAS_SIDES.includes(value.toLowerCase())) return `Leaning must be one of ${BIAS_SIDES.join(', ')}`;
+  if ((type === 'after' || type === 'before') && !isDate(value)) return 'Not a date; use YYYY-MM-DD';
+  return null;
+};
+
+const toToken = (type, value, raw, { negated = false, error = null } = {}) => ({
+  type,
+  value,
+  raw,
+  negated,
+  error,
+  valid: !error
+});
+
+const quoteIfNeeded = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+// Tokens are `{ type, value, raw, negated, valid, error }`. `type` is a field
+// name, 'phrase', 'term', or 'exclude' for negated text.
+export const parseSearchQuery = (query = '') => {
+  const tokens = [];
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while ((match = TOKEN_PATTERN.exec(query)) !== null) {
+    const [raw, negated, rawField, quoted, bare] = match;
+    const field = rawField && rawField.toLowerCase();
+    const value = quoted !== undefined ? quoted.trim() : bare;
+
+    if (field && QUERY_FIELDS.includes(field)) {
+      tokens.push(toToken(field, value, raw, {
+        negated: Boolean(negated),
+        error: getTokenError(field, value, Boolean(negated))
+      }));
+    } else {
+      const text = field ? `${rawField}:${value}` : value;
+      const type = negated ? 'exclude' : quoted !== undefined && !field ? 'phrase' : 'term';
+      tokens.push(toToken(type, text, raw, { error: text ? null : 'Empty' }));
+    }
+  }
+
+  // A range that ends before it starts can't match anything
+  const after = tokens.filter(token => token.type === 'after' && token.valid).pop();
+  const before = tokens.filter(token => token.type === 'before' && token.valid).pop();
+  if (after && before && after.value > before.value) {
+    after.error = 'after: is later than before:';
+    before.error = after.error;
+    after.valid = false;
+    before.valid = false;
+  }
+
+  return tokens;
+};
+
+export const tokensToQuery = (tokens) => tokens.map(token => token.raw).join(' ');
+
+const FIELD_CRITERIA = {
+  source: 'sources',
+  bias: 'biases',
+  category: 'categories',
+  keyword: 'keywords'
+};
+
+const CASE_INSENSITIVE_FIELDS = ['bias', 'category'];
+
+// What the query asks for, from its valid tokens. Field lists match any of
+// their values, except keywords, which must all be there; `excluded` holds
+// the same lists for negated fields plus negated text. For dates the last
+// one given wins.
+export const getSearchCriteria = (query) => {
+  const criteria = {
+    terms: [],
+    phrases: [],
+    sources: [],
+    biases: [],
+    categories: [],
+    keywords: [],
+    excluded: { text: [], sources: [], biases: [], categories: [], keywords: [] },
+    dateFrom: '',
+    dateTo: ''
+  };
+
+  parseSearchQuery(query).filter(token => token.valid).forEach(({ type, value, negated }) => {
+    if (type === 'term') criteria.terms.push(value);
+    else if (type === 'phrase') criteria.phrases.push(value);
+    else if (type === 'exclude') criteria.excluded.text.push(value);
+    else if (type === 'after') criteria.dateFrom = value;
+    else if (type === 'before') criteria.dateTo = value;
+    else {
+      const list = negated ? criteria.excluded[FIELD_CRITERIA[type]] : criteria[FIELD_CRITERIA[type]];
+      list.push(CASE_INSENSITIVE_FIELDS.includes(type) ? value.toLowerCase() : value);
+    }
+  });
+
+  return criteria;
+};
+
+// The free text part as the backend's `search` param takes it
+export const getSearchText = ({ terms, phrases }) => [
+  ...terms,
+  ...phrases.map(phrase => `"${phrase}"`)
+].join(' ');
+
+export const describeToken = ({ type, value, negated }) => {
+  switch (type) {
+    case 'phrase': return `“${value}”`;
+    case 'exclude': return `not ${value}`;
+    case 'term': return value;
+    default: return `${negated ? 'not ' : ''}${type}: ${value}`;
+  }
+};
+
+export const formatFieldToken = (field, value) => `${field}:${quoteIfNeeded(value)}`;
@@ -0,0 +1,108 @@
+import {
+  describeToken,
+  formatFieldToken,
+  getSearchCriteria,
+  getSearchText,
+  parseSearchQuery,
+  tokensToQuery
+} from './searchQuery';
+
+const summarise = (query) => parseSearchQuery(query).map(({ type, value, negated, valid }) => ({ type, value, negated, valid }));
+
+describe('parseSearchQuery', () => {
+  test('splits terms, phrases, exclusions and fields', () => {
+    expect(summarise('climate "carbon tax" -opinion source:"Fox News" bias:LEFT')).toEqual([
+      { type: 'term', value: 'climate', negated: false, valid: true },
+      { type: 'phrase', value: 'carbon tax', negated: false, valid: true },
+      { type: 'exclude', value: 'opinion', negated: false, valid: true },
+      { type: 'source', value: 'Fox News', negated: false, valid: true },
+      { type: 'bias', value: 'LEFT', negated: false, valid: true }
+    ]);
+  });
+
+  test('keeps negated fields as fields', () => {
+    expect(summarise('-source:"Fox News" -bias:left -category:sports -keyword:nfl')).toEqual([
+      { type: 'source', value: 'Fox News', negated: true, valid: true },
+      { type: 'bias', value: 'left', negated: true, valid: true },
+      { type: 'category', value: 'sports', negated: true, valid: true },
+      { type: 'keyword', value: 'nfl', negated: true, valid: true }
+    ]);
+  });
+
+  test('treats unknown fields as text', () => {
+    expect(summarise('url:example.com -tag:foo')).toEqual([
+      { type: 'term', value: 'url:example.com', negated: false, valid: true },
+      { type: 'exclude', value: 'tag:foo', negated: false, valid: true }
+    ]);
+  });
+
+  test('rejects leanings it does not know and empty values', () => {
+    const [bias, source] = parseSearchQuery('bias:sideways source:""');
+    expect(bias.valid).toBe(false);
+    expect(bias.error).toMatch('Leaning');
+    expect(source.valid).toBe(false);
+  });
+
+  test('only accepts real calendar dates', () => {
+    expect(summarise('after:2024-02-30 before:2024-13-01 after:24-01-01').map(token => token.valid))
+      .toEqual([false, false, false]);
+    expect(summarise('after:2024-02-29').map(token => token.valid)).toEqual([true]);
+  });
+
+  test('rejects a range that ends before it starts', () => {
+    const tokens = parseSearchQuery('after:2024-03-10 before:2024-03-01');
+    expect(tokens.map(token => token.valid)).toEqual([false, false]);
+    expect(tokens[0].error).toMatch('later than');
+    expect(summarise('after:2024-03-01 before:2024-03-01').map(token => token.valid)).toEqual([true, true]);
+  });
+
+  test('does not allow excluding dates', () => {
+    const [token] = parseSearchQuery('-after:2024-03-01');
+    expect(token).toMatchObject({ type: 'after', negated: true, valid: false });
+  });
+
+  test('can be turned back into the query it came from', () => {
+    const query = 'climate "carbon tax" -source:"Fox News" after:2024-01-01';
+    expect(tokensToQuery(parseSearchQuery(query))).toBe(query);
+  });
+});
+
+describe('getSearchCriteria', () => {
+  test('collects fields, exclusions and dates from valid tokens only', () => {
+    expect(getSearchCriteria(
+      'climate "carbon tax" -opinion source:"Fox News" source:CNN -source:MSNBC bias:Left -bias:right ' +
+      'category:Politics keyword:energy -keyword:oil after:2024-01-01 before:2024-02-30'
+    )).toEqual({
+      terms: ['climate'],
+      phrases: ['carbon tax'],
+      sources: ['Fox News', 'CNN'],
+      biases: ['left'],
+      categories: ['politics'],
+      keywords: ['energy'],
+      excluded: { text: ['opinion'], sources: ['MSNBC'], biases: ['right'], categories: [], keywords: ['oil'] },
+      dateFrom: '2024-01-01',
+      dateTo: ''
+    });
+  });
+
+  test('drops both ends of a backwards range', () => {
+    expect(getSearchCriteria('after:2024-03-10 before:2024-03-01')).toMatchObject({ dateFrom: '', dateTo: '' });
+  });
+
+  test('gives the backend search text with phrases quoted', () => {
+    expect(getSearchText(getSearchCriteria('"carbon tax" climate -opinion bias:left'))).toBe('climate "carbon tax"');
+  });
+});
+
+describe('describeToken', () => {
+  test('labels negated fields and exclusions', () => {
+    const [source, text] = parseSearchQuery('-source:"Fox News" -opinion');
+    expect(describeToken(source)).toBe('not source: Fox News');
+    expect(describeToken(text)).toBe('not opinion');
+  });
+
+  test('quotes field values with spaces', () => {
+    expect(formatFieldToken('source', 'Fox News')).toBe('source:"Fox News"');
+    expect(formatFieldToken('bias', 'left')).toBe('bias:left');
+  });
+});
@@ -0,0 +1,46 @@
+import { BIAS_SIDES } from './bias';
+
+// Orders a story's coverage in time for the timeline on story pages
+
+const emptyCounts = () => BIAS_SIDES.reduce((acc, side) => {
+  acc[side] = 0;
+  return acc;
+}, {});
+
+// `articlesByBias` -> { events, start, end, firstBySide } with events
+// ([{ article, side, time }]) oldest first, or null when there is no coverage
+export const getTimeline = (articlesByBias) => {
+  const events = BIAS_SIDES
+    .flatMap(side => (articlesByBias[side] || []).map(article => ({ article, side, time: Date.parse(article.publishedAt) })))
+    .filter(event => Number.isFinite(event.time))
+    .sort((a, b) => a.time - b.time);
+  if (events.length === 0) return null;
+
+  const firstBySide = {};
+  events.forEach((event) => {
+    if (!firstBySide[event.side]) firstBySide[event.side] = event;
+  });
+
+  return { events, start: events[0].time, end: events[events.length - 1].time, firstBySide };
+};
+
+// Same shape as a story group's `biasDistribution`, counting only what had
+// been published by `time`
+export const getDistributionAt = (events, time) => events.reduce((counts, event) => {
+  if (event.time <= time) counts[event.side] += 1;
+  return counts;
+}, emptyCounts());
+
+// Side -> [[time, cumulative count]] steps, starting from zero at `start`
+export const getRampUp = ({ events, start }) => {
+  const counts = emptyCounts();
+  const steps = BIAS_SIDES.reduce((acc, side) => {
+    acc[side] = [[start, 0]];
+    return acc;
+  }, {});
+  events.forEach((event) => {
+    counts[event.side] += 1;
+    steps[event.side].push([event.time, counts[event.side]]);
+  });
+  return steps;
+};
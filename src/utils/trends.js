@@ -0,0 +1,158 @@
+import moment from 'moment';
+import { BIAS_SIDES, getBiasSide } from './bias';
+import { getCoverageBalance, isBlindspot } from './blindspot';
+
+// Aggregations for the Trends page, computed from the articles and story
+// groups published in a date window
+
+export const TREND_RANGES = [
+  { value: '7d', label: '7 days', days: 7 },
+  { value: '30d', label: '30 days', days: 30 },
+  { value: '90d', label: '90 days', days: 90 }
+];
+
+export const DEFAULT_TREND_RANGE = '30d';
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+// Longer windows are bucketed by week instead of by day
+const MAX_DAILY_BUCKETS = 62;
+// A category needs this many articles in each half of the window to show a shift
+const MIN_SHIFT_ARTICLES = 3;
+export const TOP_SOURCES = 5;
+
+const isDate = (value) => Boolean(value) && moment(value, DATE_FORMAT, true).isValid();
+
+// `{ range }` or a custom `{ from, to }` (inclusive calendar days) -> the window to query
+export const resolveDateWindow = ({ range, from, to }, now = moment()) => {
+  if (isDate(from) && isDate(to) && from <= to) {
+    return { from, to, range: null };
+  }
+  const preset = TREND_RANGES.find(option => option.value === range) ||
+    TREND_RANGES.find(option => option.value === DEFAULT_TREND_RANGE);
+  return {
+    from: now.clone().subtract(preset.days - 1, 'days').format(DATE_FORMAT),
+    to: now.format(DATE_FORMAT),
+    range: preset.value
+  };
+};
+
+export const getBuckets = ({ from, to }) => {
+  const start = moment(from, DATE_FORMAT);
+  const end = moment(to, DATE_FORMAT);
+  const unit = end.diff(start, 'days') + 1 > MAX_DAILY_BUCKETS ? 'isoWeek' : 'day';
+  const step = unit === 'isoWeek' ? 'week' : 'day';
+  const buckets = [];
+
+  for (let cursor = start.clone().startOf(unit); cursor.isSameOrBefore(end, 'day'); cursor.add(1, step)) {
+    buckets.push({
+      key: cursor.format(DATE_FORMAT),
+      label: cursor.format(unit === 'isoWeek' ? '[Week of] MMM D' : 'MMM D'),
+      shortLabel: cursor.format('MMM D'),
+      start: cursor.valueOf(),
+      end: cursor.clone().add(1, step).valueOf()
+    });
+  }
+  return { unit: step, buckets };
+};
+
+const findBucket = (buckets, date) => {
+  const time = Date.parse(date);
+  return buckets.findIndex(bucket => time >= bucket.start && time < bucket.end);
+};
+
+const emptySides = () => BIAS_SIDES.reduce((acc, side) => {
+  acc[side] = 0;
+  return acc;
+}, {});
+
+// One row per bucket: { key, label, left, center, right, total }
+export const getLeaningSeries = (articles, buckets) => {
+  const rows = buckets.map(bucket => ({ key: bucket.key, label: bucket.label, shortLabel: bucket.shortLabel, ...emptySides(), total: 0 }));
+  articles.forEach((article) => {
+    const index = findBucket(buckets, article.publishedAt);
+    const side = getBiasSide(article.articleBias);
+    if (index === -1 || !side) return;
+    rows[index][side] += 1;
+    rows[index].total += 1;
+  });
+  return rows;
+};
+
+// -1 (all left) to 1 (all right)
+const getLean = (counts) => {
+  const total = BIAS_SIDES.reduce((sum, side) => sum + counts[side], 0);
+  return total ? (counts.right - counts.left) / total : 0;
+};
+
+// Per category: leaning split, share of all articles and how far its
+// coverage moved left or right between the first and second half of the window
+export const getCategoryMix = (articles, { from, to }) => {
+  const midpoint = (moment(from, DATE_FORMAT).valueOf() + moment(to, DATE_FORMAT).endOf('day').valueOf()) / 2;
+  const byCategory = {};
+
+  articles.forEach((article) => {
+    const side = getBiasSide(article.articleBias);
+    if (!side) return;
+    if (!byCategory[article.category]) {
+      byCategory[article.category] = { counts: emptySides(), early: emptySides(), late: emptySides() };
+    }
+    const entry = byCategory[article.category];
+    entry.counts[side] += 1;
+    entry[Date.parse(article.publishedAt) < midpoint ? 'early' : 'late'][side] += 1;
+  });
+
+  const total = articles.length;
+  return Object.entries(byCategory)
+    .map(([category, { counts, early, late }]) => {
+      const count = BIAS_SIDES.reduce((sum, side) => sum + counts[side], 0);
+      const enough = (half) => BIAS_SIDES.reduce((sum, side) => sum + half[side], 0) >= MIN_SHIFT_ARTICLES;
+      return {
+        category,
+        ...counts,
+        total: count,
+        share: total ? count / total : 0,
+        lean: getLean(counts),
+        // In lean points: positive = moved right
+        shift: enough(early) && enough(late) ? Math.round((getLean(late) - getLean(early)) * 100) : null
+      };
+    })
+    .sort((a, b) => b.total - a.total);
+};
+
+// Most-published outlets on each side, by the outlet's own rating
+export const getTopSources = (articles, limit = TOP_SOURCES) => {
+  const bySide = BIAS_SIDES.reduce((acc, side) => {
+    acc[side] = {};
+    return acc;
+  }, {});
+
+  articles.forEach((article) => {
+    const side = getBiasSide(article.source.bias || article.articleBias);
+    if (!side) return;
+    bySide[side][article.source.name] = (bySide[side][article.source.name] || 0) + 1;
+  });
+
+  return BIAS_SIDES.reduce((acc, side) => {
+    acc[side] = Object.entries(bySide[side])
+      .map(([source, count]) => ({ source, count }))
+      .sort((a, b) => b.count - a.count || a.source.localeCompare(b.source))
+      .slice(0, limit);
+    return acc;
+  }, {});
+};
+
+// One row per bucket: stories last updated in it and how many were one-sided
+// (a blindspot, see utils/blindspot)
+export const getOneSidedSeries = (storyGroups, buckets) => {
+  const rows = buckets.map(bucket => ({ key: bucket.key, label: bucket.label, shortLabel: bucket.shortLabel, stories: 0, oneSided: 0, share: 0 }));
+  storyGroups.forEach((storyGroup) => {
+    const index = findBucket(buckets, storyGroup.lastUpdated);
+    if (index === -1) return;
+    rows[index].stories += 1;
+    if (isBlindspot(getCoverageBalance(storyGroup.biasDistribution))) rows[index].oneSided += 1;
+  });
+  rows.forEach((row) => {
+    row.share = row.stories ? row.oneSided / row.stories : 0;
+  });
+  return rows;
+};